@@ -0,0 +1,27 @@
+import globals from 'globals'
+import react from 'eslint-plugin-react'
+
+// Catches what the build doesn't: identifiers and components that are used but never defined
+export default [
+  { ignores: ['dist/', 'server/', 'scripts/'] },
+  {
+    files: ['src/**/*.{js,jsx}', 'vite.config.js'],
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      parserOptions: { ecmaFeatures: { jsx: true } },
+      globals: { ...globals.browser, ...globals.node }
+    },
+    plugins: { react },
+    rules: {
+      'no-undef': 'error',
+      'react/jsx-no-undef': 'error',
+      'react/jsx-uses-vars': 'error',
+      'react/jsx-uses-react': 'error'
+    }
+  },
+  {
+    files: ['src/sw.js'],
+    languageOptions: { globals: { ...globals.serviceworker } }
+  }
+]
@@ -0,0 +1,90 @@
+// Page-turn latency benchmark for the PDF reader
+//
+// Usage: npm run bench:pdf -- <file.pdf> [pages]
+//
+// Compares the two ways the reader has loaded pages:
+//   reparse - parse a fresh copy of the file on every page turn (the old renderPDFPage)
+//   session - parse the file once and reuse the document (the PDF document session)
+// Each turn fetches the page, builds its drawing operations and extracts its text, which is
+// the work a page turn does before painting. Canvas painting itself is left out, since it is
+// the same for both and Node has no canvas.
+
+import { readFile } from 'node:fs/promises';
+import { performance } from 'node:perf_hooks';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+const [file, pagesArg] = process.argv.slice(2);
+if (!file) {
+  console.error('Usage: npm run bench:pdf -- <file.pdf> [pages]');
+  process.exit(1);
+}
+
+const data = new Uint8Array(await readFile(file));
+const loadOptions = () => ({ data: data.slice(), verbosity: pdfjsLib.VerbosityLevel.ERRORS });
+
+async function turnTo(pdf, pageNumber) {
+  const page = await pdf.getPage(pageNumber);
+  await page.getOperatorList();
+  await page.getTextContent();
+  page.cleanup();
+}
+
+async function reparse(pageNumbers) {
+  const times = [];
+  for (const pageNumber of pageNumbers) {
+    const start = performance.now();
+    const pdf = await pdfjsLib.getDocument(loadOptions()).promise;
+    await turnTo(pdf, pageNumber);
+    times.push(performance.now() - start);
+    // The old code leaked every document; destroy here so long runs don't run out of memory
+    await pdf.destroy();
+  }
+  return times;
+}
+
+async function session(pageNumbers) {
+  const times = [];
+  const pdf = await pdfjsLib.getDocument(loadOptions()).promise;
+  try {
+    for (const pageNumber of pageNumbers) {
+      const start = performance.now();
+      await turnTo(pdf, pageNumber);
+      times.push(performance.now() - start);
+    }
+  } finally {
+    await pdf.destroy();
+  }
+  return times;
+}
+
+function summarize(times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  const at = (fraction) => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+  return {
+    mean: times.reduce((sum, t) => sum + t, 0) / times.length,
+    median: at(0.5),
+    p95: at(0.95),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+const probe = await pdfjsLib.getDocument(loadOptions()).promise;
+const numPages = probe.numPages;
+await probe.destroy();
+
+const count = Math.min(numPages, parseInt(pagesArg, 10) || 30);
+const pageNumbers = Array.from({ length: count }, (_, i) => i + 1);
+
+console.log(`${file}: ${numPages} pages, turning through ${count}\n`);
+
+const results = {
+  reparse: summarize(await reparse(pageNumbers)),
+  session: summarize(await session(pageNumbers))
+};
+
+const format = (ms) => `${ms.toFixed(1)} ms`.padStart(10);
+console.log('            mean    median       p95       max');
+for (const [name, stats] of Object.entries(results)) {
+  console.log(`${name.padEnd(8)}${format(stats.mean)}${format(stats.median)}${format(stats.p95)}${format(stats.max)}`);
+}
+console.log(`\nsession is ${(results.reparse.median / results.session.median).toFixed(1)}x faster per page turn (median)`);
@@ -0,0 +1,352 @@
+// User accounts and sessions
+// Passwords are hashed with scrypt; sessions are random tokens kept in an HttpOnly cookie
+// and stored hashed, so a leaked database can't be used to log in
+
+import express from 'express';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { getDB } from './db.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'kapul_session';
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Readable characters for generated passwords (no 0/O or 1/l/I)
+const PASSWORD_ALPHABET = 'abcdefghjkmnpqrstuvwxyzABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt') return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked against when the username doesn't exist, so an unknown name takes as long to reject
+// as a wrong password and response times don't reveal which usernames are taken
+let dummyHash = null;
+
+function getDummyHash() {
+  if (!dummyHash) dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+  return dummyHash;
+}
+
+function generatePassword(length = 10) {
+  const bytes = crypto.randomBytes(length);
+  return [...bytes].map(byte => PASSWORD_ALPHABET[byte % PASSWORD_ALPHABET.length]).join('');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+  }
+  return cookies;
+}
+
+// Public shape of a user row
+function toUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    displayName: row.display_name,
+    role: row.role
+  };
+}
+
+// Request bodies are JSON, so anything may arrive here: only strings get through
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-32 characters: letters, numbers, dots, dashes or underscores.';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  return null;
+}
+
+// Two sign-ups for the same name can both pass the lookup before either is inserted
+function isDuplicateUser(error) {
+  return error?.code === 'SQLITE_CONSTRAINT_UNIQUE';
+}
+
+export async function createUser({ username, password, displayName, role = 'student' }) {
+  const db = getDB();
+  const result = db.prepare(`
+    INSERT INTO users (username, display_name, password_hash, role, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(username, displayName || username, await hashPassword(password), role, Date.now());
+  return toUser(db.prepare('SELECT * FROM users WHERE id = ?').get(result.lastInsertRowid));
+}
+
+function findUserByUsername(username) {
+  return getDB().prepare('SELECT * FROM users WHERE username = ?').get(username);
+}
+
+// Create the admin account named in the environment on first start
+export async function ensureAdminUser() {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return;
+  if (findUserByUsername(ADMIN_USERNAME)) return;
+
+  const problem = validateCredentials(ADMIN_USERNAME, ADMIN_PASSWORD);
+  if (problem) {
+    console.error(`Admin account not created: ${problem}`);
+    return;
+  }
+  await createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, displayName: 'Administrator', role: 'admin' });
+  console.log(`Admin account "${ADMIN_USERNAME}" created`);
+}
+
+function startSession(req, res, userId) {
+  const db = getDB();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  // Read at request time: the environment is loaded after this module is imported
+  const maxAge = (parseInt(process.env.SESSION_DAYS) || 30) * 24 * 60 * 60;
+
+  db.prepare('DELETE FROM sessions WHERE expires_at < ?').run(now);
+  db.prepare('INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+    .run(hashToken(token), userId, now, now + maxAge * 1000);
+
+  const secure = req.secure ? '; Secure' : '';
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`);
+}
+
+function endSession(req, res) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) {
+    getDB().prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
+  }
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+function getSessionUser(req) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!token) return null;
+
+  const row = getDB().prepare(`
+    SELECT users.* FROM sessions
+    JOIN users ON users.id = sessions.user_id
+    WHERE sessions.token_hash = ? AND sessions.expires_at > ?
+  `).get(hashToken(token), Date.now());
+  return row ? toUser(row) : null;
+}
+
+// Middleware: reject requests without a valid session, otherwise set req.user
+export function requireAuth(req, res, next) {
+  const user = getSessionUser(req);
+  if (!user) {
+    return res.status(401).json({
+      error: { type: 'authentication_error', message: 'Please log in to use AI features.' }
+    });
+  }
+  req.user = user;
+  next();
+}
+
+export function requireAdmin(req, res, next) {
+  requireAuth(req, res, () => {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: { type: 'permission_error', message: 'Only administrators can do this.' }
+      });
+    }
+    next();
+  });
+}
+
+// Minimal CSV parser: quoted fields, escaped quotes ("") and CRLF line endings
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows
+    .map(cells => cells.map(cell => cell.trim()))
+    .filter(cells => cells.some(Boolean));
+}
+
+// Create student accounts from CSV rows: username, display_name, password
+// A header row may reorder the columns; a blank password gets a generated one
+export async function importStudents(csv) {
+  const rows = parseCSV(csv);
+  let columns = { username: 0, display_name: 1, password: 2 };
+  let firstLine = 1;
+
+  const header = rows[0]?.map(cell => cell.toLowerCase().replace(/\s+/g, '_'));
+  if (header?.includes('username')) {
+    columns = {
+      username: header.indexOf('username'),
+      display_name: header.findIndex(cell => cell === 'display_name' || cell === 'name'),
+      password: header.indexOf('password')
+    };
+    rows.shift();
+    firstLine = 2;
+  }
+
+  const created = [];
+  const skipped = [];
+  const seen = new Set();
+
+  for (const [i, row] of rows.entries()) {
+    const line = i + firstLine;
+    const username = row[columns.username] || '';
+    const displayName = (columns.display_name >= 0 && row[columns.display_name]) || username;
+    const given = columns.password >= 0 ? row[columns.password] : '';
+    const password = given || generatePassword();
+
+    const problem = validateCredentials(username, password);
+    if (problem) {
+      skipped.push({ line, username, reason: problem });
+    } else if (seen.has(username.toLowerCase()) || findUserByUsername(username)) {
+      skipped.push({ line, username, reason: 'Username already exists.' });
+    } else {
+      seen.add(username.toLowerCase());
+      const user = await createUser({ username, password, displayName });
+      // Only echo passwords back when we made them up
+      created.push({ ...user, password: given ? undefined : password });
+    }
+  }
+
+  return { created, skipped };
+}
+
+export const authRouter = express.Router();
+
+authRouter.post('/signup', async (req, res) => {
+  if (process.env.ALLOW_SIGNUP === 'false') {
+    return res.status(403).json({
+      error: { message: 'Sign-up is disabled. Ask your teacher for an account.' }
+    });
+  }
+
+  const { username, password, displayName } = req.body;
+  const problem = validateCredentials(username, password);
+  if (problem) {
+    return res.status(400).json({ error: { message: problem } });
+  }
+  if (displayName != null && typeof displayName !== 'string') {
+    return res.status(400).json({ error: { message: 'Display name must be text.' } });
+  }
+  if (findUserByUsername(username)) {
+    return res.status(409).json({ error: { message: 'That username is already taken.' } });
+  }
+
+  try {
+    const user = await createUser({ username, password, displayName: displayName?.trim() });
+    startSession(req, res, user.id);
+    res.status(201).json({ user });
+  } catch (error) {
+    if (isDuplicateUser(error)) {
+      return res.status(409).json({ error: { message: 'That username is already taken.' } });
+    }
+    console.error('Signup Error:', error);
+    res.status(500).json({ error: { message: 'Could not create the account. Please try again.' } });
+  }
+});
+
+authRouter.post('/login', async (req, res) => {
+  const { username, password } = req.body;
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return res.status(401).json({ error: { message: 'Incorrect username or password.' } });
+  }
+
+  try {
+    const row = findUserByUsername(username);
+    if (!row) {
+      await verifyPassword(password, await getDummyHash());
+      return res.status(401).json({ error: { message: 'Incorrect username or password.' } });
+    }
+    if (!(await verifyPassword(password, row.password_hash))) {
+      return res.status(401).json({ error: { message: 'Incorrect username or password.' } });
+    }
+
+    startSession(req, res, row.id);
+    res.json({ user: toUser(row) });
+  } catch (error) {
+    console.error('Login Error:', error);
+    res.status(500).json({ error: { message: 'Could not log in. Please try again.' } });
+  }
+});
+
+authRouter.post('/logout', (req, res) => {
+  endSession(req, res);
+  res.json({ ok: true });
+});
+
+// The login screen also uses this to decide whether to offer sign-up
+authRouter.get('/me', (req, res) => {
+  const user = getSessionUser(req);
+  const allowSignup = process.env.ALLOW_SIGNUP !== 'false';
+  if (!user) {
+    return res.status(401).json({ error: { message: 'Not logged in.' }, allowSignup });
+  }
+  res.json({ user, allowSignup });
+});
+
+export const adminRouter = express.Router();
+
+adminRouter.use(requireAdmin);
+
+adminRouter.post('/users/import', async (req, res) => {
+  const { csv } = req.body;
+  if (typeof csv !== 'string' || !csv.trim()) {
+    return res.status(400).json({ error: { message: 'Invalid request: csv text required' } });
+  }
+
+  try {
+    const result = await importStudents(csv);
+    console.log(`Imported ${result.created.length} accounts (${result.skipped.length} skipped) by ${req.user.username}`);
+    res.json(result);
+  } catch (error) {
+    console.error('Account Import Error:', error);
+    res.status(500).json({ error: { message: 'Could not import accounts: ' + error.message } });
+  }
+});
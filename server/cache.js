@@ -0,0 +1,102 @@
+// Response cache for repeated AI prompts
+// Whole classes ask about the same paragraph, so identical requests are answered from SQLite
+// Entries expire after CACHE_TTL_HOURS; the least recently used go first past CACHE_MAX_MB
+
+import crypto from 'crypto';
+import { getDB } from './db.js';
+
+// Hits and misses since the server started, for /api/health
+const stats = { hits: 0, misses: 0, stores: 0, evictions: 0 };
+
+// Read at request time: the environment is loaded after this module is imported
+function getCacheConfig() {
+  const ttlHours = process.env.CACHE_TTL_HOURS === undefined ? 168 : parseFloat(process.env.CACHE_TTL_HOURS);
+  const maxMB = process.env.CACHE_MAX_MB === undefined ? 50 : parseFloat(process.env.CACHE_MAX_MB);
+  return {
+    enabled: ttlHours > 0 && maxMB > 0,
+    ttlMs: ttlHours * 60 * 60 * 1000,
+    maxBytes: maxMB * 1024 * 1024
+  };
+}
+
+// Everything that changes the reply goes into the key
+export function getCacheKey({ provider, model, maxTokens, system, messages }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ provider, model, maxTokens, system: system || null, messages }))
+    .digest('hex');
+}
+
+export function getCachedResponse(key) {
+  const { enabled, ttlMs } = getCacheConfig();
+  if (!enabled) return null;
+
+  const db = getDB();
+  const row = db.prepare('SELECT response, created_at FROM response_cache WHERE key = ?').get(key);
+  if (!row || row.created_at + ttlMs < Date.now()) {
+    if (row) db.prepare('DELETE FROM response_cache WHERE key = ?').run(key);
+    stats.misses++;
+    return null;
+  }
+
+  db.prepare('UPDATE response_cache SET hits = hits + 1, last_used_at = ? WHERE key = ?').run(Date.now(), key);
+  stats.hits++;
+  return JSON.parse(row.response);
+}
+
+// Count a request that skipped the lookup (regenerate) as a miss
+export function recordCacheBypass() {
+  if (getCacheConfig().enabled) stats.misses++;
+}
+
+export function cacheResponse(key, response) {
+  const { enabled, ttlMs, maxBytes } = getCacheConfig();
+  if (!enabled || !response?.content?.[0]?.text) return;
+
+  const db = getDB();
+  const json = JSON.stringify(response);
+  const now = Date.now();
+
+  db.prepare(`
+    INSERT INTO response_cache (key, response, size, created_at, last_used_at, hits)
+    VALUES (?, ?, ?, ?, ?, 0)
+    ON CONFLICT (key) DO UPDATE SET
+      response = excluded.response, size = excluded.size,
+      created_at = excluded.created_at, last_used_at = excluded.last_used_at
+  `).run(key, json, Buffer.byteLength(json), now, now);
+  stats.stores++;
+
+  // Drop expired entries, then the least recently used until under the size limit
+  db.prepare('DELETE FROM response_cache WHERE created_at < ?').run(now - ttlMs);
+  let { total } = db.prepare('SELECT COALESCE(SUM(size), 0) AS total FROM response_cache').get();
+  if (total <= maxBytes) return;
+
+  const oldest = db.prepare('SELECT key, size FROM response_cache ORDER BY last_used_at ASC').iterate();
+  const evict = db.prepare('DELETE FROM response_cache WHERE key = ?');
+  const toEvict = [];
+  for (const row of oldest) {
+    if (total <= maxBytes) break;
+    toEvict.push(row.key);
+    total -= row.size;
+  }
+  db.transaction(() => toEvict.forEach(k => evict.run(k)))();
+  stats.evictions += toEvict.length;
+}
+
+export function getCacheStats() {
+  const { enabled, ttlMs, maxBytes } = getCacheConfig();
+  const { entries, size } = getDB()
+    .prepare('SELECT COUNT(*) AS entries, COALESCE(SUM(size), 0) AS size FROM response_cache')
+    .get();
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    enabled,
+    entries,
+    sizeBytes: size,
+    maxBytes,
+    ttlHours: ttlMs / (60 * 60 * 1000),
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : 0
+  };
+}
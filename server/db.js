@@ -0,0 +1,86 @@
+// SQLite database for server-side data (user accounts, sessions, token usage, the response cache
+// and each user's synced library)
+// The file lives in server/data by default; set DATABASE_PATH to move it (or ':memory:' for tests)
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Each entry upgrades the schema by one version; never edit an entry once released
+const MIGRATIONS = [
+  `CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    display_name TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'student' CHECK (role IN ('student', 'admin')),
+    created_at INTEGER NOT NULL
+  );
+  CREATE TABLE sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE INDEX sessions_user_id ON sessions(user_id);`,
+
+  `CREATE TABLE token_usage (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    day TEXT NOT NULL,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    requests INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, day)
+  );`,
+
+  `CREATE TABLE response_cache (
+    key TEXT PRIMARY KEY,
+    response TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    last_used_at INTEGER NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX response_cache_last_used ON response_cache(last_used_at);`,
+
+  `CREATE TABLE sync_records (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    store TEXT NOT NULL,
+    record_key TEXT NOT NULL,
+    data TEXT,
+    file BLOB,
+    updated_at INTEGER NOT NULL,
+    deleted INTEGER NOT NULL DEFAULT 0,
+    seq INTEGER NOT NULL,
+    PRIMARY KEY (user_id, store, record_key)
+  );
+  CREATE INDEX sync_records_seq ON sync_records(user_id, seq);`
+];
+
+let db = null;
+
+export function getDB() {
+  if (db) return db;
+
+  const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'data', 'kapul.db');
+  if (dbPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+
+  db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  const version = db.pragma('user_version', { simple: true });
+  for (let i = version; i < MIGRATIONS.length; i++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[i]);
+      db.pragma(`user_version = ${i + 1}`);
+    })();
+  }
+
+  return db;
+}
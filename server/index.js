@@ -6,6 +6,12 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { createProvider } from './providers/index.js';
+import { authRouter, adminRouter, requireAuth, ensureAdminUser } from './auth.js';
+import { enforceLimits, recordUsage, getQuota } from './limits.js';
+import { getCacheKey, getCachedResponse, cacheResponse, recordCacheBypass, getCacheStats } from './cache.js';
+import { createStreamCollector, messageToEvents } from './streamEvents.js';
+import { syncRouter } from './sync.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,15 +20,24 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.join(__dirname, '../.env') });
 
 const app = express();
+
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client address (used for per-IP limits)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 const PORT = process.env.PORT || 3001;
 
-// API Configuration from environment variables
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const ANTHROPIC_MODEL = process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-20241022';
+// API Configuration from environment variables (LLM_PROVIDER selects the upstream API)
+const provider = createProvider(process.env);
 const MAX_TOKENS = parseInt(process.env.MAX_TOKENS) || 1024;
 
 // Middleware
-app.use(cors());
+// Cross-origin requests are only allowed from the origins listed in CORS_ORIGIN,
+// since the session cookie would otherwise let any site spend the API credits
+const corsOrigins = (process.env.CORS_ORIGIN || '').split(',').map(origin => origin.trim()).filter(Boolean);
+if (corsOrigins.length > 0) {
+  app.use(cors({ origin: corsOrigins, credentials: true }));
+}
 app.use(express.json({ limit: '10mb' }));
 
 // Serve static files from the dist folder
@@ -32,75 +47,179 @@ app.use(express.static(path.join(__dirname, '../dist')));
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
-    apiConfigured: Boolean(ANTHROPIC_API_KEY),
-    model: ANTHROPIC_MODEL
+    apiConfigured: provider.configured,
+    provider: provider.name,
+    model: provider.model,
+    cache: getCacheStats()
   });
 });
 
 // API status endpoint
 app.get('/api/status', (req, res) => {
   res.json({
-    configured: Boolean(ANTHROPIC_API_KEY),
-    model: ANTHROPIC_MODEL
+    configured: provider.configured,
+    provider: provider.name,
+    model: provider.model
   });
 });
 
-// Proxy endpoint for Claude API
-app.post('/api/claude', async (req, res) => {
-  if (!ANTHROPIC_API_KEY) {
-    return res.status(500).json({
+// Accounts
+app.use('/api/auth', authRouter);
+app.use('/api/admin', adminRouter);
+
+// Library sync between devices
+app.use('/api/sync', syncRouter);
+
+// Today's token budget for the logged-in user
+app.get('/api/quota', requireAuth, (req, res) => {
+  res.json(getQuota(req.user.id));
+});
+
+// Validate a proxy request and build the provider request parameters
+// Sends the error response and returns null when the request can't be proxied
+function buildRequestParams(req, res) {
+  if (!provider.configured) {
+    res.status(500).json({
       error: { message: 'API key not configured on server' }
     });
+    return null;
   }
 
-  const { messages, system } = req.body;
+  const { messages, system, regenerate } = req.body;
 
   if (!messages || !Array.isArray(messages)) {
-    return res.status(400).json({
+    res.status(400).json({
       error: { message: 'Invalid request: messages array required' }
     });
+    return null;
   }
 
-  try {
-    const requestBody = {
-      model: ANTHROPIC_MODEL,
-      max_tokens: MAX_TOKENS,
-      messages: messages
-    };
-
+  const params = {
+    model: provider.model,
+    maxTokens: MAX_TOKENS,
+    messages: messages,
     // Only include system if it's a non-empty string
-    if (system && system.trim()) {
-      requestBody.system = system;
-    }
+    system: system && system.trim() ? system : null
+  };
+
+  // Identical requests share a cached reply unless the student asks to regenerate it
+  params.cacheKey = getCacheKey({ provider: provider.name, ...params });
+  params.regenerate = Boolean(regenerate);
+
+  console.log(`API Request: user=${req.user.username}, provider=${provider.name}, model=${provider.model}, messages=${messages.length}, system=${params.system ? 'yes' : 'no'}${params.regenerate ? ', regenerate' : ''}`);
+  return params;
+}
+
+// Look up a cached reply, unless the request asked for a fresh one
+function lookupCache(params) {
+  if (params.regenerate) {
+    recordCacheBypass();
+    return null;
+  }
+  return getCachedResponse(params.cacheKey);
+}
+
+// Relay an upstream error status and message to the client
+async function sendUpstreamError(res, response) {
+  const errorData = await response.json().catch(() => ({}));
+  console.error(`LLM API Error ${response.status}:`, JSON.stringify(errorData));
+  res.status(response.status).json({
+    error: provider.normalizeError(errorData) || { message: `API Error: ${response.status} - ${response.statusText}` }
+  });
+}
 
-    console.log(`API Request: model=${ANTHROPIC_MODEL}, messages=${messages.length}, system=${system ? 'yes' : 'no'}`);
+// Proxy endpoint for the configured LLM provider (route name kept for the client)
+app.post('/api/claude', requireAuth, enforceLimits, async (req, res) => {
+  const params = buildRequestParams(req, res);
+  if (!params) return;
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify(requestBody)
-    });
+  const cached = lookupCache(params);
+  if (cached) {
+    res.setHeader('X-Cache', 'HIT');
+    return res.json(cached);
+  }
+
+  try {
+    const response = await provider.request(params);
 
     if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error(`Claude API Error ${response.status}:`, JSON.stringify(errorData));
-      return res.status(response.status).json({
-        error: errorData.error || { message: `API Error: ${response.status} - ${response.statusText}` }
-      });
+      return sendUpstreamError(res, response);
     }
 
-    const data = await response.json();
+    const data = provider.normalizeResponse(await response.json());
+    recordUsage(req.user.id, data.usage);
+    cacheResponse(params.cacheKey, data);
+    res.setHeader('X-Cache', 'MISS');
     console.log(`API Response: ${data.content?.[0]?.text?.slice(0, 50) || 'empty'}...`);
     res.json(data);
   } catch (error) {
-    console.error('Claude API Connection Error:', error.message);
+    console.error('LLM API Connection Error:', error.message);
     res.status(500).json({
-      error: { message: 'Failed to connect to Claude API: ' + error.message }
+      error: { message: 'Failed to connect to AI service: ' + error.message }
+    });
+  }
+});
+
+// Streaming proxy endpoint: relays the upstream server-sent events as they arrive
+app.post('/api/claude/stream', requireAuth, enforceLimits, async (req, res) => {
+  const params = buildRequestParams(req, res);
+  if (!params) return;
+
+  const cached = lookupCache(params);
+  if (cached) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Cache': 'HIT' });
+    return res.end(messageToEvents(cached));
+  }
+
+  // Stop the upstream request when the client disconnects or presses Stop
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  // Count whatever the upstream reports, even if the stream is cut short
+  const collector = createStreamCollector();
+  let streamed = false;
+
+  try {
+    const response = await provider.request({ ...params, stream: true }, controller.signal);
+
+    if (!response.ok) {
+      return sendUpstreamError(res, response);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no',
+      'X-Cache': 'MISS'
     });
+
+    streamed = true;
+    for await (const events of provider.streamEvents(response)) {
+      collector.push(events);
+      res.write(events);
+    }
+    res.end();
+    cacheResponse(params.cacheKey, collector.getMessage());
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('API Stream: client disconnected');
+      return;
+    }
+
+    console.error('LLM API Stream Error:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: { message: 'Failed to connect to AI service: ' + error.message }
+      });
+    } else {
+      // Report mid-stream failures in the same event format as the upstream
+      res.write(`event: error\ndata: ${JSON.stringify({ type: 'error', error: { message: error.message } })}\n\n`);
+      res.end();
+    }
+  } finally {
+    if (streamed) recordUsage(req.user.id, collector.usage);
   }
 });
 
@@ -109,9 +228,14 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../dist/index.html'));
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Kapul Reader server running on port ${PORT}`);
-  console.log(`API configured: ${Boolean(ANTHROPIC_API_KEY)}`);
-  console.log(`Model: ${ANTHROPIC_MODEL}`);
-});
+// Start server (skipped when imported, e.g. by the tests)
+if (process.argv[1] === __filename) {
+  await ensureAdminUser();
+  app.listen(PORT, () => {
+    console.log(`Kapul Reader server running on port ${PORT}`);
+    console.log(`API configured: ${provider.configured}`);
+    console.log(`Provider: ${provider.name}, model: ${provider.model}`);
+  });
+}
+
+export default app;
@@ -0,0 +1,132 @@
+// Request rate limits and daily token budgets for the AI proxy
+// Rate limits are fixed-window counters kept in memory (per user and per IP);
+// token usage is stored per user per UTC day in SQLite, from the upstream `usage` field
+
+import { getDB } from './db.js';
+
+// Read at request time: the environment is loaded after this module is imported
+function getLimits() {
+  const number = (value, fallback) => (value === undefined || value === '' ? fallback : parseInt(value));
+  return {
+    userRequests: number(process.env.RATE_LIMIT_USER, 20),
+    ipRequests: number(process.env.RATE_LIMIT_IP, 60),
+    windowSeconds: number(process.env.RATE_LIMIT_WINDOW_SECONDS, 60) || 60,
+    dailyTokens: number(process.env.DAILY_TOKEN_BUDGET, 50000)
+  };
+}
+
+// Request counters: key -> { count, resetAt }
+const windows = new Map();
+
+function countRequest(key, limit, windowMs, now) {
+  let entry = windows.get(key);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowMs };
+    windows.set(key, entry);
+  }
+  entry.count++;
+  return { allowed: entry.count <= limit, remaining: Math.max(0, limit - entry.count), resetAt: entry.resetAt };
+}
+
+// Drop finished windows so the map doesn't grow with every IP ever seen
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of windows) {
+    if (entry.resetAt <= now) windows.delete(key);
+  }
+}, 60 * 1000).unref();
+
+function today(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function nextMidnight(now = Date.now()) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+export function getTokensUsedToday(userId) {
+  const row = getDB()
+    .prepare('SELECT input_tokens + output_tokens AS total FROM token_usage WHERE user_id = ? AND day = ?')
+    .get(userId, today());
+  return row?.total || 0;
+}
+
+// Add an upstream response's usage to the user's total for today
+export function recordUsage(userId, usage) {
+  const input = usage?.input_tokens || 0;
+  const output = usage?.output_tokens || 0;
+  getDB().prepare(`
+    INSERT INTO token_usage (user_id, day, input_tokens, output_tokens, requests)
+    VALUES (?, ?, ?, ?, 1)
+    ON CONFLICT (user_id, day) DO UPDATE SET
+      input_tokens = input_tokens + excluded.input_tokens,
+      output_tokens = output_tokens + excluded.output_tokens,
+      requests = requests + 1
+  `).run(userId, today(), input, output);
+}
+
+// Today's token budget for a user; limit is null when budgets are off
+export function getQuota(userId) {
+  const { dailyTokens } = getLimits();
+  const used = getTokensUsedToday(userId);
+  return {
+    used,
+    limit: dailyTokens > 0 ? dailyTokens : null,
+    remaining: dailyTokens > 0 ? Math.max(0, dailyTokens - used) : null,
+    resetAt: new Date(nextMidnight()).toISOString()
+  };
+}
+
+function sendLimited(res, { kind, scope, limit, remaining, resetAt, windowSeconds = null, message }) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.setHeader('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error: {
+      type: 'rate_limit_error',
+      message,
+      quota: { kind, scope, limit, remaining, windowSeconds, resetAt: new Date(resetAt).toISOString(), retryAfter }
+    }
+  });
+}
+
+// Middleware (after requireAuth): enforce the request rate and token budget
+export function enforceLimits(req, res, next) {
+  const limits = getLimits();
+  const now = Date.now();
+  const windowMs = limits.windowSeconds * 1000;
+
+  if (limits.ipRequests > 0) {
+    const ip = countRequest(`ip:${req.ip}`, limits.ipRequests, windowMs, now);
+    if (!ip.allowed) {
+      return sendLimited(res, {
+        kind: 'requests', scope: 'ip', limit: limits.ipRequests, remaining: 0, resetAt: ip.resetAt,
+        windowSeconds: limits.windowSeconds,
+        message: 'Too many AI requests from this network. Please wait a moment.'
+      });
+    }
+  }
+
+  if (limits.userRequests > 0) {
+    const user = countRequest(`user:${req.user.id}`, limits.userRequests, windowMs, now);
+    if (!user.allowed) {
+      return sendLimited(res, {
+        kind: 'requests', scope: 'user', limit: limits.userRequests, remaining: 0, resetAt: user.resetAt,
+        windowSeconds: limits.windowSeconds,
+        message: 'You are sending AI requests too quickly. Please wait a moment.'
+      });
+    }
+  }
+
+  if (limits.dailyTokens > 0) {
+    const used = getTokensUsedToday(req.user.id);
+    if (used >= limits.dailyTokens) {
+      return sendLimited(res, {
+        kind: 'tokens', scope: 'user', limit: limits.dailyTokens, remaining: 0, resetAt: nextMidnight(now),
+        message: "You've used today's AI allowance."
+      });
+    }
+  }
+
+  next();
+}
@@ -0,0 +1,49 @@
+// Anthropic Messages API provider
+// Requests and responses are already in the shape the client expects, so they pass straight through
+
+export function createAnthropicProvider(env) {
+  const apiKey = env.ANTHROPIC_API_KEY;
+  const apiUrl = env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages';
+
+  return {
+    name: 'anthropic',
+    model: env.ANTHROPIC_MODEL || 'claude-3-5-haiku-20241022',
+    configured: Boolean(apiKey),
+
+    request({ model, system, messages, maxTokens, stream }, signal) {
+      const body = {
+        model,
+        max_tokens: maxTokens,
+        messages
+      };
+      if (system) body.system = system;
+      if (stream) body.stream = true;
+
+      return fetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+    },
+
+    normalizeResponse(data) {
+      return data;
+    },
+
+    normalizeError(data) {
+      return data.error;
+    },
+
+    async *streamEvents(response) {
+      const decoder = new TextDecoder();
+      for await (const chunk of response.body) {
+        yield decoder.decode(chunk, { stream: true });
+      }
+    }
+  };
+}
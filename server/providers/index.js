@@ -0,0 +1,23 @@
+// LLM provider selection
+// Each provider builds the upstream request and converts replies to the Anthropic Messages format:
+//   request(params, signal)   -> fetch Response from the upstream API
+//   normalizeResponse(data)   -> { content: [{ type: 'text', text }], usage, ... }
+//   normalizeError(data)      -> { message } from an upstream error body
+//   streamEvents(response)    -> async iterable of Anthropic-style SSE text
+
+import { createAnthropicProvider } from './anthropic.js';
+import { createOpenAIProvider } from './openai.js';
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider
+};
+
+export function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'anthropic').toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory(env);
+}
@@ -0,0 +1,140 @@
+// OpenAI-compatible chat completions provider (OpenAI, Ollama, vLLM, llama.cpp server, ...)
+// Responses and stream events are converted to the Anthropic Messages format
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  content_filter: 'end_turn'
+};
+
+// Anthropic content may be a string or a list of blocks; chat completions want plain text
+function toText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+function toUsage(usage) {
+  return {
+    input_tokens: usage?.prompt_tokens || 0,
+    output_tokens: usage?.completion_tokens || 0
+  };
+}
+
+function sseEvent(type, data) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+export function createOpenAIProvider(env) {
+  const apiKey = env.OPENAI_API_KEY;
+  const baseUrl = (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+
+  return {
+    name: 'openai',
+    model: env.OPENAI_MODEL || 'gpt-4o-mini',
+    // Local servers usually need no key, so a custom base URL is enough
+    configured: Boolean(apiKey || env.OPENAI_BASE_URL),
+
+    request({ model, system, messages, maxTokens, stream }, signal) {
+      const body = {
+        model,
+        max_tokens: maxTokens,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...messages.map(message => ({ role: message.role, content: toText(message.content) }))
+        ]
+      };
+      if (stream) {
+        body.stream = true;
+        body.stream_options = { include_usage: true };
+      }
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      return fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal
+      });
+    },
+
+    normalizeResponse(data) {
+      const choice = data.choices?.[0];
+      return {
+        id: data.id,
+        type: 'message',
+        role: 'assistant',
+        model: data.model,
+        content: [{ type: 'text', text: choice?.message?.content || '' }],
+        stop_reason: STOP_REASONS[choice?.finish_reason] || null,
+        usage: toUsage(data.usage)
+      };
+    },
+
+    normalizeError(data) {
+      // OpenAI nests the message under error; some local servers return a bare string
+      if (typeof data.error === 'string') return { message: data.error };
+      return data.error;
+    },
+
+    async *streamEvents(response) {
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let started = false;
+      let stopReason = null;
+      let usage = null;
+
+      const start = (data) => {
+        started = true;
+        return sseEvent('message_start', {
+          message: { id: data.id, type: 'message', role: 'assistant', model: data.model, content: [], usage: toUsage(null) }
+        }) + sseEvent('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+      };
+
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        let out = '';
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const payload = line.slice(5).trim();
+          if (!payload || payload === '[DONE]') continue;
+
+          let data;
+          try {
+            data = JSON.parse(payload);
+          } catch (e) {
+            continue;
+          }
+
+          if (data.error) {
+            out += sseEvent('error', { error: this.normalizeError(data) });
+            continue;
+          }
+          if (!started) out += start(data);
+
+          const choice = data.choices?.[0];
+          if (choice?.delta?.content) {
+            out += sseEvent('content_block_delta', { index: 0, delta: { type: 'text_delta', text: choice.delta.content } });
+          }
+          if (choice?.finish_reason) stopReason = STOP_REASONS[choice.finish_reason] || null;
+          if (data.usage) usage = data.usage;
+        }
+        if (out) yield out;
+      }
+
+      if (!started) yield start({});
+      yield sseEvent('content_block_stop', { index: 0 }) +
+        sseEvent('message_delta', { delta: { stop_reason: stopReason }, usage: toUsage(usage) }) +
+        sseEvent('message_stop', {});
+    }
+  };
+}
@@ -0,0 +1,72 @@
+// Helpers for Messages-format server-sent event streams
+
+function sseEvent(type, data) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+// Collects the reply text, stop reason and usage from a stream as it passes through
+// message_start carries the input tokens, message_delta the (final) output tokens
+export function createStreamCollector() {
+  let buffer = '';
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  let text = '';
+  let stopReason = null;
+  let stopped = false;
+  let failed = false;
+
+  return {
+    usage,
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        let data;
+        try {
+          data = JSON.parse(line.slice(5));
+        } catch (e) {
+          continue;
+        }
+
+        const eventUsage = data.type === 'message_start' ? data.message?.usage : data.usage;
+        if (eventUsage?.input_tokens) usage.input_tokens = eventUsage.input_tokens;
+        if (eventUsage?.output_tokens) usage.output_tokens = eventUsage.output_tokens;
+
+        if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+          text += data.delta.text;
+        } else if (data.type === 'message_delta') {
+          stopReason = data.delta?.stop_reason || stopReason;
+        } else if (data.type === 'message_stop') {
+          stopped = true;
+        } else if (data.type === 'error') {
+          failed = true;
+        }
+      }
+    },
+    // The whole reply as a non-streaming response body, or null if the stream failed
+    // or was cut off before the upstream said it had finished
+    getMessage() {
+      if (failed || !text || !stopped || !stopReason) return null;
+      return {
+        type: 'message',
+        role: 'assistant',
+        content: [{ type: 'text', text }],
+        stop_reason: stopReason,
+        usage: { ...usage }
+      };
+    }
+  };
+}
+
+// Replay a stored response as a stream, so cached answers look the same to the client
+export function messageToEvents(message) {
+  const text = message.content?.[0]?.text || '';
+  return sseEvent('message_start', { message: { ...message, content: [] } }) +
+    sseEvent('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }) +
+    sseEvent('content_block_delta', { index: 0, delta: { type: 'text_delta', text } }) +
+    sseEvent('content_block_stop', { index: 0 }) +
+    sseEvent('message_delta', { delta: { stop_reason: message.stop_reason || 'end_turn' }, usage: message.usage }) +
+    sseEvent('message_stop', {});
+}
@@ -0,0 +1,179 @@
+// Library sync between a user's devices
+// Clients push records with an updatedAt timestamp and the newest copy wins; every accepted
+// change gets the next sequence number for its user, so devices pull "everything after seq N".
+// Book files (the fileData store) are uploaded and downloaded separately as raw bytes.
+
+import express from 'express';
+import { getDB } from './db.js';
+import { requireAuth } from './auth.js';
+
+const STORES = ['books', 'highlights', 'flashcards', 'progress', 'notes', 'aiHistory', 'fileData'];
+const PAGE_SIZE = 500;
+
+// Read at request time: the environment is loaded after this module is imported
+function getMaxFileMB() {
+  return parseFloat(process.env.SYNC_MAX_FILE_MB) || 200;
+}
+
+function nextSeq(db, userId) {
+  return db.prepare('SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM sync_records WHERE user_id = ?').get(userId).seq;
+}
+
+function toChange(row) {
+  return {
+    store: row.store,
+    id: JSON.parse(row.record_key),
+    updatedAt: row.updated_at,
+    deleted: Boolean(row.deleted),
+    data: row.data ? JSON.parse(row.data) : null
+  };
+}
+
+function validateChange(change) {
+  if (!change || !STORES.includes(change.store)) return 'unknown store';
+  if (change.id === undefined || change.id === null) return 'missing id';
+  if (!Number.isFinite(change.updatedAt)) return 'missing updatedAt';
+  // File contents only arrive through PUT /files/:key
+  if (change.store === 'fileData' && !change.deleted) return 'files must be uploaded separately';
+  if (!change.deleted && (typeof change.data !== 'object' || change.data === null)) return 'missing data';
+  return null;
+}
+
+// Store the pushed changes that are newer than the server's copy
+// Returns the keys of rejected changes, so the client can be sent the winning version
+export function applyChanges(userId, changes) {
+  const db = getDB();
+  const find = db.prepare('SELECT updated_at FROM sync_records WHERE user_id = ? AND store = ? AND record_key = ?');
+  const upsert = db.prepare(`
+    INSERT INTO sync_records (user_id, store, record_key, data, file, updated_at, deleted, seq)
+    VALUES (@userId, @store, @key, @data, NULL, @updatedAt, @deleted, @seq)
+    ON CONFLICT (user_id, store, record_key) DO UPDATE SET
+      data = excluded.data,
+      file = CASE WHEN excluded.deleted THEN NULL ELSE file END,
+      updated_at = excluded.updated_at, deleted = excluded.deleted, seq = excluded.seq
+  `);
+
+  const rejected = [];
+  db.transaction(() => {
+    let seq = nextSeq(db, userId);
+    for (const change of changes) {
+      const key = JSON.stringify(change.id);
+      const existing = find.get(userId, change.store, key);
+      if (existing && existing.updated_at >= change.updatedAt) {
+        if (existing.updated_at > change.updatedAt) rejected.push({ store: change.store, key });
+        continue;
+      }
+      upsert.run({
+        userId,
+        store: change.store,
+        key,
+        data: change.deleted ? null : JSON.stringify(change.data),
+        updatedAt: change.updatedAt,
+        deleted: change.deleted ? 1 : 0,
+        seq: seq++
+      });
+    }
+  })();
+  return rejected;
+}
+
+// Changes after the cursor, oldest first; file rows carry their size instead of the bytes
+export function getChanges(userId, cursor, limit = PAGE_SIZE) {
+  const rows = getDB().prepare(`
+    SELECT store, record_key, data, updated_at, deleted, seq
+    FROM sync_records WHERE user_id = ? AND seq > ? ORDER BY seq LIMIT ?
+  `).all(userId, cursor, limit + 1);
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  return {
+    changes: page.map(toChange),
+    cursor: page.length > 0 ? page[page.length - 1].seq : cursor,
+    hasMore
+  };
+}
+
+export const syncRouter = express.Router();
+
+syncRouter.use(requireAuth);
+
+// Push local changes and pull everything after the cursor in one round trip
+syncRouter.post('/', (req, res) => {
+  const { cursor = 0, changes = [] } = req.body;
+  if (!Number.isInteger(cursor) || cursor < 0 || !Array.isArray(changes)) {
+    return res.status(400).json({ error: { message: 'Invalid request: cursor and changes array required' } });
+  }
+  for (const change of changes) {
+    const problem = validateChange(change);
+    if (problem) {
+      return res.status(400).json({ error: { message: `Invalid change: ${problem}` } });
+    }
+  }
+
+  const rejected = applyChanges(req.user.id, changes);
+  const result = getChanges(req.user.id, cursor);
+
+  // Rejected changes lost to a newer copy the client may already be past; send it again
+  const included = new Set(result.changes.map(change => `${change.store}:${JSON.stringify(change.id)}`));
+  const find = getDB().prepare(`
+    SELECT store, record_key, data, updated_at, deleted FROM sync_records
+    WHERE user_id = ? AND store = ? AND record_key = ?
+  `);
+  for (const { store, key } of rejected) {
+    if (!included.has(`${store}:${key}`)) result.changes.push(toChange(find.get(req.user.id, store, key)));
+  }
+
+  res.json({ ...result, serverTime: Date.now() });
+});
+
+// Upload a book file; the key is the JSON-encoded book id
+syncRouter.put('/files/:key', (req, res, next) => {
+  express.raw({ type: () => true, limit: Math.floor(getMaxFileMB() * 1024 * 1024) })(req, res, next);
+}, (req, res) => {
+  const updatedAt = parseInt(req.query.updatedAt);
+  if (!Number.isFinite(updatedAt) || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: { message: 'Invalid request: file body and updatedAt required' } });
+  }
+
+  const db = getDB();
+  const key = req.params.key;
+  const existing = db
+    .prepare("SELECT updated_at FROM sync_records WHERE user_id = ? AND store = 'fileData' AND record_key = ?")
+    .get(req.user.id, key);
+  if (existing && existing.updated_at > updatedAt) {
+    return res.json({ accepted: false, updatedAt: existing.updated_at });
+  }
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO sync_records (user_id, store, record_key, data, file, updated_at, deleted, seq)
+      VALUES (?, 'fileData', ?, ?, ?, ?, 0, ?)
+      ON CONFLICT (user_id, store, record_key) DO UPDATE SET
+        data = excluded.data, file = excluded.file, updated_at = excluded.updated_at,
+        deleted = 0, seq = excluded.seq
+    `).run(req.user.id, key, JSON.stringify({ size: req.body.length }), req.body, updatedAt, nextSeq(db, req.user.id));
+  })();
+
+  res.json({ accepted: true, updatedAt });
+});
+
+syncRouter.get('/files/:key', (req, res) => {
+  const row = getDB()
+    .prepare("SELECT file, updated_at FROM sync_records WHERE user_id = ? AND store = 'fileData' AND record_key = ? AND deleted = 0")
+    .get(req.user.id, req.params.key);
+  if (!row?.file) {
+    return res.status(404).json({ error: { message: 'File not found' } });
+  }
+
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('X-Updated-At', String(row.updated_at));
+  res.send(row.file);
+});
+
+// Too-large uploads come back as JSON like every other error here
+syncRouter.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: { message: `Files larger than ${getMaxFileMB()} MB can't be synced` } });
+  }
+  next(err);
+});
@@ -0,0 +1,110 @@
+// Tests for accounts, sessions and the admin CSV import
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+let server;
+let baseUrl;
+let adminCookie;
+
+function post(path, body, cookie) {
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+    body: JSON.stringify(body)
+  });
+}
+
+function cookieFrom(response) {
+  return response.headers.get('set-cookie').split(';')[0];
+}
+
+before(async () => {
+  process.env.ANTHROPIC_API_KEY = 'test-key';
+  process.env.DATABASE_PATH = ':memory:';
+
+  const { default: app } = await import('../index.js');
+  server = await new Promise(resolve => {
+    const instance = app.listen(0, '127.0.0.1', () => resolve(instance));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const { createUser } = await import('../auth.js');
+  await createUser({ username: 'teacher', password: 'admin-password', role: 'admin' });
+  adminCookie = cookieFrom(await post('/api/auth/login', { username: 'teacher', password: 'admin-password' }));
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('AI routes require a session', async () => {
+  const response = await post('/api/claude', { messages: [{ role: 'user', content: 'Hi' }] });
+  assert.equal(response.status, 401);
+
+  const stream = await post('/api/claude/stream', { messages: [{ role: 'user', content: 'Hi' }] });
+  assert.equal(stream.status, 401);
+});
+
+test('signup starts a session that /me recognises until logout', async () => {
+  const signup = await post('/api/auth/signup', { username: 'Ana.K', password: 'long-enough', displayName: 'Ana' });
+  assert.equal(signup.status, 201);
+  const cookie = cookieFrom(signup);
+  assert.match(signup.headers.get('set-cookie'), /HttpOnly/);
+
+  const me = await fetch(`${baseUrl}/api/auth/me`, { headers: { Cookie: cookie } });
+  const data = await me.json();
+  assert.equal(data.user.username, 'Ana.K');
+  assert.equal(data.user.role, 'student');
+  assert.equal(data.user.password_hash, undefined);
+
+  await post('/api/auth/logout', {}, cookie);
+  const after = await fetch(`${baseUrl}/api/auth/me`, { headers: { Cookie: cookie } });
+  assert.equal(after.status, 401);
+});
+
+test('rejects duplicate usernames, short passwords and wrong passwords', async () => {
+  assert.equal((await post('/api/auth/signup', { username: 'ana.k', password: 'long-enough' })).status, 409);
+  assert.equal((await post('/api/auth/signup', { username: 'ben', password: 'short' })).status, 400);
+  assert.equal((await post('/api/auth/login', { username: 'teacher', password: 'wrong-password' })).status, 401);
+  assert.equal((await post('/api/auth/login', { username: 'nobody', password: 'wrong-password' })).status, 401);
+});
+
+test('rejects credentials that are not strings without crashing', async () => {
+  assert.equal((await post('/api/auth/signup', { username: 'alice', password: 12345678 })).status, 400);
+  assert.equal((await post('/api/auth/signup', { username: ['alice'], password: 'long-enough' })).status, 400);
+  assert.equal((await post('/api/auth/signup', { username: 'alice', password: 'long-enough', displayName: 42 })).status, 400);
+  assert.equal((await post('/api/auth/login', { username: 'teacher', password: 12345678 })).status, 401);
+  assert.equal((await post('/api/auth/login', { username: { $ne: '' }, password: 'admin-password' })).status, 401);
+
+  // The server is still up
+  assert.equal((await post('/api/auth/signup', { username: 'alice', password: 'long-enough' })).status, 201);
+});
+
+test('admins can bulk-create student accounts from CSV', async () => {
+  const csv = [
+    'Name,Username,Password',
+    '"Kila, Joseph",jkila,',
+    'Mary Tau,mtau,mary-secret',
+    'Bad Row,x,',
+    'Duplicate,teacher,whatever-long'
+  ].join('\r\n');
+
+  const response = await post('/api/admin/users/import', { csv }, adminCookie);
+  assert.equal(response.status, 200);
+  const { created, skipped } = await response.json();
+
+  assert.deepEqual(created.map(user => user.username), ['jkila', 'mtau']);
+  assert.equal(created[0].displayName, 'Kila, Joseph');
+  assert.equal(created[0].password.length, 10);
+  assert.equal(created[1].password, undefined);
+  assert.deepEqual(skipped.map(row => row.line), [4, 5]);
+
+  // The generated password works
+  const login = await post('/api/auth/login', { username: 'jkila', password: created[0].password });
+  assert.equal(login.status, 200);
+
+  // Students can't import accounts
+  const student = await post('/api/admin/users/import', { csv }, cookieFrom(login));
+  assert.equal(student.status, 403);
+});
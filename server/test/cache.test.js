@@ -0,0 +1,137 @@
+// Tests for the response cache
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+let upstream;
+let upstreamCalls = 0;
+let server;
+let baseUrl;
+let cookie;
+
+function listen(target) {
+  return new Promise(resolve => {
+    const instance = target.listen(0, '127.0.0.1', () => resolve(instance));
+  });
+}
+
+before(async () => {
+  // Numbered answers show whether a reply came from the upstream or the cache
+  upstream = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      upstreamCalls++;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        content: [{ type: 'text', text: `Answer ${upstreamCalls}` }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 5, output_tokens: 5 }
+      }));
+    });
+  });
+  await listen(upstream);
+
+  process.env.ANTHROPIC_API_KEY = 'test-key';
+  process.env.ANTHROPIC_API_URL = `http://127.0.0.1:${upstream.address().port}/v1/messages`;
+  process.env.DATABASE_PATH = ':memory:';
+
+  const { default: app } = await import('../index.js');
+  server = await listen(app);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const { createUser } = await import('../auth.js');
+  await createUser({ username: 'student', password: 'password-123' });
+  const login = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'student', password: 'password-123' })
+  });
+  cookie = login.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  upstream.close();
+});
+
+function ask(body, path = '/api/claude') {
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: cookie },
+    body: JSON.stringify({ system: 'Explain', messages: [{ role: 'user', content: 'What is a cell?' }], ...body })
+  });
+}
+
+test('answers identical requests from the cache', async () => {
+  const first = await ask();
+  assert.equal(first.headers.get('x-cache'), 'MISS');
+  assert.equal((await first.json()).content[0].text, 'Answer 1');
+
+  const second = await ask();
+  assert.equal(second.headers.get('x-cache'), 'HIT');
+  assert.equal((await second.json()).content[0].text, 'Answer 1');
+  assert.equal(upstreamCalls, 1);
+
+  // A different system prompt is a different request
+  await ask({ system: 'Solve' });
+  assert.equal(upstreamCalls, 2);
+});
+
+test('regenerate bypasses the cache and replaces the stored reply', async () => {
+  const fresh = await ask({ regenerate: true });
+  assert.equal(fresh.headers.get('x-cache'), 'MISS');
+  assert.equal((await fresh.json()).content[0].text, 'Answer 3');
+
+  const again = await ask();
+  assert.equal((await again.json()).content[0].text, 'Answer 3');
+});
+
+test('replays cached replies as a stream', async () => {
+  const response = await ask({}, '/api/claude/stream');
+  assert.equal(response.headers.get('x-cache'), 'HIT');
+
+  const text = await response.text();
+  const deltas = [...text.matchAll(/^data: (.*)$/gm)]
+    .map(match => JSON.parse(match[1]))
+    .filter(event => event.type === 'content_block_delta');
+  assert.deepEqual(deltas.map(event => event.delta.text), ['Answer 3']);
+  assert.equal(upstreamCalls, 3);
+});
+
+test('reports cache metrics on /api/health', async () => {
+  const { cache } = await (await fetch(`${baseUrl}/api/health`)).json();
+  assert.equal(cache.enabled, true);
+  assert.equal(cache.entries, 2);
+  assert.equal(cache.hits, 3);
+  assert.equal(cache.misses, 3);
+  assert.equal(cache.hitRate, 0.5);
+  assert.ok(cache.sizeBytes > 0);
+});
+
+test('evicts the least recently used entries past the size limit', async () => {
+  const { getCacheKey, getCachedResponse, cacheResponse } = await import('../cache.js');
+  const reply = text => ({ content: [{ type: 'text', text }] });
+  const size = JSON.stringify(reply('x'.repeat(100))).length;
+  // Entries are ordered by millisecond timestamps
+  const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+  process.env.CACHE_MAX_MB = String((size * 2.5) / (1024 * 1024));
+  try {
+    const keys = ['a', 'b', 'c'].map(name => getCacheKey({ messages: [name] }));
+    cacheResponse(keys[0], reply('a'.repeat(100)));
+    await tick();
+    cacheResponse(keys[1], reply('b'.repeat(100)));
+    await tick();
+    // Using the first entry makes the second the oldest
+    assert.ok(getCachedResponse(keys[0]));
+    await tick();
+    cacheResponse(keys[2], reply('c'.repeat(100)));
+
+    assert.ok(getCachedResponse(keys[0]));
+    assert.equal(getCachedResponse(keys[1]), null);
+    assert.ok(getCachedResponse(keys[2]));
+  } finally {
+    delete process.env.CACHE_MAX_MB;
+  }
+});
@@ -0,0 +1,126 @@
+// Tests for request rate limits and daily token budgets
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+let upstream;
+let server;
+let baseUrl;
+const cookies = {};
+
+function listen(target) {
+  return new Promise(resolve => {
+    const instance = target.listen(0, '127.0.0.1', () => resolve(instance));
+  });
+}
+
+function sseEvent(type, data) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+before(async () => {
+  // Every reply uses 10 input and 15 output tokens
+  upstream = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (!JSON.parse(body).stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          content: [{ type: 'text', text: 'Answer' }],
+          usage: { input_tokens: 10, output_tokens: 15 }
+        }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(sseEvent('message_start', { message: { content: [], usage: { input_tokens: 10, output_tokens: 1 } } }));
+      res.write(sseEvent('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'Answer' } }));
+      res.write(sseEvent('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 15 } }));
+      res.end(sseEvent('message_stop', {}));
+    });
+  });
+  await listen(upstream);
+
+  process.env.ANTHROPIC_API_KEY = 'test-key';
+  process.env.ANTHROPIC_API_URL = `http://127.0.0.1:${upstream.address().port}/v1/messages`;
+  process.env.DATABASE_PATH = ':memory:';
+  process.env.RATE_LIMIT_USER = '3';
+  process.env.RATE_LIMIT_IP = '100';
+  process.env.DAILY_TOKEN_BUDGET = '30';
+  // Repeated questions would otherwise be answered from the cache without using tokens
+  process.env.CACHE_TTL_HOURS = '0';
+
+  const { default: app } = await import('../index.js');
+  server = await listen(app);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const { createUser } = await import('../auth.js');
+  for (const username of ['budget', 'rapid', 'streamer']) {
+    await createUser({ username, password: 'password-123' });
+    const login = await fetch(`${baseUrl}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password: 'password-123' })
+    });
+    cookies[username] = login.headers.get('set-cookie').split(';')[0];
+  }
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  upstream.close();
+});
+
+function ask(username, body = { messages: [{ role: 'user', content: 'Hi' }] }, path = '/api/claude') {
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: cookies[username] },
+    body: JSON.stringify(body)
+  });
+}
+
+async function quota(username) {
+  const response = await fetch(`${baseUrl}/api/quota`, { headers: { Cookie: cookies[username] } });
+  return response.json();
+}
+
+test('tracks token usage and rejects calls once the daily budget is spent', async () => {
+  assert.equal((await ask('budget')).status, 200);
+  const { used, remaining } = await quota('budget');
+  assert.deepEqual({ used, remaining }, { used: 25, remaining: 5 });
+
+  // Still under budget before this call, so it goes through
+  assert.equal((await ask('budget')).status, 200);
+
+  const response = await ask('budget');
+  assert.equal(response.status, 429);
+  const { error } = await response.json();
+  assert.equal(error.type, 'rate_limit_error');
+  assert.equal(error.quota.kind, 'tokens');
+  assert.equal(error.quota.limit, 30);
+  assert.equal(error.quota.remaining, 0);
+  assert.ok(new Date(error.quota.resetAt) > new Date());
+  assert.ok(Number(response.headers.get('retry-after')) > 0);
+});
+
+test('limits the request rate per user', async () => {
+  for (let i = 0; i < 3; i++) {
+    // Invalid requests still count towards the rate limit
+    assert.equal((await ask('rapid', {})).status, 400);
+  }
+  const response = await ask('rapid', {});
+  assert.equal(response.status, 429);
+  const { error } = await response.json();
+  assert.equal(error.quota.kind, 'requests');
+  assert.equal(error.quota.scope, 'user');
+  assert.ok(error.quota.retryAfter <= 60);
+});
+
+test('counts usage reported in streamed responses', async () => {
+  const response = await ask('streamer', undefined, '/api/claude/stream');
+  assert.equal(response.status, 200);
+  await response.text();
+
+  assert.equal((await quota('streamer')).used, 25);
+});
@@ -0,0 +1,116 @@
+// Tests for the OpenAI-compatible provider, against a local mock chat completions server
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createProvider } from '../providers/index.js';
+
+const requests = [];
+let upstream;
+let provider;
+
+function chunk(data) {
+  return `data: ${JSON.stringify(data)}\n\n`;
+}
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', data => { body += data; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      requests.push({ url: req.url, headers: req.headers, body: request });
+
+      if (!request.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          id: 'chatcmpl-1',
+          model: request.model,
+          choices: [{ index: 0, message: { role: 'assistant', content: 'Photosynthesis makes sugar.' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 12, completion_tokens: 5 }
+        }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(chunk({ id: 'chatcmpl-2', model: request.model, choices: [{ index: 0, delta: { role: 'assistant' } }] }));
+      res.write(chunk({ id: 'chatcmpl-2', choices: [{ index: 0, delta: { content: 'Hello' } }] }));
+      res.write(chunk({ id: 'chatcmpl-2', choices: [{ index: 0, delta: { content: ', world' }, finish_reason: 'length' }] }));
+      res.write(chunk({ id: 'chatcmpl-2', choices: [], usage: { prompt_tokens: 3, completion_tokens: 2 } }));
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+
+  provider = createProvider({
+    LLM_PROVIDER: 'openai',
+    OPENAI_BASE_URL: `http://127.0.0.1:${upstream.address().port}/v1/`,
+    OPENAI_MODEL: 'llama3.1'
+  });
+});
+
+after(() => {
+  upstream.close();
+});
+
+const params = {
+  model: 'llama3.1',
+  maxTokens: 256,
+  system: 'Be brief',
+  messages: [{ role: 'user', content: [{ type: 'text', text: 'What is photosynthesis?' }] }]
+};
+
+test('is configured by a base URL alone', () => {
+  assert.equal(provider.name, 'openai');
+  assert.equal(provider.model, 'llama3.1');
+  assert.equal(provider.configured, true);
+});
+
+test('converts requests and normalises responses to the Messages format', async () => {
+  const response = await provider.request(params);
+  const data = provider.normalizeResponse(await response.json());
+
+  const request = requests.at(-1);
+  assert.equal(request.url, '/v1/chat/completions');
+  assert.equal(request.headers.authorization, undefined);
+  assert.deepEqual(request.body.messages, [
+    { role: 'system', content: 'Be brief' },
+    { role: 'user', content: 'What is photosynthesis?' }
+  ]);
+  assert.equal(request.body.max_tokens, 256);
+
+  assert.equal(data.content[0].text, 'Photosynthesis makes sugar.');
+  assert.equal(data.stop_reason, 'end_turn');
+  assert.deepEqual(data.usage, { input_tokens: 12, output_tokens: 5 });
+});
+
+test('converts stream chunks to Messages stream events', async () => {
+  const response = await provider.request({ ...params, stream: true });
+  let text = '';
+  for await (const events of provider.streamEvents(response)) {
+    text += events;
+  }
+
+  const events = [...text.matchAll(/^data: (.*)$/gm)].map(match => JSON.parse(match[1]));
+  assert.deepEqual(events.map(event => event.type), [
+    'message_start',
+    'content_block_start',
+    'content_block_delta',
+    'content_block_delta',
+    'content_block_stop',
+    'message_delta',
+    'message_stop'
+  ]);
+  assert.deepEqual(events.filter(e => e.type === 'content_block_delta').map(e => e.delta.text), ['Hello', ', world']);
+
+  const messageDelta = events.find(e => e.type === 'message_delta');
+  assert.equal(messageDelta.delta.stop_reason, 'max_tokens');
+  assert.deepEqual(messageDelta.usage, { input_tokens: 3, output_tokens: 2 });
+});
+
+test('normalises string error bodies from local servers', () => {
+  assert.deepEqual(provider.normalizeError({ error: 'model "llama9" not found' }), { message: 'model "llama9" not found' });
+});
+
+test('rejects unknown providers', () => {
+  assert.throws(() => createProvider({ LLM_PROVIDER: 'gemini' }), /Unknown LLM_PROVIDER/);
+});
@@ -0,0 +1,167 @@
+// Tests for the streaming proxy endpoint, against a local mock SSE upstream
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+const upstreamRequests = [];
+let upstream;
+let server;
+let baseUrl;
+let sessionCookie;
+
+// Behaviour of the mock upstream for the next request
+let upstreamMode = 'ok';
+let upstreamClosed;
+
+function sseEvent(type, data) {
+  return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+function listen(target) {
+  return new Promise(resolve => {
+    const instance = target.listen(0, '127.0.0.1', () => resolve(instance));
+  });
+}
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      upstreamRequests.push({ headers: req.headers, body: JSON.parse(body) });
+
+      if (upstreamMode === 'error') {
+        res.writeHead(429, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ type: 'error', error: { type: 'rate_limit_error', message: 'Slow down' } }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(sseEvent('message_start', { message: { id: 'msg_1', content: [] } }));
+      res.write(sseEvent('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }));
+
+      if (upstreamMode === 'hang') {
+        // Keep sending deltas until the proxy hangs up
+        const timer = setInterval(() => {
+          res.write(sseEvent('content_block_delta', { index: 0, delta: { type: 'text_delta', text: '.' } }));
+        }, 20);
+        res.on('close', () => {
+          clearInterval(timer);
+          upstreamClosed();
+        });
+        return;
+      }
+
+      res.write(sseEvent('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'Hello' } }));
+      res.write(sseEvent('content_block_delta', { index: 0, delta: { type: 'text_delta', text: ', world' } }));
+
+      if (upstreamMode === 'truncated') {
+        // The connection ends before the reply is finished
+        res.end();
+        return;
+      }
+
+      res.write(sseEvent('content_block_stop', { index: 0 }));
+      res.write(sseEvent('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } }));
+      res.end(sseEvent('message_stop', {}));
+    });
+  });
+  await listen(upstream);
+
+  process.env.ANTHROPIC_API_KEY = 'test-key';
+  process.env.ANTHROPIC_API_URL = `http://127.0.0.1:${upstream.address().port}/v1/messages`;
+  process.env.DATABASE_PATH = ':memory:';
+
+  const { default: app } = await import('../index.js');
+  server = await listen(app);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const { createUser } = await import('../auth.js');
+  await createUser({ username: 'student1', password: 'correct-horse' });
+  const login = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'student1', password: 'correct-horse' })
+  });
+  sessionCookie = login.headers.get('set-cookie').split(';')[0];
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  upstream.closeAllConnections();
+  upstream.close();
+});
+
+function postStream(body, signal) {
+  return fetch(`${baseUrl}/api/claude/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: sessionCookie },
+    body: JSON.stringify(body),
+    signal
+  });
+}
+
+test('relays upstream text deltas as server-sent events', async () => {
+  upstreamMode = 'ok';
+  const response = await postStream({ messages: [{ role: 'user', content: 'Hi' }], system: 'Be brief' });
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+  const text = await response.text();
+  const deltas = [...text.matchAll(/^data: (.*)$/gm)]
+    .map(match => JSON.parse(match[1]))
+    .filter(event => event.type === 'content_block_delta')
+    .map(event => event.delta.text);
+  assert.deepEqual(deltas, ['Hello', ', world']);
+
+  const request = upstreamRequests.at(-1);
+  assert.equal(request.body.stream, true);
+  assert.equal(request.body.system, 'Be brief');
+  assert.equal(request.headers['x-api-key'], 'test-key');
+});
+
+test('caches finished streams but not ones cut off before message_stop', async () => {
+  upstreamMode = 'truncated';
+  const body = { messages: [{ role: 'user', content: 'Cut short' }] };
+  const truncated = await postStream(body);
+  assert.equal(truncated.headers.get('x-cache'), 'MISS');
+  await truncated.text();
+
+  upstreamMode = 'ok';
+  const retry = await postStream(body);
+  assert.equal(retry.headers.get('x-cache'), 'MISS');
+  await retry.text();
+
+  const cached = await postStream(body);
+  assert.equal(cached.headers.get('x-cache'), 'HIT');
+  assert.match(await cached.text(), /Hello, world/);
+});
+
+test('relays upstream errors with their status', async () => {
+  upstreamMode = 'error';
+  const response = await postStream({ messages: [{ role: 'user', content: 'Hi' }] });
+
+  assert.equal(response.status, 429);
+  const data = await response.json();
+  assert.equal(data.error.message, 'Slow down');
+});
+
+test('rejects requests without a messages array', async () => {
+  const response = await postStream({ system: 'No messages' });
+  assert.equal(response.status, 400);
+});
+
+test('aborting the client request closes the upstream stream', async () => {
+  upstreamMode = 'hang';
+  const closed = new Promise(resolve => { upstreamClosed = resolve; });
+  const controller = new AbortController();
+
+  const response = await postStream({ messages: [{ role: 'user', content: 'Hi' }] }, controller.signal);
+  const reader = response.body.getReader();
+  await reader.read();
+  controller.abort();
+
+  await closed;
+});
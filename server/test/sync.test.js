@@ -0,0 +1,159 @@
+// Tests for library sync
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+let server;
+let baseUrl;
+let cookie;
+let otherCookie;
+
+before(async () => {
+  process.env.DATABASE_PATH = ':memory:';
+
+  const { default: app } = await import('../index.js');
+  server = await new Promise(resolve => {
+    const instance = app.listen(0, '127.0.0.1', () => resolve(instance));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const { createUser } = await import('../auth.js');
+  const logIn = async username => {
+    await createUser({ username, password: 'password-123' });
+    const response = await fetch(`${baseUrl}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password: 'password-123' })
+    });
+    return response.headers.get('set-cookie').split(';')[0];
+  };
+  cookie = await logIn('student');
+  otherCookie = await logIn('classmate');
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+async function sync(body, as = cookie) {
+  const response = await fetch(`${baseUrl}/api/sync`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: as },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const book = (updatedAt, title) => ({
+  store: 'books', id: 1, updatedAt, deleted: false, data: { id: 1, title, updatedAt }
+});
+
+test('requires a session', async () => {
+  const response = await fetch(`${baseUrl}/api/sync`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ cursor: 0, changes: [] })
+  });
+  assert.equal(response.status, 401);
+});
+
+test('pulls pushed changes from another device', async () => {
+  const first = await sync({ cursor: 0, changes: [book(100, 'Biology')] });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.cursor, 1);
+  assert.ok(first.body.serverTime > 0);
+
+  // A second device starting from scratch
+  const second = await sync({ cursor: 0, changes: [] });
+  assert.deepEqual(second.body.changes, [book(100, 'Biology')]);
+  assert.equal(second.body.hasMore, false);
+
+  // Nothing new after the cursor
+  const again = await sync({ cursor: second.body.cursor, changes: [] });
+  assert.deepEqual(again.body.changes, []);
+});
+
+test('keeps the newest copy on conflict', async () => {
+  await sync({ cursor: 1, changes: [book(300, 'Biology 2e')] });
+
+  // An older edit loses, and the winning copy is sent back even though it's before the cursor
+  const stale = await sync({ cursor: 2, changes: [book(200, 'Old title')] });
+  assert.deepEqual(stale.body.changes, [book(300, 'Biology 2e')]);
+  assert.equal(stale.body.cursor, 2);
+});
+
+test('syncs deletions and keeps accounts apart', async () => {
+  const other = await sync({ cursor: 0, changes: [] }, otherCookie);
+  assert.deepEqual(other.body.changes, []);
+
+  await sync({ cursor: 2, changes: [{ store: 'books', id: 1, updatedAt: 400, deleted: true }] });
+  const pulled = await sync({ cursor: 2, changes: [] });
+  assert.deepEqual(pulled.body.changes, [{ store: 'books', id: 1, updatedAt: 400, deleted: true, data: null }]);
+});
+
+test('rejects invalid changes', async () => {
+  const unknown = await sync({ cursor: 0, changes: [{ store: 'settings', id: 1, updatedAt: 1, data: {} }] });
+  assert.equal(unknown.status, 400);
+
+  const file = await sync({ cursor: 0, changes: [{ store: 'fileData', id: 1, updatedAt: 1, data: {} }] });
+  assert.equal(file.status, 400);
+});
+
+test('uploads and downloads book files', async () => {
+  const url = `${baseUrl}/api/sync/files/${encodeURIComponent(JSON.stringify(7))}`;
+  const bytes = new Uint8Array([37, 80, 68, 70, 0, 255]);
+  const upload = await fetch(`${url}?updatedAt=500`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/octet-stream', Cookie: cookie },
+    body: bytes
+  });
+  assert.deepEqual(await upload.json(), { accepted: true, updatedAt: 500 });
+
+  // Listed by size, without the bytes
+  const { body } = await sync({ cursor: 3, changes: [] });
+  assert.deepEqual(body.changes, [{ store: 'fileData', id: 7, updatedAt: 500, deleted: false, data: { size: 6 } }]);
+
+  const download = await fetch(url, { headers: { Cookie: cookie } });
+  assert.equal(download.headers.get('x-updated-at'), '500');
+  assert.deepEqual(new Uint8Array(await download.arrayBuffer()), bytes);
+
+  // An older upload doesn't replace the file
+  const stale = await fetch(`${url}?updatedAt=400`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/octet-stream', Cookie: cookie },
+    body: new Uint8Array([1])
+  });
+  assert.equal((await stale.json()).accepted, false);
+
+  // Other accounts can't read it
+  const other = await fetch(url, { headers: { Cookie: otherCookie } });
+  assert.equal(other.status, 404);
+
+  // Deleting the file drops the bytes
+  await sync({ cursor: 4, changes: [{ store: 'fileData', id: 7, updatedAt: 600, deleted: true }] });
+  assert.equal((await fetch(url, { headers: { Cookie: cookie } })).status, 404);
+});
+
+test('rejects files over SYNC_MAX_FILE_MB', async () => {
+  process.env.SYNC_MAX_FILE_MB = String(10 / (1024 * 1024));
+  try {
+    const response = await fetch(`${baseUrl}/api/sync/files/8?updatedAt=1`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/octet-stream', Cookie: cookie },
+      body: new Uint8Array(100)
+    });
+    assert.equal(response.status, 413);
+  } finally {
+    delete process.env.SYNC_MAX_FILE_MB;
+  }
+});
+
+test('syncs notes', async () => {
+  const note = {
+    store: 'notes', id: 9, updatedAt: 100, deleted: false,
+    data: { id: 9, bookId: 1, text: 'Check this proof', location: { type: 'pdf', page: 3, x: 40, y: 120 }, updatedAt: 100 }
+  };
+  await sync({ cursor: 0, changes: [note] }, otherCookie);
+  const pulled = await sync({ cursor: 0, changes: [] }, otherCookie);
+  assert.deepEqual(pulled.body.changes, [note]);
+});
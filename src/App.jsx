@@ -3,8 +3,23 @@
 
 import React, { useState, useRef, useEffect } from 'react';
 import { KLSLogo } from './components/KLSLogo';
-import { DocumentViewer } from './components/DocumentViewer';
+import { DocumentViewer, HIGHLIGHT_COLORS } from './components/DocumentViewer';
+import { Quiz } from './components/Quiz';
+import { FlashcardReview } from './components/FlashcardReview';
+import { FlashcardTransfer } from './components/FlashcardTransfer';
+import { HighlightExport } from './components/HighlightExport';
+import { NoteEditor } from './components/NoteEditor';
+import { AIHistory } from './components/AIHistory';
+import { SearchPanel, LibrarySearchResults } from './components/SearchPanel';
+import { BookChat } from './components/BookChat';
+import { AuthScreen } from './components/AuthScreen';
+import { AdminImport } from './components/AdminImport';
+import { QuotaNotice } from './components/QuotaNotice';
+import { LibraryBackup } from './components/LibraryBackup';
+import { OfflineQueue } from './components/OfflineQueue';
+import { Markdown } from './components/Markdown';
 import { parseDocument, extractPDFCover, extractEPUBCover } from './utils/documentParser';
+import { THEMES, THEME_CHOICES, PDF_FILTERS, applyTheme, resolveTheme, onSystemThemeChange, pdfPageFilter } from './utils/themes';
 import {
   initDB,
   getBooks,
@@ -16,16 +31,22 @@ import {
   getHighlights,
   addHighlight,
   deleteHighlight,
+  getNotes,
+  saveNote,
+  deleteNote,
   getFlashcards,
   addFlashcard,
   saveProgress,
   getProgress,
   getStudyStats,
-  saveQuizScore,
+  getQuizScores,
   getSettings,
   saveSettings,
   setCurrentBook,
-  getCurrentBook
+  getCurrentBook,
+  syncNow,
+  getLastSyncedAt,
+  clearLocalLibrary
 } from './utils/storage';
 import {
   explainText,
@@ -33,6 +54,12 @@ import {
   generateFlashcards,
   checkAPIStatus
 } from './utils/ai';
+import { getDueCards } from './utils/spacedRepetition';
+import { getCurrentUser, logout, onSessionExpired } from './utils/auth';
+import { queueAIRequest, startAIQueue } from './utils/aiQueue';
+import { getAIAnswers, saveAIAnswer, removeAIAnswer, onAIHistoryChange } from './utils/aiHistory';
+import { indexLibrary, queueBookForIndexing } from './utils/searchIndex';
+import { clearChunkIndex } from './utils/retrieval';
 
 // Icons
 const LibraryIcon = () => (
@@ -71,6 +98,19 @@ const MenuIcon = () => (
   </svg>
 );
 
+const SearchIcon = () => (
+  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <circle cx="11" cy="11" r="8"/>
+    <line x1="21" y1="21" x2="16.65" y2="16.65"/>
+  </svg>
+);
+
+const ChatIcon = () => (
+  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+    <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
+  </svg>
+);
+
 const UploadIcon = () => (
   <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
     <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
@@ -86,6 +126,14 @@ const PlusIcon = () => (
   </svg>
 );
 
+// Read-aloud has paused or stopped when no sentence has come for this long
+const SPEECH_SAVE_DELAY = 5000;
+
+// Where to send the reader for a saved selection; EPUB selections are stored as a CFI range
+function toJumpTarget(location) {
+  return location.cfiRange ? { ...location, cfi: location.cfiRange } : { ...location };
+}
+
 export default function App() {
   // Core state
   const [activeTab, setActiveTab] = useState('library');
@@ -97,45 +145,116 @@ export default function App() {
 
   // Reader state
   const [selectedText, setSelectedText] = useState('');
+  const [selectedAnchor, setSelectedAnchor] = useState(null);
+  const [highlightColor, setHighlightColor] = useState('yellow');
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
   const [showAI, setShowAI] = useState(false);
+  const [aiMode, setAIMode] = useState('selection');
   const [aiResponse, setAIResponse] = useState('');
+  // Whether aiResponse is a finished answer from the AI, not an error, fallback or partial answer
+  const [aiResponseOk, setAIResponseOk] = useState(false);
+  const [aiQuotaError, setAIQuotaError] = useState(null);
+  const [lastAIRequest, setLastAIRequest] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
   const [readingProgress, setReadingProgress] = useState(0);
+  const [readerPosition, setReaderPosition] = useState(null);
+  const [speechPosition, setSpeechPosition] = useState(null);
 
   // Study state
   const [highlights, setHighlights] = useState([]);
   const [flashcards, setFlashcards] = useState([]);
+  const [notes, setNotes] = useState([]);
+  const [editingNote, setEditingNote] = useState(null);
+  const [noteSearch, setNoteSearch] = useState('');
+  const [aiHistory, setAIHistory] = useState([]);
   const [studyStats, setStudyStats] = useState({ pagesRead: 0, problemsSolved: 0, flashcards: 0, quizScore: 0 });
+  const [studyView, setStudyView] = useState('overview');
+  const [quizScores, setQuizScores] = useState([]);
 
   // Library state
   const [viewMode, setViewMode] = useState('grid');
+  const [librarySearch, setLibrarySearch] = useState('');
   const [uploadError, setUploadError] = useState('');
   const [uploadProgress, setUploadProgress] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
 
+  // Account state (authChecked stays false until the server has answered)
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [allowSignup, setAllowSignup] = useState(true);
+  const [serverOffline, setServerOffline] = useState(false);
+
+  // Sync state
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [lastSyncedAt, setLastSyncedAt] = useState(getLastSyncedAt);
+  const [syncError, setSyncError] = useState('');
+
   // Settings state
   const [showSettings, setShowSettings] = useState(false);
+  const [settings, setSettings] = useState(() => getSettings());
+  const [activeTheme, setActiveTheme] = useState(() => resolveTheme(settings.theme));
   const [apiConfigured, setApiConfigured] = useState(false);
   const [apiModel, setApiModel] = useState('');
 
   const fileInputRef = useRef(null);
+  const aiAbortRef = useRef(null);
+  const speechSaveRef = useRef({ timer: null, saved: null });
+
+  // Check the session; the library still opens when the server can't be reached,
+  // and the session is checked again when the connection returns
+  useEffect(() => {
+    const checkSession = () => getCurrentUser().then(session => {
+      if (session.offline) {
+        setServerOffline(true);
+        setAuthChecked(true);
+        return;
+      }
+      setUser(session.user);
+      setAllowSignup(session.allowSignup);
+      setServerOffline(false);
+      setAuthChecked(true);
+    });
+    checkSession();
+
+    window.addEventListener('online', checkSession);
+    const unsubscribe = onSessionExpired(() => setUser(null));
+    return () => {
+      window.removeEventListener('online', checkSession);
+      unsubscribe();
+    };
+  }, []);
+
+  // Read the library from storage into state
+  const loadLibrary = async () => {
+    const savedBooks = await getBooks();
+    setBooks(savedBooks);
+
+    // Build the search index for any books added before indexing existed (or pulled by sync)
+    indexLibrary(savedBooks);
+
+    const savedHighlights = await getHighlights();
+    setHighlights(savedHighlights);
+
+    const savedFlashcards = await getFlashcards();
+    setFlashcards(savedFlashcards);
+
+    setNotes(await getNotes());
+    setAIHistory(await getAIAnswers());
+
+    const stats = await getStudyStats();
+    setStudyStats(stats);
+    setQuizScores(getQuizScores());
+  };
 
   // Initialize app
   useEffect(() => {
     const initialize = async () => {
       try {
         await initDB();
-        const savedBooks = await getBooks();
-        setBooks(savedBooks);
-
-        const savedHighlights = await getHighlights();
-        setHighlights(savedHighlights);
-
-        const savedFlashcards = await getFlashcards();
-        setFlashcards(savedFlashcards);
-
-        const stats = await getStudyStats();
-        setStudyStats(stats);
+        await loadLibrary();
 
         // Check API status from server
         const apiStatus = await checkAPIStatus();
@@ -151,10 +270,60 @@ export default function App() {
     initialize();
   }, []);
 
+  // Sync the library with the server; returns false if it failed
+  const runSync = async (userId) => {
+    setIsSyncing(true);
+    try {
+      const { pulled } = await syncNow(userId);
+      if (pulled > 0) await loadLibrary();
+      setLastSyncedAt(getLastSyncedAt());
+      setSyncError('');
+      return true;
+    } catch (error) {
+      console.error('Sync error:', error);
+      setSyncError(error.message);
+      return false;
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  // Sync once logged in, every few minutes, and when the app comes back online or into focus
+  useEffect(() => {
+    if (!user || !isInitialized) return;
+
+    const sync = () => {
+      if (navigator.onLine) runSync(user.id);
+    };
+    sync();
+
+    const timer = setInterval(sync, 5 * 60 * 1000);
+    window.addEventListener('online', sync);
+    window.addEventListener('focus', sync);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('online', sync);
+      window.removeEventListener('focus', sync);
+    };
+  }, [user?.id, isInitialized]);
+
+  // Answers saved from the AI panel, the book chat and the offline queue
+  useEffect(() => onAIHistoryChange(() => getAIAnswers().then(setAIHistory)), []);
+
+  // Answer AI questions saved while offline, now and whenever the connection returns
+  useEffect(() => {
+    if (!user) return;
+    return startAIQueue();
+  }, [user?.id]);
+
   // Load a book's file data
   const loadBook = async (book) => {
     setCurrentBookId(book.id);
     setCurrentBook(book.id);
+    setReaderPosition(null);
+    setJumpTarget(null);
+    setShowSearch(false);
+    setSearchQuery('');
 
     const fileData = await getFileData(book.id);
     if (fileData) {
@@ -164,6 +333,7 @@ export default function App() {
     }
 
     const progress = await getProgress(book.id);
+    setSpeechPosition(progress?.speech || null);
     if (progress) {
       setReadingProgress(progress.percentage || book.progress || 0);
     } else {
@@ -172,24 +342,139 @@ export default function App() {
   };
 
   // AI actions
-  const handleAI = async (mode) => {
-    if (!selectedText || selectedText.trim().length < 2) {
+  // regenerate re-asks the last question, skipping the server's response cache
+  const handleAI = async (mode, regenerate = false) => {
+    const text = regenerate ? lastAIRequest.text : selectedText;
+    if (!text || text.trim().length < 2) {
       setAIResponse('Please select some text first.');
+      setAIResponseOk(false);
       return;
     }
+
+    // A new request replaces any response still streaming in
+    aiAbortRef.current?.abort();
+    const controller = new AbortController();
+    aiAbortRef.current = controller;
+    // Errors come back as a fallback answer, which shouldn't be kept as the passage's explanation
+    let fromAI = true;
+    const onFallback = () => { fromAI = false; };
+    const options = { signal: controller.signal, onText: setAIResponse, regenerate, onFallback };
+
+    // A regenerated answer replaces its history entry and keeps the original place in the book
+    const previous = regenerate ? lastAIRequest : null;
+    const location = previous ? previous.location : selectedAnchor;
+    setLastAIRequest({ mode, text, location, historyId: previous?.historyId });
+    setAIResponse('');
+    setAIResponseOk(false);
+    setAIQuotaError(null);
     setIsLoading(true);
+    setIsStreaming(true);
     try {
       let response;
       if (mode === 'explain') {
-        response = await explainText(selectedText);
+        response = await explainText(text, '', options);
       } else if (mode === 'solve') {
-        response = await solveProblem(selectedText);
+        response = await solveProblem(text, '', options);
       }
       setAIResponse(response || 'No response received. Please try again.');
+      if (aiAbortRef.current === controller) setAIResponseOk(Boolean(response) && fromAI);
+      // History keeps the AI's answers only, not error fallbacks
+      if (response && fromAI) {
+        const entry = await saveAIAnswer({
+          id: previous?.historyId,
+          mode,
+          text,
+          response,
+          bookId: currentBookId,
+          bookTitle: currentBook?.title,
+          location
+        });
+        if (entry) setLastAIRequest(prev => (prev?.text === text ? { ...prev, historyId: entry.id } : prev));
+      }
     } catch (error) {
-      setAIResponse('Error: ' + (error.message || 'Something went wrong. Please try again.'));
+      if (error.name === 'AbortError') {
+        // Keep whatever arrived before Stop was pressed
+        if (aiAbortRef.current === controller) {
+          setAIResponse(prev => (prev ? prev + '\n\n*Stopped.*' : '*Stopped.*'));
+        }
+      } else if (error.quota) {
+        setAIQuotaError({ message: error.message, quota: error.quota });
+      } else if (error.offline) {
+        await queueAIRequest({ mode, text, bookId: currentBookId, bookTitle: currentBook?.title, location });
+        setLastAIRequest(null);
+        setAIResponse("You're offline. This question has been saved and will be answered when you're back online.");
+      } else {
+        setAIResponse('Error: ' + (error.message || 'Something went wrong. Please try again.'));
+      }
     }
-    setIsLoading(false);
+
+    if (aiAbortRef.current === controller) {
+      aiAbortRef.current = null;
+      setIsLoading(false);
+      setIsStreaming(false);
+    }
+  };
+
+  const handleStopAI = () => {
+    aiAbortRef.current?.abort();
+  };
+
+  // Show the answer to a question that was queued while offline
+  const handleOpenQueuedAnswer = (request) => {
+    aiAbortRef.current?.abort();
+    setAIMode('selection');
+    setAIQuotaError(null);
+    setSelectedAnchor(null);
+    if (request.mode === 'ask') {
+      setSelectedText('');
+      setLastAIRequest(null);
+      setAIResponse(`**${request.question}**\n\n${request.response}`);
+    } else {
+      setSelectedText(request.text);
+      setLastAIRequest({ mode: request.mode, text: request.text });
+      setAIResponse(request.response);
+      setAIResponseOk(!request.fallback);
+    }
+    setShowAI(true);
+  };
+
+  // Reopen a saved answer in the AI panel, at the place in the book it was about
+  const handleOpenAIAnswer = async (entry) => {
+    const book = books.find(b => b.id === entry.bookId);
+    if (book) {
+      if (book.id !== currentBookId || !currentFileData) {
+        await loadBook(book);
+      }
+      if (entry.location) setJumpTarget(toJumpTarget(entry.location));
+      setActiveTab('reader');
+    }
+
+    aiAbortRef.current?.abort();
+    setAIMode('selection');
+    setAIQuotaError(null);
+    if (entry.mode === 'ask') {
+      setSelectedText('');
+      setSelectedAnchor(null);
+      setLastAIRequest(null);
+      setAIResponse(`**${entry.text}**\n\n${entry.response}`);
+    } else {
+      setSelectedText(entry.text);
+      setSelectedAnchor(entry.location || null);
+      setLastAIRequest({ mode: entry.mode, text: entry.text, location: entry.location || null, historyId: entry.id });
+      setAIResponse(entry.response);
+      setAIResponseOk(true);
+    }
+    setShowAI(true);
+  };
+
+  // Turn a saved answer into flashcards on its book; returns how many were made
+  const handleAnswerToFlashcards = async (entry) => {
+    const cards = await generateFlashcards(`${entry.text}\n\n${entry.response}`);
+    for (const card of cards) {
+      await addFlashcard({ ...card, bookId: entry.bookId ?? null, page: entry.location?.page ?? null });
+    }
+    setFlashcards(await getFlashcards());
+    return cards.length;
   };
 
   // Save highlight
@@ -198,21 +483,104 @@ export default function App() {
     const newHighlight = {
       text: selectedText,
       bookId: currentBookId,
-      bookTitle: books.find(b => b.id === currentBookId)?.title || 'Unknown'
+      bookTitle: books.find(b => b.id === currentBookId)?.title || 'Unknown',
+      color: highlightColor,
+      location: selectedAnchor
     };
+    // Keep the explanation the student asked for on this passage with it
+    if (lastAIRequest?.text === selectedText && aiResponseOk && !isStreaming) {
+      newHighlight.explanation = { mode: lastAIRequest.mode, text: aiResponse };
+    }
     const updatedHighlights = await addHighlight(newHighlight);
     setHighlights(updatedHighlights);
     setShowAI(false);
     setSelectedText('');
+    setSelectedAnchor(null);
+    window.getSelection()?.removeAllRanges();
+  };
+
+  // Open the highlight's book and jump to where it was made
+  const handleOpenHighlight = async (highlight) => {
+    const book = books.find(b => b.id === highlight.bookId);
+    if (!book) return;
+
+    if (book.id !== currentBookId || !currentFileData) {
+      await loadBook(book);
+    }
+    if (highlight.location) {
+      setJumpTarget({ ...toJumpTarget(highlight.location), highlightId: highlight.id });
+    }
+    setActiveTab('reader');
+  };
+
+  const handleDeleteHighlight = async (highlightId, e) => {
+    e.stopPropagation();
+    const updatedHighlights = await deleteHighlight(highlightId);
+    setHighlights(updatedHighlights);
+    setNotes(await getNotes());
+  };
+
+  // Notes: open the editor on a highlight's note (a new one if it has none) or a margin note
+  const handleEditHighlightNote = (highlight, e) => {
+    e?.stopPropagation();
+    const existing = notes.find(n => n.highlightId === highlight.id);
+    setEditingNote(existing || { bookId: highlight.bookId, highlightId: highlight.id });
+  };
+
+  const handleAddMarginNote = (location) => {
+    setEditingNote({ bookId: currentBookId, location });
+  };
+
+  const handleSaveNote = async (text) => {
+    try {
+      await saveNote({ ...editingNote, text });
+      setNotes(await getNotes());
+      setEditingNote(null);
+    } catch (error) {
+      console.error('Note Error:', error);
+    }
+  };
+
+  const handleDeleteNote = async () => {
+    if (!confirm('Delete this note?')) return;
+    await deleteNote(editingNote.id);
+    setNotes(await getNotes());
+    setEditingNote(null);
+  };
+
+  // Open a note's book where the note is: at its highlight, or where it was pinned
+  const handleOpenNote = async (note) => {
+    const highlight = note.highlightId && highlights.find(h => h.id === note.highlightId);
+    if (highlight) {
+      await handleOpenHighlight(highlight);
+      return;
+    }
+
+    const book = books.find(b => b.id === note.bookId);
+    if (!book) return;
+    if (book.id !== currentBookId || !currentFileData) {
+      await loadBook(book);
+    }
+    if (note.location) setJumpTarget({ ...note.location });
+    setActiveTab('reader');
+  };
+
+  // Where a note is, for the editor and the notes list
+  const describeNote = (note) => {
+    const highlight = note.highlightId && highlights.find(h => h.id === note.highlightId);
+    if (highlight) return highlight.text;
+    if (note.location?.type === 'pdf') return `Page ${note.location.page}`;
+    return 'Margin note';
   };
 
   // Generate flashcards
   const handleGenerateFlashcards = async () => {
     setIsLoading(true);
+    setAIResponseOk(false);
     try {
       const newCards = await generateFlashcards(selectedText);
       for (const card of newCards) {
-        await addFlashcard({ ...card, bookId: currentBookId });
+        await addFlashcard({ ...card, bookId: currentBookId, page: selectedAnchor?.page ?? null });
       }
       const updatedFlashcards = await getFlashcards();
       setFlashcards(updatedFlashcards);
@@ -276,6 +644,8 @@ export default function App() {
       const updatedBooks = await addBook(newBook);
       setBooks(updatedBooks);
       setUploadProgress(null);
+
+      queueBookForIndexing(newBook);
     } catch (error) {
       console.error('Upload error:', error);
       setUploadError('Failed to process file: ' + error.message);
@@ -314,6 +684,7 @@ export default function App() {
     if (confirm('Remove this book from your library?')) {
       const updatedBooks = await deleteBookFromStorage(bookId);
       setBooks(updatedBooks);
+      clearChunkIndex(bookId);
       if (currentBookId === bookId) {
         setCurrentBookId(null);
         setCurrentFileData(null);
@@ -330,10 +701,11 @@ export default function App() {
     }
   };
 
-  // Handle page change
-  const handlePageChange = async (currentPage, totalPages) => {
+  // Handle page change (EPUB also passes its { cfi, href } location)
+  const handlePageChange = async (currentPage, totalPages, location = null) => {
     const percentage = Math.round((currentPage / totalPages) * 100);
     setReadingProgress(percentage);
+    setReaderPosition(location ? { ...location } : { page: currentPage });
 
     if (currentBookId) {
       await saveProgress(currentBookId, { percentage, currentPage, totalPages });
@@ -344,30 +716,148 @@ export default function App() {
     }
   };
 
+  // Where read-aloud got to ({ page, sentence } or { href, sentence }), so it can carry on from there.
+  // It is reported every sentence but saved only on a new page or chapter, or once reading
+  // has paused or stopped, so the book isn't a new change to sync for every sentence
+  const handleSpeechPositionChange = (position) => {
+    setSpeechPosition(position);
+    if (!currentBookId) return;
+
+    const bookId = currentBookId;
+    const pending = speechSaveRef.current;
+    const save = () => {
+      clearTimeout(pending.timer);
+      pending.timer = null;
+      pending.saved = { bookId, page: position.page, href: position.href };
+      saveProgress(bookId, { speech: position }).catch(error => console.error('Speech Position Error:', error));
+    };
+
+    const { saved } = pending;
+    if (saved?.bookId === bookId && saved.page === position.page && saved.href === position.href) {
+      clearTimeout(pending.timer);
+      pending.timer = setTimeout(save, SPEECH_SAVE_DELAY);
+    } else {
+      save();
+    }
+  };
+
+  const handlePDFViewModeChange = async (pdfViewMode) => {
+    if (!currentBookId) return;
+    await updateBook(currentBookId, { pdfViewMode });
+    setBooks(prev => prev.map(b => (b.id === currentBookId ? { ...b, pdfViewMode } : b)));
+  };
+
+  // Applied right away for a live preview; returns false if they couldn't be saved
+  const handleSettingsChange = (updates) => {
+    const next = { ...settings, ...updates };
+    setSettings(next);
+    return saveSettings(next);
+  };
+
+  // Apply the chosen theme; 'system' is re-applied when the device switches light/dark mode
+  useEffect(() => {
+    const update = () => {
+      applyTheme(settings.theme);
+      setActiveTheme(resolveTheme(settings.theme));
+    };
+    update();
+    return onSystemThemeChange(update);
+  }, [settings.theme]);
+
+  // In-reader search: move the viewer to a hit
+  const handleSearchNavigate = (hit) => {
+    setJumpTarget({
+      page: hit.page,
+      href: hit.href,
+      search: { query: searchQuery.trim(), occurrence: hit.occurrence }
+    });
+  };
+
+  const handleCloseSearch = () => {
+    setShowSearch(false);
+    setSearchQuery('');
+  };
+
+  // Book chat: open the chat and follow citations back into the book
+  const openBookChat = () => {
+    setAIMode('chat');
+    setShowAI(true);
+  };
+
+  const handleCitationClick = (passage) => {
+    setJumpTarget({ page: passage.page, href: passage.href });
+    setActiveTab('reader');
+  };
+
+  // Library search: open the book at the hit with the search bar showing the same query
+  const handleOpenSearchHit = async (book, hit) => {
+    if (book.id !== currentBookId || !currentFileData) {
+      await loadBook(book);
+    }
+    const query = librarySearch.trim();
+    setSearchQuery(query);
+    setShowSearch(true);
+    setJumpTarget({
+      page: hit.page,
+      href: hit.href,
+      search: { query, occurrence: hit.occurrence }
+    });
+    setActiveTab('reader');
+  };
+
+  // Quiz finished: refresh the score card and attempt history
+  const handleQuizComplete = async () => {
+    setQuizScores(getQuizScores());
+    const stats = await getStudyStats();
+    setStudyStats(stats);
+  };
+
   // Settings
   const handleCloseSettings = () => {
     setShowSettings(false);
   };
 
-  const currentBook = books.find(b => b.id === currentBookId);
+  // A backup was restored: show it, and close a book that no longer exists
+  const handleLibraryImported = async () => {
+    await loadLibrary();
+    const savedBooks = await getBooks();
+    if (currentBookId && !savedBooks.some(b => b.id === currentBookId)) {
+      setCurrentBookId(null);
+      setCurrentFileData(null);
+    }
+  };
 
-  // Format AI response: convert markdown to HTML
-  const formatAIResponse = (text) => {
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*(.+?)\*/g, '<em>$1</em>')
-      .replace(/^### (.+)$/gm, '<strong style="font-size:14px;display:block;margin:8px 0 4px">$1</strong>')
-      .replace(/^## (.+)$/gm, '<strong style="font-size:15px;display:block;margin:10px 0 4px">$1</strong>')
-      .replace(/^# (.+)$/gm, '<strong style="font-size:16px;display:block;margin:12px 0 6px">$1</strong>')
-      .replace(/^[•\-] (.+)$/gm, '<div style="padding-left:12px">• $1</div>')
-      .replace(/^(\d+)\. (.+)$/gm, '<div style="padding-left:12px">$1. $2</div>')
-      .replace(/`([^`]+)`/g, '<code style="background:var(--bg-tertiary);padding:1px 4px;border-radius:3px;font-size:12px">$1</code>')
-      .replace(/\n/g, '<br>');
+  // Log out and remove the library from this device, after syncing it one last time
+  const handleLogout = async () => {
+    aiAbortRef.current?.abort();
+    const synced = await runSync(user.id);
+    if (!synced && !confirm('Your latest changes could not be synced and will be lost from this device. Log out anyway?')) {
+      return;
+    }
+
+    await logout();
+    await clearLocalLibrary();
+    setShowSettings(false);
+    setShowAI(false);
+    setAIResponse('');
+    setCurrentBookId(null);
+    setCurrentFileData(null);
+    setActiveTab('library');
+    await loadLibrary();
+    setLastSyncedAt(null);
+    setUser(null);
   };
 
+  const currentBook = books.find(b => b.id === currentBookId);
+  const dueFlashcards = getDueCards(flashcards);
+
+  const notesByHighlight = new Map(notes.filter(n => n.highlightId).map(n => [n.highlightId, n]));
+  const noteQuery = noteSearch.trim().toLowerCase();
+  const filteredNotes = notes
+    .filter(note => !noteQuery || [note.text, describeNote(note), books.find(b => b.id === note.bookId)?.title || '']
+      .some(text => text.toLowerCase().includes(noteQuery)))
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+
   return (
     <>
       <style>{`
@@ -376,35 +866,6 @@ export default function App() {
         * { box-sizing: border-box; margin: 0; padding: 0; }
         html, body, #root { height: 100%; }
 
-        :root {
-          --bg: #F9F7F3;
-          --bg-secondary: #F3F1ED;
-          --bg-tertiary: #EBE9E5;
-          --bg-sidebar: #F3F1ED;
-          --border: #DDD9D3;
-          --text: #1a1915;
-          --text-secondary: #5c5750;
-          --text-tertiary: #9c9689;
-          --accent: #B8570C;
-          --accent-hover: #9A4A0A;
-          --danger: #dc2626;
-        }
-
-        @media (prefers-color-scheme: dark) {
-          :root {
-            --bg: #1a1915;
-            --bg-secondary: #252219;
-            --bg-tertiary: #302d24;
-            --bg-sidebar: #1f1c16;
-            --border: #3d392f;
-            --text: #F9F7F3;
-            --text-secondary: #b5afa3;
-            --text-tertiary: #7a7568;
-            --accent: #D4A373;
-            --accent-hover: #E5BE93;
-          }
-        }
-
         body {
           font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
           background: var(--bg);
@@ -607,6 +1068,16 @@ export default function App() {
           box-shadow: 0 1px 2px rgba(0,0,0,0.05);
         }
 
+        .library-search-input {
+          width: 200px;
+          padding: 7px 10px;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          background: var(--bg);
+          color: var(--text);
+          font-size: 13px;
+        }
+
         .add-btn {
           display: flex;
           align-items: center;
@@ -879,6 +1350,12 @@ export default function App() {
           flex-direction: column;
         }
 
+        .reader-container > .pdf-viewer,
+        .reader-container > .epub-viewer {
+          flex: 1;
+          min-height: 0;
+        }
+
         .reader-empty {
           display: flex;
           flex-direction: column;
@@ -921,6 +1398,38 @@ export default function App() {
           font-weight: 600;
         }
 
+        .main-header-right {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+        }
+
+        .ai-tabs {
+          display: flex;
+          background: var(--bg-tertiary);
+          border-radius: 6px;
+          padding: 2px;
+          margin-bottom: 12px;
+        }
+
+        .ai-tab {
+          flex: 1;
+          padding: 6px 10px;
+          background: transparent;
+          border: none;
+          color: var(--text-secondary);
+          font-size: 12px;
+          font-weight: 500;
+          cursor: pointer;
+          border-radius: 4px;
+        }
+
+        .ai-tab.active {
+          background: var(--bg);
+          color: var(--text);
+          box-shadow: 0 1px 2px rgba(0,0,0,0.05);
+        }
+
         .close-btn {
           background: none;
           border: none;
@@ -963,7 +1472,83 @@ export default function App() {
         .ai-response {
           font-size: 13px;
           line-height: 1.6;
-          white-space: pre-line;
+        }
+
+        /* Markdown (AI answers, flashcards, quizzes) */
+        .markdown p,
+        .markdown ul,
+        .markdown ol,
+        .markdown pre,
+        .markdown table,
+        .markdown blockquote,
+        .markdown .math-block {
+          margin: 0 0 8px;
+        }
+        .markdown > :last-child {
+          margin-bottom: 0;
+        }
+        .markdown h1,
+        .markdown h2,
+        .markdown h3,
+        .markdown h4 {
+          font-size: 14px;
+          font-weight: 600;
+          margin: 12px 0 6px;
+        }
+        .markdown h1 {
+          font-size: 16px;
+        }
+        .markdown h2 {
+          font-size: 15px;
+        }
+        .markdown ul,
+        .markdown ol {
+          padding-left: 20px;
+        }
+        .markdown code {
+          background: var(--bg-tertiary);
+          padding: 1px 4px;
+          border-radius: 3px;
+          font-size: 12px;
+        }
+        .markdown pre {
+          background: var(--bg-tertiary);
+          padding: 8px 10px;
+          border-radius: 6px;
+          overflow-x: auto;
+        }
+        .markdown pre code {
+          padding: 0;
+          background: none;
+        }
+        .markdown table {
+          border-collapse: collapse;
+          display: block;
+          overflow-x: auto;
+        }
+        .markdown th,
+        .markdown td {
+          border: 1px solid var(--border);
+          padding: 4px 8px;
+          text-align: left;
+        }
+        .markdown th {
+          background: var(--bg-secondary);
+        }
+        .markdown blockquote {
+          border-left: 3px solid var(--border);
+          padding-left: 10px;
+          color: var(--text-secondary);
+        }
+        .markdown a {
+          color: var(--accent);
+        }
+        .markdown .math-block {
+          overflow-x: auto;
+          overflow-y: hidden;
+        }
+        .markdown .katex {
+          font-size: 1.1em;
         }
 
         .loading {
@@ -971,6 +1556,21 @@ export default function App() {
           font-size: 13px;
         }
 
+        .ai-response-btn {
+          margin-top: 10px;
+          padding: 6px 14px;
+          background: var(--bg);
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          color: var(--text-secondary);
+          font-size: 12px;
+          cursor: pointer;
+        }
+        .ai-response-btn:hover {
+          color: var(--text);
+          border-color: var(--text-tertiary);
+        }
+
         /* Study Tab */
         .stats-grid {
           display: grid;
@@ -1019,6 +1619,46 @@ export default function App() {
           font-size: 13px;
         }
 
+        .section-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 12px;
+        }
+
+        .section-header .section-title {
+          margin-bottom: 0;
+        }
+
+        .section-actions {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .section-link-btn {
+          padding: 8px 10px;
+          background: none;
+          border: none;
+          color: var(--text-secondary);
+          font-size: 13px;
+          cursor: pointer;
+        }
+
+        .section-link-btn:hover {
+          color: var(--text);
+        }
+
+        .quiz-attempt {
+          display: flex;
+          justify-content: space-between;
+          gap: 12px;
+        }
+
+        .quiz-attempt-section {
+          color: var(--text-secondary);
+        }
+
         .highlight-item {
           background: var(--bg-secondary);
           border-left: 3px solid var(--accent);
@@ -1028,6 +1668,102 @@ export default function App() {
           font-size: 13px;
         }
 
+        .highlight-item.linked {
+          cursor: pointer;
+        }
+
+        .highlight-item.linked:hover {
+          background: var(--bg-tertiary);
+        }
+
+        .highlight-meta {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-top: 6px;
+          font-size: 11px;
+          color: var(--text-tertiary);
+        }
+
+        .highlight-note {
+          margin-top: 6px;
+          padding-top: 6px;
+          border-top: 1px dashed var(--border);
+          color: var(--text-secondary);
+          white-space: pre-wrap;
+        }
+
+        .note-item .highlight-text {
+          white-space: pre-wrap;
+        }
+
+        .note-item-where {
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          margin-right: 12px;
+        }
+
+        .ai-history-item {
+          cursor: pointer;
+        }
+
+        .ai-history-item:hover {
+          background: var(--bg-tertiary);
+        }
+
+        .ai-history-item-mode {
+          margin-right: 6px;
+          font-size: 11px;
+          font-weight: 600;
+          color: var(--accent);
+          text-transform: uppercase;
+        }
+
+        .note-search {
+          margin-bottom: 8px;
+        }
+
+        .note-search-empty {
+          margin-bottom: 8px;
+          font-size: 13px;
+          color: var(--text-secondary);
+        }
+
+        .highlight-delete {
+          background: none;
+          border: none;
+          font-size: 11px;
+          color: var(--text-tertiary);
+          cursor: pointer;
+        }
+
+        .highlight-delete + .highlight-delete {
+          margin-left: 10px;
+        }
+
+        .highlight-delete:hover {
+          color: var(--danger);
+        }
+
+        .highlight-colors {
+          display: flex;
+          gap: 8px;
+          margin-bottom: 12px;
+        }
+
+        .highlight-swatch {
+          width: 20px;
+          height: 20px;
+          border-radius: 50%;
+          border: 2px solid transparent;
+          cursor: pointer;
+        }
+
+        .highlight-swatch.active {
+          border-color: var(--text);
+        }
+
         /* Settings Modal */
         .modal-overlay {
           position: fixed;
@@ -1088,6 +1824,72 @@ export default function App() {
           margin-top: 6px;
         }
 
+        .theme-options {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+        }
+
+        .theme-option {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 4px;
+          padding: 6px;
+          background: none;
+          border: 2px solid transparent;
+          border-radius: 8px;
+          color: var(--text-secondary);
+          font-size: 11px;
+          cursor: pointer;
+        }
+
+        .theme-option.active {
+          border-color: var(--accent);
+          color: var(--text);
+        }
+
+        .theme-swatch {
+          width: 44px;
+          height: 32px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          font-size: 13px;
+          font-weight: 600;
+        }
+
+        .account-row {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 12px;
+          font-size: 14px;
+        }
+
+        .account-username {
+          margin-left: 6px;
+          font-size: 12px;
+          color: var(--text-tertiary);
+        }
+
+        .account-btn {
+          padding: 6px 12px;
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          color: var(--text);
+          font-size: 13px;
+          cursor: pointer;
+        }
+
+        .account-btn:disabled {
+          opacity: 0.6;
+          cursor: default;
+        }
+
         .btn-primary {
           width: 100%;
           padding: 10px;
@@ -1180,6 +1982,10 @@ export default function App() {
           .library-actions {
             width: 100%;
             justify-content: space-between;
+            flex-wrap: wrap;
+          }
+          .library-search-input {
+            width: 100%;
           }
         }
       `}</style>
@@ -1260,6 +2066,20 @@ export default function App() {
                 {activeTab === 'study' && 'Study'}
               </span>
             </div>
+            {activeTab === 'reader' && currentFileData && currentBook && (
+              <div className="main-header-right">
+                <button
+                  className="menu-btn"
+                  title="Search in book"
+                  onClick={() => (showSearch ? handleCloseSearch() : setShowSearch(true))}
+                >
+                  <SearchIcon />
+                </button>
+                <button className="menu-btn" title="Ask the book" onClick={openBookChat}>
+                  <ChatIcon />
+                </button>
+              </div>
+            )}
           </header>
 
           <main className={`main-content ${activeTab === 'reader' && currentFileData ? 'no-padding' : ''}`}>
@@ -1299,6 +2119,13 @@ export default function App() {
                     <div className="library-header">
                       <h1 className="library-title">Your Library</h1>
                       <div className="library-actions">
+                        <input
+                          type="search"
+                          className="library-search-input"
+                          placeholder="Search all books"
+                          value={librarySearch}
+                          onChange={(e) => setLibrarySearch(e.target.value)}
+                        />
                         <div className="view-toggle">
                           <button
                             className={`view-btn ${viewMode === 'grid' ? 'active' : ''}`}
@@ -1320,7 +2147,13 @@ export default function App() {
                       </div>
                     </div>
 
-                    {viewMode === 'grid' ? (
+                    {librarySearch.trim().length >= 2 ? (
+                      <LibrarySearchResults
+                        query={librarySearch}
+                        books={books}
+                        onOpenHit={handleOpenSearchHit}
+                      />
+                    ) : viewMode === 'grid' ? (
                       <div className="book-grid">
                         {books.map((book) => (
                           <div key={book.id} className="book-card" onClick={() => openBook(book)}>
@@ -1377,16 +2210,39 @@ export default function App() {
             {/* Reader Tab */}
             {activeTab === 'reader' && (
               <div className="reader-container">
+                {showSearch && currentFileData && currentBook && (
+                  <SearchPanel
+                    book={currentBook}
+                    query={searchQuery}
+                    onQueryChange={setSearchQuery}
+                    onNavigate={handleSearchNavigate}
+                    onClose={handleCloseSearch}
+                  />
+                )}
                 {currentFileData && currentBook ? (
                   <DocumentViewer
                     book={currentBook}
                     fileData={currentFileData}
                     onPageChange={handlePageChange}
-                    onTextSelect={(text) => {
+                    onPDFViewModeChange={handlePDFViewModeChange}
+                    readerSettings={settings}
+                    onReaderSettingsChange={handleSettingsChange}
+                    speechPosition={speechPosition}
+                    onSpeechPositionChange={handleSpeechPositionChange}
+                    pdfPageFilter={pdfPageFilter(settings.pdfFilter, activeTheme)}
+                    onTextSelect={(text, anchor) => {
                       setSelectedText(text);
+                      setSelectedAnchor(anchor || null);
+                      setAIMode('selection');
                       setShowAI(true);
                       setAIResponse('');
                     }}
+                    highlights={highlights.filter(h => h.bookId === currentBookId)}
+                    notes={notes.filter(n => n.bookId === currentBookId)}
+                    onAddNote={handleAddMarginNote}
+                    onOpenNote={setEditingNote}
+                    jumpTarget={jumpTarget}
+                    searchQuery={showSearch ? searchQuery : ''}
                   />
                 ) : (
                   <div className="reader-empty">
@@ -1397,7 +2253,58 @@ export default function App() {
             )}
 
             {/* Study Tab */}
-            {activeTab === 'study' && (
+            {activeTab === 'study' && studyView === 'quiz' && (
+              <Quiz
+                book={currentFileData ? currentBook : null}
+                fileData={currentFileData}
+                position={readerPosition}
+                highlights={highlights}
+                onComplete={handleQuizComplete}
+                onClose={() => setStudyView('overview')}
+              />
+            )}
+
+            {activeTab === 'study' && studyView === 'review' && (
+              <FlashcardReview
+                flashcards={flashcards}
+                books={books}
+                onReviewed={setFlashcards}
+                onClose={() => setStudyView('overview')}
+              />
+            )}
+
+            {activeTab === 'study' && studyView === 'transfer' && (
+              <FlashcardTransfer
+                flashcards={flashcards}
+                books={books}
+                currentBookId={currentBookId}
+                onImported={async () => setFlashcards(await getFlashcards())}
+                onClose={() => setStudyView('overview')}
+              />
+            )}
+
+            {activeTab === 'study' && studyView === 'export-highlights' && (
+              <HighlightExport
+                highlights={highlights}
+                notes={notes}
+                books={books}
+                currentBookId={currentBookId}
+                onClose={() => setStudyView('overview')}
+              />
+            )}
+
+            {activeTab === 'study' && studyView === 'ai-history' && (
+              <AIHistory
+                entries={aiHistory}
+                books={books}
+                onOpen={handleOpenAIAnswer}
+                onMakeFlashcards={handleAnswerToFlashcards}
+                onDelete={(entry) => removeAIAnswer(entry.id)}
+                onClose={() => setStudyView('overview')}
+              />
+            )}
+
+            {activeTab === 'study' && studyView === 'overview' && (
               <>
                 <div className="stats-grid">
                   <div className="stat-card">
@@ -1409,8 +2316,8 @@ export default function App() {
                     <div className="stat-label">Highlights</div>
                   </div>
                   <div className="stat-card">
-                    <div className="stat-value">{flashcards.length}</div>
-                    <div className="stat-label">Flashcards</div>
+                    <div className="stat-value">{dueFlashcards.length}</div>
+                    <div className="stat-label">Flashcards due today</div>
                   </div>
                   <div className="stat-card">
                     <div className="stat-value">{studyStats.quizScore || 0}%</div>
@@ -1418,7 +2325,44 @@ export default function App() {
                   </div>
                 </div>
 
-                <div className="section-title">Flashcards</div>
+                <div className="section-header">
+                  <div className="section-title">Quiz</div>
+                  <button className="add-btn" onClick={() => setStudyView('quiz')}>
+                    <PlusIcon />
+                    New Quiz
+                  </button>
+                </div>
+                <div className="card-list">
+                  {quizScores.length === 0 ? (
+                    <div className="card-item" style={{ color: 'var(--text-secondary)' }}>
+                      Test yourself on a page, a chapter or your highlights
+                    </div>
+                  ) : (
+                    quizScores.slice(-5).reverse().map((score, i) => (
+                      <div key={score.date || i} className="card-item quiz-attempt">
+                        <span>
+                          {score.bookTitle || 'Quiz'}
+                          {score.section?.label && <span className="quiz-attempt-section"> · {score.section.label}</span>}
+                        </span>
+                        <strong>{score.percentage}%</strong>
+                      </div>
+                    ))
+                  )}
+                </div>
+
+                <div className="section-header">
+                  <div className="section-title">Flashcards</div>
+                  <div className="section-actions">
+                    <button className="section-link-btn" onClick={() => setStudyView('transfer')}>
+                      Export / Import
+                    </button>
+                    {flashcards.length > 0 && (
+                      <button className="add-btn" onClick={() => setStudyView('review')}>
+                        {dueFlashcards.length > 0 ? `Review ${dueFlashcards.length} due` : 'Review'}
+                      </button>
+                    )}
+                  </div>
+                </div>
                 <div className="card-list">
                   {flashcards.length === 0 ? (
                     <div className="card-item" style={{ color: 'var(--text-secondary)' }}>
@@ -1426,19 +2370,108 @@ export default function App() {
                     </div>
                   ) : (
                     flashcards.slice(0, 5).map((card, i) => (
-                      <div key={card.id || i} className="card-item">{card.front}</div>
+                      <div key={card.id || i} className="card-item"><Markdown text={card.front} inline /></div>
+                    ))
+                  )}
+                </div>
+
+                <div className="section-header">
+                  <div className="section-title">AI History</div>
+                  {aiHistory.length > 0 && (
+                    <button className="section-link-btn" onClick={() => setStudyView('ai-history')}>
+                      Browse all {aiHistory.length}
+                    </button>
+                  )}
+                </div>
+                <div className="card-list">
+                  {aiHistory.length === 0 ? (
+                    <div className="card-item" style={{ color: 'var(--text-secondary)' }}>
+                      Answers to Explain, Solve and Ask the book are saved here
+                    </div>
+                  ) : (
+                    aiHistory.slice(0, 3).map(entry => (
+                      <div key={entry.id} className="card-item ai-history-item" onClick={() => handleOpenAIAnswer(entry)}>
+                        <span className="ai-history-item-mode">
+                          {entry.mode === 'ask' ? 'Asked' : entry.mode === 'solve' ? 'Solved' : 'Explained'}
+                        </span>
+                        {entry.text.length > 100 ? entry.text.slice(0, 100) + '…' : entry.text}
+                      </div>
                     ))
                   )}
                 </div>
 
-                <div className="section-title">Highlights</div>
+                <div className="section-title">Notes</div>
+                {notes.length === 0 ? (
+                  <div className="highlight-item" style={{ borderLeftColor: 'var(--border)', color: 'var(--text-secondary)' }}>
+                    Add a note to a highlight below, or pin one to a page with ✎ Note while reading
+                  </div>
+                ) : (
+                  <>
+                    <input
+                      type="search"
+                      className="form-input note-search"
+                      placeholder="Search notes..."
+                      value={noteSearch}
+                      onChange={(e) => setNoteSearch(e.target.value)}
+                    />
+                    {filteredNotes.length === 0 && (
+                      <div className="note-search-empty">No notes match "{noteSearch}"</div>
+                    )}
+                    {filteredNotes.map(note => (
+                      <div key={note.id} className="highlight-item linked note-item" onClick={() => handleOpenNote(note)}>
+                        <div className="highlight-text">{note.text}</div>
+                        <div className="highlight-meta">
+                          <span className="note-item-where">
+                            {books.find(b => b.id === note.bookId)?.title || 'Unknown'} · {describeNote(note)}
+                          </span>
+                          <button className="highlight-delete" onClick={(e) => { e.stopPropagation(); setEditingNote(note); }}>
+                            Edit
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </>
+                )}
+
+                <div className="section-header">
+                  <div className="section-title">Highlights</div>
+                  {(highlights.length > 0 || notes.length > 0) && (
+                    <button className="section-link-btn" onClick={() => setStudyView('export-highlights')}>
+                      Export
+                    </button>
+                  )}
+                </div>
                 {highlights.length === 0 ? (
                   <div className="highlight-item" style={{ borderLeftColor: 'var(--border)', color: 'var(--text-secondary)' }}>
                     Select text while reading to save highlights
                   </div>
                 ) : (
                   highlights.map((h, i) => (
-                    <div key={h.id || i} className="highlight-item">{h.text}</div>
+                    <div
+                      key={h.id || i}
+                      className={`highlight-item ${h.location ? 'linked' : ''}`}
+                      style={{ borderLeftColor: HIGHLIGHT_COLORS[h.color] || 'var(--accent)' }}
+                      onClick={() => handleOpenHighlight(h)}
+                    >
+                      <div className="highlight-text">{h.text}</div>
+                      {notesByHighlight.has(h.id) && (
+                        <div className="highlight-note">{notesByHighlight.get(h.id).text}</div>
+                      )}
+                      <div className="highlight-meta">
+                        <span>
+                          {h.bookTitle}
+                          {h.location?.type === 'pdf' && ` · Page ${h.location.page}`}
+                        </span>
+                        <span>
+                          <button className="highlight-delete" onClick={(e) => handleEditHighlightNote(h, e)}>
+                            {notesByHighlight.has(h.id) ? 'Edit note' : 'Add note'}
+                          </button>
+                          <button className="highlight-delete" onClick={(e) => handleDeleteHighlight(h.id, e)}>
+                            Remove
+                          </button>
+                        </span>
+                      </div>
+                    </div>
                   ))
                 )}
               </>
@@ -1453,26 +2486,86 @@ export default function App() {
             <button className="close-btn" onClick={() => setShowAI(false)}>×</button>
           </div>
 
-          {selectedText && (
-            <div className="selected-box">
-              {selectedText.length > 150 ? selectedText.slice(0, 150) + '...' : selectedText}
+          {currentBook && currentFileData && (
+            <div className="ai-tabs">
+              <button
+                className={`ai-tab ${aiMode === 'selection' ? 'active' : ''}`}
+                onClick={() => setAIMode('selection')}
+              >
+                Selection
+              </button>
+              <button
+                className={`ai-tab ${aiMode === 'chat' ? 'active' : ''}`}
+                onClick={() => setAIMode('chat')}
+              >
+                Ask the book
+              </button>
             </div>
           )}
 
-          <div className="ai-actions">
-            <button className="ai-btn" onClick={() => handleAI('explain')}>Explain</button>
-            <button className="ai-btn" onClick={() => handleAI('solve')}>Solve</button>
-            <button className="ai-btn" onClick={handleSaveHighlight}>Save</button>
-            <button className="ai-btn" onClick={handleGenerateFlashcards}>Cards</button>
-          </div>
-
-          {isLoading ? (
-            <div className="loading">Thinking...</div>
-          ) : aiResponse && (
-            <div className="ai-response" dangerouslySetInnerHTML={{ __html: formatAIResponse(aiResponse) }} />
+          {currentBook && currentFileData && (
+            <div style={{ display: aiMode === 'chat' ? 'block' : 'none' }}>
+              <BookChat
+                key={currentBook.id}
+                book={currentBook}
+                onCitationClick={handleCitationClick}
+              />
+            </div>
           )}
+
+          <div style={{ display: aiMode === 'chat' && currentBook && currentFileData ? 'none' : 'block' }}>
+            {selectedText && (
+              <div className="selected-box">
+                {selectedText.length > 150 ? selectedText.slice(0, 150) + '...' : selectedText}
+              </div>
+            )}
+
+            <div className="highlight-colors">
+              {Object.entries(HIGHLIGHT_COLORS).map(([name, color]) => (
+                <button
+                  key={name}
+                  className={`highlight-swatch ${highlightColor === name ? 'active' : ''}`}
+                  style={{ background: color }}
+                  title={`Highlight ${name}`}
+                  onClick={() => setHighlightColor(name)}
+                />
+              ))}
+            </div>
+
+            <div className="ai-actions">
+              <button className="ai-btn" onClick={() => handleAI('explain')}>Explain</button>
+              <button className="ai-btn" onClick={() => handleAI('solve')}>Solve</button>
+              <button className="ai-btn" onClick={handleSaveHighlight}>Save</button>
+              <button className="ai-btn" onClick={handleGenerateFlashcards}>Cards</button>
+            </div>
+
+            {aiQuotaError && <QuotaNotice {...aiQuotaError} />}
+            {isLoading && !aiResponse ? (
+              <div className="loading">Thinking...</div>
+            ) : aiResponse && (
+              <Markdown className="ai-response" text={aiResponse} />
+            )}
+            {isStreaming ? (
+              <button className="ai-response-btn" onClick={handleStopAI}>Stop</button>
+            ) : lastAIRequest && aiResponseOk && (
+              <button className="ai-response-btn" onClick={() => handleAI(lastAIRequest.mode, true)}>
+                Regenerate
+              </button>
+            )}
+          </div>
         </div>
 
+        {editingNote && (
+          <NoteEditor
+            key={editingNote.id || 'new'}
+            note={editingNote}
+            context={editingNote.highlightId || editingNote.location ? describeNote(editingNote) : null}
+            onSave={handleSaveNote}
+            onDelete={handleDeleteNote}
+            onClose={() => setEditingNote(null)}
+          />
+        )}
+
         {/* Settings Modal */}
         {showSettings && (
           <div className="modal-overlay" onClick={handleCloseSettings}>
@@ -1514,6 +2607,88 @@ export default function App() {
                 </div>
               </div>
 
+              {user && (
+                <div className="form-group">
+                  <label className="form-label">Account</label>
+                  <div className="account-row">
+                    <span>
+                      {user.displayName}
+                      <span className="account-username">@{user.username}{user.role === 'admin' && ' · admin'}</span>
+                    </span>
+                    <button className="account-btn" onClick={handleLogout}>Log out</button>
+                  </div>
+                </div>
+              )}
+
+              {user && (
+                <div className="form-group">
+                  <label className="form-label">Sync</label>
+                  <div className="account-row">
+                    <span>
+                      {isSyncing
+                        ? 'Syncing…'
+                        : lastSyncedAt
+                          ? `Last synced ${new Date(lastSyncedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`
+                          : 'Not synced yet'}
+                    </span>
+                    <button className="account-btn" onClick={() => runSync(user.id)} disabled={isSyncing}>
+                      Sync now
+                    </button>
+                  </div>
+                  <div className="form-hint">
+                    {syncError || 'Your books, highlights, flashcards and reading progress are kept in sync across devices.'}
+                  </div>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label className="form-label">Theme</label>
+                <div className="theme-options">
+                  {THEME_CHOICES.map(choice => (
+                    <button
+                      key={choice.id}
+                      className={`theme-option ${settings.theme === choice.id ? 'active' : ''}`}
+                      onClick={() => handleSettingsChange({ theme: choice.id })}
+                    >
+                      <span
+                        className="theme-swatch"
+                        style={choice.id === 'system'
+                          ? { background: `linear-gradient(135deg, ${THEMES.light.colors['--bg']} 50%, ${THEMES.dark.colors['--bg']} 50%)` }
+                          : { background: THEMES[choice.id].colors['--bg'], color: THEMES[choice.id].colors['--text'] }}
+                      >
+                        {choice.id !== 'system' && 'Aa'}
+                      </span>
+                      {choice.label}
+                    </button>
+                  ))}
+                </div>
+                <label className="form-label" style={{ marginTop: '12px' }}>PDF pages</label>
+                <select
+                  className="form-input"
+                  value={settings.pdfFilter}
+                  onChange={(e) => handleSettingsChange({ pdfFilter: e.target.value })}
+                >
+                  {PDF_FILTERS.map(filter => (
+                    <option key={filter.id} value={filter.id}>{filter.label}</option>
+                  ))}
+                </select>
+                <div className="form-hint">
+                  Inverted pages are easier on the eyes at night. Pictures are inverted too.
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Backup</label>
+                <LibraryBackup onImported={handleLibraryImported} />
+              </div>
+
+              {user?.role === 'admin' && (
+                <div className="form-group">
+                  <label className="form-label">Student Accounts</label>
+                  <AdminImport />
+                </div>
+              )}
+
               <button className="btn-primary" onClick={handleCloseSettings}>
                 Close
               </button>
@@ -1524,6 +2699,13 @@ export default function App() {
         {/* Toasts */}
         {uploadProgress && <div className="toast progress">{uploadProgress}</div>}
         {uploadError && <div className="toast error">{uploadError}</div>}
+
+        <OfflineQueue onOpen={handleOpenQueuedAnswer} />
+
+        {/* Login (covers the app until there is a session) */}
+        {authChecked && !user && !serverOffline && (
+          <AuthScreen allowSignup={allowSignup} onAuthenticated={setUser} />
+        )}
       </div>
     </>
   );
@@ -0,0 +1,204 @@
+// AI History Component - browse saved explanations, solutions and book answers
+import React, { useState } from 'react';
+import { Markdown } from './Markdown';
+
+const MODE_LABELS = { explain: 'Explanation', solve: 'Solution', ask: 'Book question' };
+const ALL = 'all';
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' }) : '';
+}
+
+export function AIHistory({ entries, books, onOpen, onMakeFlashcards, onDelete, onClose }) {
+  const [search, setSearch] = useState('');
+  const [mode, setMode] = useState(ALL);
+  const [bookId, setBookId] = useState(ALL);
+  const [expanded, setExpanded] = useState(null);
+  const [working, setWorking] = useState(null);
+  const [messages, setMessages] = useState({});
+
+  const bookChoices = books.filter(book => entries.some(e => e.bookId === book.id));
+  const query = search.trim().toLowerCase();
+  const filtered = entries.filter(entry =>
+    (mode === ALL || entry.mode === mode) &&
+    (bookId === ALL || String(entry.bookId) === bookId) &&
+    (!query || [entry.text, entry.response, entry.bookTitle || ''].some(text => text.toLowerCase().includes(query)))
+  );
+
+  const handleMakeFlashcards = async (entry) => {
+    setWorking(entry.id);
+    try {
+      const count = await onMakeFlashcards(entry);
+      setMessages(prev => ({ ...prev, [entry.id]: `Added ${count} ${count === 1 ? 'flashcard' : 'flashcards'}.` }));
+    } catch (error) {
+      console.error('AI History Error:', error);
+      setMessages(prev => ({ ...prev, [entry.id]: 'Could not make flashcards. Please try again.' }));
+    }
+    setWorking(null);
+  };
+
+  const handleDelete = (entry) => {
+    if (confirm('Delete this answer from your history?')) onDelete(entry);
+  };
+
+  return (
+    <div className="ai-history">
+      <style>{`
+        .ai-history-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 16px;
+        }
+        .ai-history-title {
+          font-size: 18px;
+          font-weight: 600;
+        }
+        .ai-history-filters {
+          display: flex;
+          gap: 8px;
+          margin-bottom: 16px;
+          flex-wrap: wrap;
+        }
+        .ai-history-filters .form-input {
+          flex: 1;
+          min-width: 140px;
+        }
+        .ai-history-entry {
+          padding: 12px 14px;
+          margin-bottom: 10px;
+          background: var(--bg-secondary);
+          border-radius: 8px;
+          font-size: 13px;
+        }
+        .ai-history-meta {
+          margin-bottom: 6px;
+          font-size: 11px;
+          color: var(--text-tertiary);
+        }
+        .ai-history-passage {
+          padding-left: 10px;
+          border-left: 3px solid var(--accent);
+          color: var(--text-secondary);
+          margin-bottom: 8px;
+        }
+        .ai-history-response {
+          line-height: 1.6;
+        }
+        .ai-history-response.collapsed {
+          max-height: 96px;
+          overflow: hidden;
+          -webkit-mask-image: linear-gradient(to bottom, black 60%, transparent);
+          mask-image: linear-gradient(to bottom, black 60%, transparent);
+        }
+        .ai-history-actions {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          margin-top: 8px;
+        }
+        .ai-history-btn {
+          background: none;
+          border: none;
+          padding: 0;
+          font-size: 12px;
+          color: var(--accent);
+          cursor: pointer;
+        }
+        .ai-history-btn:disabled {
+          color: var(--text-tertiary);
+          cursor: default;
+        }
+        .ai-history-btn.delete {
+          margin-left: auto;
+          color: var(--text-tertiary);
+        }
+        .ai-history-message {
+          margin-top: 6px;
+          font-size: 12px;
+          color: var(--text-secondary);
+        }
+        .ai-history-empty {
+          color: var(--text-secondary);
+          font-size: 13px;
+        }
+      `}</style>
+
+      <div className="ai-history-header">
+        <div className="ai-history-title">AI History</div>
+        <button className="close-btn" onClick={onClose}>×</button>
+      </div>
+
+      <div className="ai-history-filters">
+        <input
+          type="search"
+          className="form-input"
+          placeholder="Search answers..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <select className="form-input" value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value={ALL}>All answers</option>
+          {Object.entries(MODE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}s</option>
+          ))}
+        </select>
+        <select className="form-input" value={bookId} onChange={(e) => setBookId(e.target.value)}>
+          <option value={ALL}>All books</option>
+          {bookChoices.map(book => (
+            <option key={book.id} value={String(book.id)}>{book.title}</option>
+          ))}
+        </select>
+      </div>
+
+      {filtered.length === 0 && (
+        <div className="ai-history-empty">
+          {entries.length === 0 ? 'Answers to Explain, Solve and Ask the book are saved here.' : 'No answers match these filters.'}
+        </div>
+      )}
+
+      {filtered.map(entry => {
+        const isExpanded = expanded === entry.id;
+        const hasBook = books.some(book => book.id === entry.bookId);
+        return (
+          <div key={entry.id} className="ai-history-entry">
+            <div className="ai-history-meta">
+              {MODE_LABELS[entry.mode] || 'Answer'}
+              {entry.bookTitle && ` · ${entry.bookTitle}`}
+              {entry.location?.type === 'pdf' && ` · Page ${entry.location.page}`}
+              {` · ${formatDate(entry.createdAt)}`}
+            </div>
+            <div className="ai-history-passage">
+              {entry.text.length > 200 && !isExpanded ? entry.text.slice(0, 200) + '…' : entry.text}
+            </div>
+            <Markdown
+              className={`ai-history-response ${isExpanded ? '' : 'collapsed'}`}
+              text={entry.response}
+            />
+            <div className="ai-history-actions">
+              <button className="ai-history-btn" onClick={() => setExpanded(isExpanded ? null : entry.id)}>
+                {isExpanded ? 'Show less' : 'Show more'}
+              </button>
+              {hasBook && (
+                <button className="ai-history-btn" onClick={() => onOpen(entry)}>
+                  {entry.location ? 'Open in book' : 'Open book'}
+                </button>
+              )}
+              <button
+                className="ai-history-btn"
+                onClick={() => handleMakeFlashcards(entry)}
+                disabled={working !== null}
+              >
+                {working === entry.id ? 'Making flashcards...' : 'Make flashcards'}
+              </button>
+              <button className="ai-history-btn delete" onClick={() => handleDelete(entry)}>Delete</button>
+            </div>
+            {messages[entry.id] && <div className="ai-history-message">{messages[entry.id]}</div>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default AIHistory;
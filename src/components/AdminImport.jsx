@@ -0,0 +1,113 @@
+// Admin Import Component - bulk-create student accounts from a CSV file
+import React, { useState, useRef } from 'react';
+import { importStudents } from '../utils/auth';
+import { downloadBlob } from '../utils/download';
+
+// Quote a value for CSV output
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function AdminImport() {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [importing, setImporting] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setResult(null);
+    setImporting(true);
+    try {
+      setResult(await importStudents(await file.text()));
+    } catch (err) {
+      setError(err.message);
+    }
+    setImporting(false);
+  };
+
+  // Generated passwords are only shown once, so let the admin keep a copy to hand out
+  const downloadCredentials = () => {
+    const lines = [
+      'name,username,password',
+      ...result.created.map(user => [user.displayName, user.username, user.password || '(from CSV)'].map(csvCell).join(','))
+    ];
+    downloadBlob(new Blob([lines.join('\n')], { type: 'text/csv' }), 'student-accounts.csv');
+  };
+
+  return (
+    <div className="admin-import">
+      <style>{`
+        .admin-import-btn {
+          width: 100%;
+          padding: 8px;
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          color: var(--text);
+          font-size: 13px;
+          cursor: pointer;
+        }
+        .admin-import-btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+        .admin-import-summary {
+          margin-top: 10px;
+          font-size: 13px;
+          color: var(--text-secondary);
+        }
+        .admin-import-skipped {
+          margin-top: 6px;
+          max-height: 120px;
+          overflow-y: auto;
+          font-size: 12px;
+          color: var(--text-tertiary);
+        }
+        .admin-import-error {
+          margin-top: 10px;
+          font-size: 13px;
+          color: #ef4444;
+        }
+      `}</style>
+
+      <input ref={fileInputRef} type="file" accept=".csv,text/csv" onChange={handleFile} style={{ display: 'none' }} />
+      <button className="admin-import-btn" onClick={() => fileInputRef.current?.click()} disabled={importing}>
+        {importing ? 'Creating accounts...' : 'Import students from CSV'}
+      </button>
+      <div className="form-hint">
+        Columns: username, name, password, or any order with a header row. Leave a password blank to generate one.
+      </div>
+
+      {error && <div className="admin-import-error">{error}</div>}
+
+      {result && (
+        <>
+          <div className="admin-import-summary">
+            Created {result.created.length} {result.created.length === 1 ? 'account' : 'accounts'}
+            {result.skipped.length > 0 && `, skipped ${result.skipped.length}`}.
+          </div>
+          {result.skipped.length > 0 && (
+            <div className="admin-import-skipped">
+              {result.skipped.map(row => (
+                <div key={row.line}>Line {row.line}{row.username && ` (${row.username})`}: {row.reason}</div>
+              ))}
+            </div>
+          )}
+          {result.created.length > 0 && (
+            <button className="admin-import-btn" style={{ marginTop: '10px' }} onClick={downloadCredentials}>
+              Download usernames and passwords
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AdminImport;
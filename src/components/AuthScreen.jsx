@@ -0,0 +1,180 @@
+// Auth Screen Component - login and sign-up
+import React, { useState } from 'react';
+import { KLSLogo } from './KLSLogo';
+import { login, signup } from '../utils/auth';
+
+export function AuthScreen({ allowSignup, onAuthenticated }) {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const switchMode = (next) => {
+    setMode(next);
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      const user = mode === 'signup'
+        ? await signup(username.trim(), password, displayName.trim())
+        : await login(username.trim(), password);
+      onAuthenticated(user);
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-screen">
+      <style>{`
+        .auth-screen {
+          position: fixed;
+          inset: 0;
+          z-index: 500;
+          overflow-y: auto;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 16px;
+          background: var(--bg-secondary);
+        }
+        .auth-card {
+          width: 100%;
+          max-width: 360px;
+          background: var(--bg);
+          border: 1px solid var(--border);
+          border-radius: 12px;
+          padding: 28px 24px;
+        }
+        .auth-logo {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 10px;
+          font-size: 18px;
+          font-weight: 600;
+          margin-bottom: 20px;
+        }
+        .auth-tabs {
+          display: flex;
+          background: var(--bg-tertiary);
+          border-radius: 6px;
+          padding: 2px;
+          margin-bottom: 20px;
+        }
+        .auth-tab {
+          flex: 1;
+          padding: 8px 10px;
+          background: transparent;
+          border: none;
+          border-radius: 4px;
+          color: var(--text-secondary);
+          font-size: 13px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+        .auth-tab.active {
+          background: var(--bg);
+          color: var(--text);
+        }
+        .auth-error {
+          margin-bottom: 16px;
+          padding: 10px 12px;
+          border-radius: 6px;
+          background: rgba(239, 68, 68, 0.1);
+          border: 1px solid rgba(239, 68, 68, 0.3);
+          color: #ef4444;
+          font-size: 13px;
+        }
+        .auth-note {
+          margin-top: 16px;
+          text-align: center;
+          font-size: 12px;
+          color: var(--text-tertiary);
+        }
+        .btn-primary:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+      `}</style>
+
+      <form className="auth-card" onSubmit={handleSubmit}>
+        <div className="auth-logo">
+          <KLSLogo size={28} />
+          Kapul Reader
+        </div>
+
+        {allowSignup && (
+          <div className="auth-tabs">
+            <button type="button" className={`auth-tab ${mode === 'login' ? 'active' : ''}`} onClick={() => switchMode('login')}>
+              Log in
+            </button>
+            <button type="button" className={`auth-tab ${mode === 'signup' ? 'active' : ''}`} onClick={() => switchMode('signup')}>
+              Sign up
+            </button>
+          </div>
+        )}
+
+        {error && <div className="auth-error">{error}</div>}
+
+        {mode === 'signup' && (
+          <div className="form-group">
+            <label className="form-label" htmlFor="auth-name">Your name</label>
+            <input
+              id="auth-name"
+              className="form-input"
+              value={displayName}
+              onChange={(e) => setDisplayName(e.target.value)}
+              autoComplete="name"
+            />
+          </div>
+        )}
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="auth-username">Username</label>
+          <input
+            id="auth-username"
+            className="form-input"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoCapitalize="none"
+            autoFocus
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="auth-password">Password</label>
+          <input
+            id="auth-password"
+            className="form-input"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+            required
+          />
+          {mode === 'signup' && <div className="form-hint">At least 8 characters.</div>}
+        </div>
+
+        <button className="btn-primary" type="submit" disabled={submitting || !username.trim() || !password}>
+          {submitting ? 'Please wait...' : mode === 'signup' ? 'Create account' : 'Log in'}
+        </button>
+
+        {!allowSignup && (
+          <div className="auth-note">Ask your teacher for a username and password.</div>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default AuthScreen;
@@ -0,0 +1,291 @@
+// Book Chat Component - multi-turn questions about the whole book with cited passages
+import React, { useState, useRef, useEffect } from 'react';
+import { retrievePassages } from '../utils/retrieval';
+import { askBook } from '../utils/ai';
+import { queueAIRequest } from '../utils/aiQueue';
+import { saveAIAnswer } from '../utils/aiHistory';
+import { QuotaNotice } from './QuotaNotice';
+import { Markdown } from './Markdown';
+
+// Numbers like [2] that refer to a passage the answer was given
+function getCitedNumbers(text, passageCount) {
+  const cited = new Set();
+  for (const match of text.matchAll(/\[(\d+)\]/g)) {
+    const n = parseInt(match[1]);
+    if (n >= 1 && n <= passageCount) cited.add(n);
+  }
+  return [...cited].sort((a, b) => a - b);
+}
+
+export function BookChat({ book, onCitationClick }) {
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [status, setStatus] = useState('');
+  const endRef = useRef(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: 'end' });
+  }, [messages, loading]);
+
+  // Stop any answer still streaming when the chat closes
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  // Replace the answer currently being written (always the last message)
+  const updateAnswer = (content) => {
+    setMessages(prev => [...prev.slice(0, -1), { ...prev[prev.length - 1], content }]);
+  };
+
+  const sendQuestion = async () => {
+    const question = input.trim();
+    if (!question || loading) return;
+
+    // Questions that hit a quota or were queued offline got no answer, so leave them and their notice out
+    const unanswered = m => m?.quota || m?.queued;
+    const history = messages
+      .filter((m, i) => !unanswered(m) && !unanswered(messages[i + 1]))
+      .map(m => ({ role: m.role, content: m.content }));
+    setMessages(prev => [...prev, { role: 'user', content: question }]);
+    setInput('');
+    setLoading(true);
+
+    let passages = [];
+    try {
+      // Follow-up questions ("what are its units?") borrow key words from the previous question
+      const previousQuestion = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+      setStatus('Searching the book...');
+      passages = await retrievePassages(book, `${question} ${previousQuestion}`);
+
+      setStatus('Thinking...');
+      const controller = new AbortController();
+      abortRef.current = controller;
+      setMessages(prev => [...prev, { role: 'assistant', content: '', passages }]);
+
+      try {
+        let fromAI = true;
+        const answer = await askBook(question, history, passages, book.title, {
+          signal: controller.signal,
+          onText: updateAnswer,
+          onFallback: () => { fromAI = false; }
+        });
+        updateAnswer(answer);
+        // History keeps the AI's answers only, not error fallbacks
+        if (fromAI) {
+          saveAIAnswer({ mode: 'ask', text: question, response: answer, bookId: book.id, bookTitle: book.title, location: null });
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+        // Keep whatever arrived before Stop was pressed
+        setMessages(prev => {
+          const last = prev[prev.length - 1];
+          return [...prev.slice(0, -1), { ...last, content: last.content ? last.content + '\n\n*Stopped.*' : '*Stopped.*' }];
+        });
+      }
+    } catch (error) {
+      let message;
+      if (error.quota) {
+        message = { role: 'assistant', content: error.message, quota: error.quota, passages: [] };
+      } else if (error.offline) {
+        await queueAIRequest({ mode: 'ask', question, history, passages, bookId: book.id, bookTitle: book.title });
+        message = {
+          role: 'assistant',
+          content: "You're offline. This question has been saved and will be answered when you're back online.",
+          queued: true,
+          passages: []
+        };
+      } else {
+        message = {
+          role: 'assistant',
+          content: 'Error: ' + (error.message || 'Something went wrong. Please try again.'),
+          passages: []
+        };
+      }
+      setMessages(prev => [...prev.filter(m => m.role === 'user' || m.content), message]);
+    }
+
+    abortRef.current = null;
+    setStatus('');
+    setLoading(false);
+  };
+
+  // Citations are rendered as buttons inside the formatted HTML, so handle clicks by delegation
+  const handleAnswerClick = (e, passages) => {
+    const cite = e.target.closest('[data-cite]');
+    if (!cite) return;
+    const passage = passages[parseInt(cite.dataset.cite) - 1];
+    if (passage) onCitationClick(passage);
+  };
+
+  return (
+    <div className="book-chat">
+      <style>{`
+        .book-chat {
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+        }
+        .chat-empty {
+          font-size: 13px;
+          color: var(--text-secondary);
+        }
+        .chat-messages {
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+        }
+        .chat-message {
+          font-size: 13px;
+          line-height: 1.6;
+          padding: 10px 12px;
+          border-radius: 8px;
+        }
+        .chat-message.user {
+          align-self: flex-end;
+          max-width: 85%;
+          background: var(--accent);
+          color: var(--bg);
+        }
+        .chat-message.assistant {
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+        }
+        .chat-cite {
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+          min-width: 18px;
+          height: 18px;
+          padding: 0 4px;
+          margin: 0 1px;
+          background: var(--bg-tertiary);
+          border: 1px solid var(--border);
+          border-radius: 9px;
+          font-size: 10px;
+          font-weight: 600;
+          color: var(--accent);
+          cursor: pointer;
+          vertical-align: text-top;
+        }
+        .chat-cite:hover {
+          border-color: var(--accent);
+        }
+        .chat-sources {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+          margin-top: 8px;
+          padding-top: 8px;
+          border-top: 1px solid var(--border);
+        }
+        .chat-source {
+          padding: 2px 8px;
+          background: var(--bg);
+          border: 1px solid var(--border);
+          border-radius: 10px;
+          font-size: 11px;
+          color: var(--text-secondary);
+          cursor: pointer;
+        }
+        .chat-source:hover {
+          color: var(--text);
+          border-color: var(--text-tertiary);
+        }
+        .chat-input-row {
+          display: flex;
+          gap: 8px;
+        }
+        .chat-input {
+          flex: 1;
+          min-width: 0;
+          padding: 8px 10px;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          background: var(--bg);
+          color: var(--text);
+          font-size: 13px;
+          font-family: inherit;
+          resize: none;
+        }
+        .chat-send {
+          flex: 0 0 auto;
+        }
+      `}</style>
+
+      {messages.length === 0 && (
+        <div className="chat-empty">
+          Ask anything about <strong>{book.title}</strong>. Answers are based on passages found in the book, with links back to the pages they came from.
+        </div>
+      )}
+
+      <div className="chat-messages">
+        {messages.filter(m => m.role === 'user' || m.content).map((message, i) => (
+          message.role === 'user' ? (
+            <div key={i} className="chat-message user">{message.content}</div>
+          ) : message.quota ? (
+            <QuotaNotice key={i} quota={message.quota} message={message.content} />
+          ) : (
+            <div key={i} className="chat-message assistant">
+              <Markdown
+                className="ai-response"
+                text={message.content}
+                citations={message.passages?.length || 0}
+                onClick={(e) => handleAnswerClick(e, message.passages)}
+              />
+              {message.passages?.length > 0 && (
+                <div className="chat-sources">
+                  {(getCitedNumbers(message.content, message.passages.length).length > 0
+                    ? getCitedNumbers(message.content, message.passages.length)
+                    : message.passages.map((_, j) => j + 1)
+                  ).map(n => (
+                    <button
+                      key={n}
+                      className="chat-source"
+                      title={message.passages[n - 1].text.slice(0, 200)}
+                      onClick={() => onCitationClick(message.passages[n - 1])}
+                    >
+                      [{n}] {message.passages[n - 1].label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )
+        ))}
+        {loading && (messages[messages.length - 1]?.role === 'user' || !messages[messages.length - 1]?.content) && (
+          <div className="loading">{status || 'Thinking...'}</div>
+        )}
+        <div ref={endRef} />
+      </div>
+
+      <div className="chat-input-row">
+        <textarea
+          className="chat-input"
+          rows={2}
+          placeholder="Ask a question about this book..."
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={(e) => {
+            // Keep reader arrow-key navigation from firing while typing
+            e.stopPropagation();
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              sendQuestion();
+            }
+          }}
+        />
+        {loading && abortRef.current ? (
+          <button className="ai-btn chat-send" onClick={() => abortRef.current?.abort()}>
+            Stop
+          </button>
+        ) : (
+          <button className="ai-btn chat-send" onClick={sendQuestion} disabled={loading || !input.trim()}>
+            Ask
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BookChat;
@@ -1,109 +1,724 @@
 // Document Viewer Component for PDF and EPUB files
 import React, { useState, useEffect, useRef } from 'react';
 import { TextLayer } from 'pdfjs-dist';
-import { renderPDFPage, getPDFPageText, createEPUBReader } from '../utils/documentParser';
+import {
+  renderPDFPage,
+  prerenderPDFPages,
+  renderPDFThumbnail,
+  resolvePDFDestination,
+  getPDFOutline,
+  cancelPDFRender,
+  closePDFDocument,
+  isRenderCancelled,
+  getPDFPageText,
+  renderPDFPageForOCR,
+  setPDFPageOCR,
+  createEPUBReader
+} from '../utils/documentParser';
+import { recognizePage } from '../utils/ocr';
+import { getBookOCR } from '../utils/storage';
+import { readerStylesheet } from '../utils/readerSettings';
+import { onSystemThemeChange } from '../utils/themes';
+import { ReaderSettings } from './ReaderSettings';
+import { ReadAloudControls } from './ReadAloud';
+import { isReadAloudSupported, createReadAloud, splitSentences, documentText } from '../utils/readAloud';
 
-// PDF Viewer Component
-export function PDFViewer({ fileData, onPageChange, onTextSelect, initialPage = 1 }) {
+// Highlight colours available when saving a highlight
+export const HIGHLIGHT_COLORS = {
+  yellow: '#facc15',
+  green: '#4ade80',
+  blue: '#60a5fa',
+  pink: '#f472b6'
+};
+
+const getHighlightColor = (highlight) => HIGHLIGHT_COLORS[highlight.color] || HIGHLIGHT_COLORS.yellow;
+
+function notePreview(note) {
+  return note.text.length > 120 ? note.text.slice(0, 120) + '…' : note.text;
+}
+
+// Shared look of the note markers in the PDF and EPUB margins
+const NOTE_MARKER_STYLES = `
+  .note-marker {
+    position: absolute;
+    width: 24px;
+    height: 24px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    padding: 0;
+    background: var(--bg);
+    border: 1px solid var(--accent);
+    border-radius: 50%;
+    color: var(--accent);
+    font-size: 12px;
+    cursor: pointer;
+    box-shadow: 0 1px 4px rgba(0, 0, 0, 0.12);
+  }
+  .note-marker:hover {
+    background: var(--accent);
+    color: var(--bg);
+  }
+`;
+
+// Selection rectangles relative to the page, in unscaled PDF units so they survive zoom changes
+function getSelectionRects(range, pageElement, scale) {
+  const pageRect = pageElement.getBoundingClientRect();
+  const seen = new Set();
+  const rects = [];
+
+  for (const rect of range.getClientRects()) {
+    if (rect.width < 1 || rect.height < 1) continue;
+
+    const quad = {
+      x: Math.round(((rect.left - pageRect.left) / scale) * 100) / 100,
+      y: Math.round(((rect.top - pageRect.top) / scale) * 100) / 100,
+      width: Math.round((rect.width / scale) * 100) / 100,
+      height: Math.round((rect.height / scale) * 100) / 100
+    };
+    const key = `${quad.x},${quad.y},${quad.width},${quad.height}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      rects.push(quad);
+    }
+  }
+
+  return rects;
+}
+
+// Wrap search matches inside the text layer spans with <mark> elements; returns the marks in page order
+function markSearchHits(container, query) {
+  // Undo previous marks
+  container.querySelectorAll('mark.pdf-search-hit').forEach(mark => {
+    const parent = mark.parentNode;
+    parent.replaceChild(document.createTextNode(mark.textContent), mark);
+    parent.normalize();
+  });
+
+  const needle = query.trim().toLowerCase();
+  if (needle.length < 2) return [];
+
+  const marks = [];
+  container.querySelectorAll('span').forEach(span => {
+    const text = span.textContent;
+    const lower = text.toLowerCase();
+    if (span.children.length > 0 || !lower.includes(needle)) return;
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    let position = lower.indexOf(needle);
+    while (position !== -1) {
+      fragment.appendChild(document.createTextNode(text.slice(last, position)));
+      const mark = document.createElement('mark');
+      mark.className = 'pdf-search-hit';
+      mark.textContent = text.slice(position, position + needle.length);
+      fragment.appendChild(mark);
+      marks.push(mark);
+      last = position + needle.length;
+      position = lower.indexOf(needle, last);
+    }
+    fragment.appendChild(document.createTextNode(text.slice(last)));
+    span.replaceChildren(fragment);
+  });
+
+  return marks;
+}
+
+// Read-aloud session for a viewer, with the speed and voice from the reading settings
+function useReadAloud(settings) {
+  const readAloudRef = useRef(null);
+  const [status, setStatus] = useState('idle');
+
+  useEffect(() => {
+    if (!isReadAloudSupported()) return;
+    const readAloud = createReadAloud({ onStatusChange: setStatus });
+    readAloudRef.current = readAloud;
+    return () => {
+      readAloud.stop();
+      readAloudRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    readAloudRef.current?.setOptions({ rate: settings.readAloudRate, voiceURI: settings.readAloudVoice });
+  }, [settings.readAloudRate, settings.readAloudVoice]);
+
+  return [readAloudRef, status];
+}
+
+// How the PDF is laid out: one page, two pages side by side, or every page in one scrolling column
+export const PDF_VIEW_MODES = [
+  { id: 'single', label: 'Single page' },
+  { id: 'spread', label: 'Two-page spread' },
+  { id: 'scroll', label: 'Continuous scroll' }
+];
+
+// Size of a page that hasn't rendered yet (US Letter, in PDF units)
+const DEFAULT_PAGE_SIZE = { width: 612, height: 792 };
+// Pages rendered above and below the viewport in scroll mode
+const SCROLL_BUFFER_PAGES = 2;
+
+// Spreads start on odd pages: 1-2, 3-4, ...
+const spreadStart = (page) => (page % 2 === 1 ? page : page - 1);
+
+const THUMBNAIL_WIDTH = 112;
+
+// One PDF page: canvas, text layer for selection and search, highlights and note markers.
+// With render off only an empty box of the page's size is kept, so scrolling stays stable
+function PDFPage({ fileData, bookId, pageNumber, scale, size, render = true, highlights, notes, activeHighlightId, searchQuery, searchTarget, spokenRange, placingNote, onRendered, onTextSelect, onPlaceNote, onOpenNote, onFollowLink, pageRef }) {
   const canvasRef = useRef(null);
   const textLayerRef = useRef(null);
-  const containerRef = useRef(null);
   const textLayerInstanceRef = useRef(null);
-  const [currentPage, setCurrentPage] = useState(initialPage);
-  const [numPages, setNumPages] = useState(0);
-  const [scale, setScale] = useState(1.2);
-  const [initialLoading, setInitialLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [canvasSize, setCanvasSize] = useState({ width: 0, height: 0 });
+  const [renderTick, setRenderTick] = useState(0);
+  const [textLayerVersion, setTextLayerVersion] = useState(0);
+  const [links, setLinks] = useState([]);
+  const [ocrStatus, setOCRStatus] = useState(null);
   const renderingRef = useRef(false);
+  const pendingRenderRef = useRef(false);
 
-  // Use refs for callbacks to prevent re-render loops
-  const onPageChangeRef = useRef(onPageChange);
-  const onTextSelectRef = useRef(onTextSelect);
-
+  const onRenderedRef = useRef(onRendered);
   useEffect(() => {
-    onPageChangeRef.current = onPageChange;
-  }, [onPageChange]);
+    onRenderedRef.current = onRendered;
+  }, [onRendered]);
 
+  // Render the page - only depends on fileData, pageNumber, scale
   useEffect(() => {
-    onTextSelectRef.current = onTextSelect;
-  }, [onTextSelect]);
+    if (!render) return;
+    let cancelled = false;
+
+    const buildTextLayer = async (textContent, viewport) => {
+      // Cancel any previous TextLayer render
+      if (textLayerInstanceRef.current) {
+        textLayerInstanceRef.current.cancel();
+        textLayerInstanceRef.current = null;
+      }
+      textLayerRef.current.innerHTML = '';
+
+      // Set the scale factor CSS variable required by pdfjs TextLayer
+      textLayerRef.current.style.setProperty('--scale-factor', viewport.scale);
+
+      const textLayer = new TextLayer({
+        textContentSource: textContent,
+        container: textLayerRef.current,
+        viewport
+      });
+      textLayerInstanceRef.current = textLayer;
+      await textLayer.render();
+      setTextLayerVersion(v => v + 1);
+    };
+
+    // A scanned page has no text layer until its text is recognised
+    const recognizeText = async (viewport) => {
+      setOCRStatus('running');
+      try {
+        const lines = await recognizePage(bookId, pageNumber, () => renderPDFPageForOCR(fileData, pageNumber));
+        if (cancelled) return;
+        const textContent = await setPDFPageOCR(fileData, pageNumber, lines);
+        if (cancelled) return;
+        setOCRStatus(null);
+        if (textLayerRef.current) await buildTextLayer(textContent, viewport);
+      } catch (err) {
+        if (err?.name === 'AbortException' || cancelled) return;
+        console.error('OCR Error:', err);
+        setOCRStatus('failed');
+      }
+    };
 
-  // Render current page - only depends on fileData, currentPage, scale
-  useEffect(() => {
     const renderPage = async () => {
-      if (!fileData || !canvasRef.current || renderingRef.current) return;
+      if (!fileData || !canvasRef.current) return;
+      if (renderingRef.current) {
+        // Render again once the in-flight render finishes so the latest scale wins
+        pendingRenderRef.current = true;
+        return;
+      }
 
       renderingRef.current = true;
       setError(null);
+      setOCRStatus(null);
 
       try {
-        const result = await renderPDFPage(fileData, currentPage, canvasRef.current, scale);
-        setNumPages(result.numPages);
-        setCanvasSize({ width: result.width, height: result.height });
+        const result = await renderPDFPage(fileData, pageNumber, canvasRef.current, scale);
+        setLinks(result.links || []);
 
         // Build text layer for selection using pdfjs built-in TextLayer
         if (textLayerRef.current && result.textContent) {
-          // Cancel any previous TextLayer render
-          if (textLayerInstanceRef.current) {
-            textLayerInstanceRef.current.cancel();
-            textLayerInstanceRef.current = null;
-          }
-          textLayerRef.current.innerHTML = '';
-
-          // Set the scale factor CSS variable required by pdfjs TextLayer
-          textLayerRef.current.style.setProperty('--scale-factor', result.viewport.scale);
-
-          const textLayer = new TextLayer({
-            textContentSource: result.textContent,
-            container: textLayerRef.current,
-            viewport: result.viewport
-          });
-          textLayerInstanceRef.current = textLayer;
-          await textLayer.render();
+          await buildTextLayer(result.textContent, result.viewport);
         }
+        if (result.needsOCR && bookId) recognizeText(result.viewport);
 
-        if (onPageChangeRef.current) {
-          onPageChangeRef.current(currentPage, result.numPages);
-        }
+        onRenderedRef.current?.(pageNumber, {
+          numPages: result.numPages,
+          width: result.width / scale,
+          height: result.height / scale
+        });
       } catch (err) {
-        if (err?.name === 'AbortException') return; // TextLayer was cancelled
+        if (err?.name === 'AbortException' || isRenderCancelled(err)) return; // Superseded by a newer render
         console.error('PDF render error:', err);
         setError('Failed to render page');
+        onRenderedRef.current?.(pageNumber, null);
       } finally {
         renderingRef.current = false;
-        setInitialLoading(false);
+        if (pendingRenderRef.current) {
+          pendingRenderRef.current = false;
+          setRenderTick(t => t + 1);
+        }
       }
     };
 
+    const canvas = canvasRef.current;
     renderPage();
 
     return () => {
+      cancelled = true;
+      cancelPDFRender(canvas);
       if (textLayerInstanceRef.current) {
         textLayerInstanceRef.current.cancel();
         textLayerInstanceRef.current = null;
       }
     };
-  }, [fileData, currentPage, scale]);
+  }, [fileData, bookId, pageNumber, scale, render, renderTick]);
+
+  // Mark search matches on the page and scroll the active one into view
+  useEffect(() => {
+    if (!render || !textLayerRef.current) return;
+    const marks = markSearchHits(textLayerRef.current, searchQuery);
+
+    if (searchTarget && marks.length > 0) {
+      const active = marks[Math.min(searchTarget.occurrence, marks.length - 1)];
+      active.classList.add('active');
+      active.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+  }, [render, searchQuery, searchTarget, textLayerVersion]);
+
+  // Mark the sentence being read aloud. Its offsets are into getPDFPageText's text, which joins the
+  // page's text items with spaces, and the text layer has one span per item
+  useEffect(() => {
+    const textLayer = textLayerInstanceRef.current;
+    if (!render || !textLayer) return;
+
+    let offset = 0;
+    let first = null;
+    textLayer.textDivs.forEach(div => {
+      const length = div.textContent.length;
+      const spoken = !!spokenRange && offset < spokenRange.end && offset + length > spokenRange.start;
+      div.classList.toggle('pdf-spoken', spoken);
+      if (spoken && !first) first = div;
+      offset += length + 1;
+    });
+    first?.scrollIntoView({ block: 'nearest' });
+  }, [render, spokenRange, textLayerVersion]);
 
   // Handle text selection
   const handleMouseUp = () => {
     const selection = window.getSelection();
     const text = selection?.toString().trim();
-    if (text && text.length > 3 && onTextSelectRef.current) {
-      onTextSelectRef.current(text);
+    if (text && text.length > 3) {
+      const rects = selection.rangeCount > 0
+        ? getSelectionRects(selection.getRangeAt(0), textLayerRef.current, scale)
+        : [];
+      onTextSelect(text, { type: 'pdf', page: pageNumber, rects });
+    }
+  };
+
+  // Margin notes pinned to this page, and notes on its highlights (level with the highlight)
+  const pageNotes = notes
+    .map(note => {
+      if (note.location?.type === 'pdf') {
+        return note.location.page === pageNumber ? { note, y: note.location.y } : null;
+      }
+      const highlight = highlights.find(h => h.id === note.highlightId);
+      return highlight ? { note, y: highlight.location.rects?.[0]?.y || 0 } : null;
+    })
+    .filter(Boolean);
+
+  // Pin a new note where the page was clicked, in unscaled page coordinates like highlight rects
+  const handlePlaceNote = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    onPlaceNote({
+      type: 'pdf',
+      page: pageNumber,
+      x: (e.clientX - bounds.left) / scale,
+      y: (e.clientY - bounds.top) / scale
+    });
+  };
+
+  return (
+    <div
+      ref={pageRef}
+      className="pdf-page-wrapper"
+      data-page={pageNumber}
+      style={{ width: size.width * scale, height: size.height * scale }}
+    >
+      {render ? (
+        <>
+          <canvas ref={canvasRef} className="pdf-canvas" />
+          <div className="pdf-highlight-layer">
+            {highlights.map(h => (h.location.rects || []).map((rect, i) => (
+              <div
+                key={`${h.id}-${i}`}
+                className={`pdf-highlight ${activeHighlightId === h.id ? 'active' : ''}`}
+                style={{
+                  left: rect.x * scale,
+                  top: rect.y * scale,
+                  width: rect.width * scale,
+                  height: rect.height * scale,
+                  background: getHighlightColor(h)
+                }}
+              />
+            )))}
+          </div>
+          <div
+            ref={textLayerRef}
+            className="pdf-text-layer"
+            onMouseUp={handleMouseUp}
+          />
+          <div className="pdf-link-layer">
+            {links.map((link, i) => (
+              <a
+                key={i}
+                className="pdf-link"
+                style={{ left: link.left, top: link.top, width: link.width, height: link.height }}
+                {...(link.url
+                  ? { href: link.url, target: '_blank', rel: 'noopener noreferrer', title: link.url }
+                  : { href: '#', onClick: (e) => { e.preventDefault(); onFollowLink(link.dest); } })}
+              />
+            ))}
+          </div>
+          {ocrStatus && (
+            <div className={`pdf-ocr-status ${ocrStatus}`}>
+              {ocrStatus === 'running' ? 'Recognising text on this scanned page…' : 'Text on this scanned page could not be recognised'}
+            </div>
+          )}
+          {placingNote && <div className="pdf-note-target" onClick={handlePlaceNote} />}
+          <div className="pdf-note-margin">
+            {pageNotes.map(({ note, y }) => (
+              <button
+                key={note.id}
+                className="note-marker"
+                style={{ top: Math.max(0, y * scale - 12) }}
+                title={notePreview(note)}
+                onClick={() => onOpenNote?.(note)}
+              >
+                ✎
+              </button>
+            ))}
+          </div>
+          {error && <div className="pdf-error">{error}</div>}
+        </>
+      ) : (
+        <div className="pdf-page-placeholder">{pageNumber}</div>
+      )}
+    </div>
+  );
+}
+
+// Page preview in the sidebar, rendered once it scrolls into view
+function PDFThumbnail({ fileData, pageNumber, size, active, onSelect }) {
+  const buttonRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) {
+        setVisible(true);
+        observer.disconnect();
+      }
+    });
+    observer.observe(buttonRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!visible) return;
+    const canvas = canvasRef.current;
+    renderPDFThumbnail(fileData, pageNumber, canvas, THUMBNAIL_WIDTH).catch(err => {
+      if (!isRenderCancelled(err)) console.error('PDF thumbnail error:', err);
+    });
+    return () => cancelPDFRender(canvas);
+  }, [fileData, pageNumber, visible]);
+
+  // Keep the page being read in view in the strip
+  useEffect(() => {
+    if (active) buttonRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [active]);
+
+  return (
+    <button ref={buttonRef} className={`pdf-thumbnail ${active ? 'active' : ''}`} onClick={() => onSelect(pageNumber)}>
+      <canvas
+        ref={canvasRef}
+        className="pdf-thumbnail-canvas"
+        style={{ width: THUMBNAIL_WIDTH, height: THUMBNAIL_WIDTH * (size.height / size.width) }}
+      />
+      <span className="pdf-thumbnail-label">{pageNumber}</span>
+    </button>
+  );
+}
+
+function PDFOutlineItems({ items, depth = 0, onSelect }) {
+  return items.map((item, index) => (
+    <React.Fragment key={index}>
+      <div
+        className={`pdf-outline-item ${item.pageNumber || item.url ? '' : 'disabled'}`}
+        style={{ paddingLeft: 16 + depth * 14 }}
+        onClick={() => onSelect(item)}
+      >
+        <span>{item.title}</span>
+        {item.pageNumber && <span className="pdf-outline-page">{item.pageNumber}</span>}
+      </div>
+      {item.items.length > 0 && <PDFOutlineItems items={item.items} depth={depth + 1} onSelect={onSelect} />}
+    </React.Fragment>
+  ));
+}
+
+// PDF Viewer Component
+export function PDFViewer({ fileData, bookId = null, onPageChange, onTextSelect, initialPage = 1, initialMode = 'single', onModeChange, pageFilter = 'none', settings, onSettingsChange, speechPosition = null, onSpeechPositionChange, highlights = [], notes = [], onAddNote, onOpenNote, jumpTarget = null, searchQuery = '' }) {
+  const containerRef = useRef(null);
+  const pageElementsRef = useRef(new Map());
+  const pendingScrollRef = useRef(initialMode === 'scroll' ? initialPage : null);
+  const scrollFrameRef = useRef(null);
+  const [currentPage, setCurrentPage] = useState(initialPage);
+  const [numPages, setNumPages] = useState(0);
+  const [scale, setScale] = useState(1.2);
+  const [mode, setMode] = useState(initialMode);
+  const [initialLoading, setInitialLoading] = useState(true);
+  // Unscaled page sizes by page number, filled in as pages render
+  const [pageSizes, setPageSizes] = useState({});
+  const [visiblePages, setVisiblePages] = useState({ first: initialPage, last: initialPage });
+  const [placingNote, setPlacingNote] = useState(false);
+  const [showSidebar, setShowSidebar] = useState(false);
+  const [sidebarTab, setSidebarTab] = useState('outline');
+  const [outline, setOutline] = useState([]);
+  const [showReadAloud, setShowReadAloud] = useState(false);
+  const [spokenRange, setSpokenRange] = useState(null);
+  const [readAloudRef, speechStatus] = useReadAloud(settings);
+  const goToPageRef = useRef(null);
+
+  // Use refs for callbacks to prevent re-render loops
+  const onPageChangeRef = useRef(onPageChange);
+  const onTextSelectRef = useRef(onTextSelect);
+
+  useEffect(() => {
+    onPageChangeRef.current = onPageChange;
+  }, [onPageChange]);
+
+  useEffect(() => {
+    onTextSelectRef.current = onTextSelect;
+  }, [onTextSelect]);
+
+  // Load the outline; documents without one open the sidebar on the page thumbnails
+  useEffect(() => {
+    let cancelled = false;
+    getPDFOutline(fileData)
+      .then(items => {
+        if (cancelled) return;
+        setOutline(items);
+        if (items.length === 0) setSidebarTab('pages');
+      })
+      .catch(err => {
+        console.error('PDF outline error:', err);
+        if (!cancelled) setSidebarTab('pages');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fileData]);
+
+  // Report the page in view (the left page of a spread)
+  useEffect(() => {
+    if (numPages > 0 && onPageChangeRef.current) {
+      onPageChangeRef.current(currentPage, numPages);
+    }
+  }, [currentPage, numPages]);
+
+  // Free the parsed document when the book is closed
+  useEffect(() => () => closePDFDocument(), [fileData]);
+
+  // Text already recognised on scanned pages, so read-aloud and quizzes have it before the page is shown
+  useEffect(() => {
+    if (!bookId) return;
+    let cancelled = false;
+    getBookOCR(bookId).then(pages => {
+      if (cancelled) return;
+      pages.forEach(({ page, lines }) => setPDFPageOCR(fileData, page, lines));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [fileData, bookId]);
+
+  const handlePageRendered = (page, result) => {
+    setInitialLoading(false);
+    if (!result) return;
+    setNumPages(result.numPages);
+
+    // Once the page being read is up, get the ones either side of it ready
+    if (page === firstShown && mode !== 'scroll') {
+      const neighbours = mode === 'spread'
+        ? [page + 2, page + 3, page - 2, page - 1]
+        : [page + 1, page - 1];
+      prerenderPDFPages(fileData, neighbours, scale);
+    }
+    setPageSizes(prev => {
+      const known = prev[page];
+      if (known && known.width === result.width && known.height === result.height) return prev;
+      return { ...prev, [page]: { width: result.width, height: result.height } };
+    });
+  };
+
+  const fallbackSize = pageSizes[currentPage] || Object.values(pageSizes)[0] || DEFAULT_PAGE_SIZE;
+  const sizeOf = (page) => pageSizes[page] || fallbackSize;
+
+  // Scroll mode: find the pages in the viewport and the one the reader is on
+  const updateVisiblePages = () => {
+    const container = containerRef.current;
+    if (!container) return;
+    const top = container.scrollTop;
+    const bottom = top + container.clientHeight;
+    // The page crossing the upper third of the viewport counts as the current one
+    const readingLine = top + container.clientHeight / 3;
+
+    let first = null;
+    let last = null;
+    let inView = null;
+    pageElementsRef.current.forEach((element, page) => {
+      const start = element.offsetTop;
+      const end = start + element.offsetHeight;
+      if (end >= top && start <= bottom) {
+        first = first === null ? page : Math.min(first, page);
+        last = last === null ? page : Math.max(last, page);
+      }
+      if (start <= readingLine && end >= readingLine) inView = page;
+    });
+
+    if (first !== null) {
+      setVisiblePages(prev => (prev.first === first && prev.last === last ? prev : { first, last }));
+    }
+    if (inView !== null) setCurrentPage(inView);
+  };
+
+  const handleScroll = () => {
+    if (mode !== 'scroll' || scrollFrameRef.current) return;
+    scrollFrameRef.current = requestAnimationFrame(() => {
+      scrollFrameRef.current = null;
+      updateVisiblePages();
+    });
+  };
+
+  useEffect(() => () => {
+    if (scrollFrameRef.current) cancelAnimationFrame(scrollFrameRef.current);
+  }, []);
+
+  const scrollToPage = (page) => {
+    const element = pageElementsRef.current.get(page);
+    if (!element || !containerRef.current) return false;
+    containerRef.current.scrollTop = element.offsetTop - 20;
+    setCurrentPage(page);
+    updateVisiblePages();
+    return true;
+  };
+
+  // Scroll mode lays out every page once the page count is known; then go to the page we were on.
+  // Also keeps the current page in view when zooming changes the column's height
+  useEffect(() => {
+    if (mode !== 'scroll' || numPages === 0) return;
+    const page = pendingScrollRef.current ?? currentPage;
+    pendingScrollRef.current = null;
+    scrollToPage(page);
+  }, [mode, numPages, scale]);
+
+  // Jump to a saved location (e.g. a highlight clicked in the Study tab)
+  useEffect(() => {
+    if (!jumpTarget?.page) return;
+    if (mode === 'scroll') {
+      if (!scrollToPage(jumpTarget.page)) pendingScrollRef.current = jumpTarget.page;
+    } else {
+      setCurrentPage(jumpTarget.page);
+    }
+  }, [jumpTarget]);
+
+  const handleModeChange = (nextMode) => {
+    if (nextMode === 'scroll') pendingScrollRef.current = currentPage;
+    setMode(nextMode);
+    onModeChange?.(nextMode);
+  };
+
+  const handlePlaceNote = (location) => {
+    setPlacingNote(false);
+    onAddNote?.(location);
+  };
+
+  // Internal links and cross-references
+  const handleFollowLink = async (dest) => {
+    try {
+      const page = await resolvePDFDestination(fileData, dest);
+      if (page) goToPage(page);
+    } catch (err) {
+      console.error('PDF link error:', err);
+    }
+  };
+
+  const handleOutlineSelect = (item) => {
+    if (item.pageNumber) {
+      goToPage(item.pageNumber);
+    } else if (item.url) {
+      window.open(item.url, '_blank', 'noopener,noreferrer');
     }
   };
 
   // Navigation
   const goToPage = (page) => {
-    if (page >= 1 && page <= numPages) {
+    if (page < 1 || page > numPages) return;
+    if (mode === 'scroll') {
+      scrollToPage(page);
+    } else {
       setCurrentPage(page);
     }
   };
 
-  const nextPage = () => goToPage(currentPage + 1);
-  const prevPage = () => goToPage(currentPage - 1);
+  useEffect(() => {
+    goToPageRef.current = goToPage;
+  });
+
+  // Read aloud a page at a time, turning to the next page when one is finished
+  const readAloudPage = async (page) => ({
+    sentences: splitSentences(await getPDFPageText(fileData, page)),
+    onSentence: (index, sentence) => {
+      setSpokenRange({ page, start: sentence.start, end: sentence.end });
+      onSpeechPositionChange?.({ page, sentence: index });
+    },
+    next: async () => {
+      if (page >= numPages) return null;
+      goToPageRef.current(page + 1);
+      return readAloudPage(page + 1);
+    }
+  });
+
+  // Start on the page being read, from the saved sentence if it was on this page
+  const handleReadAloudPlay = async () => {
+    if (speechStatus === 'paused') {
+      readAloudRef.current.resume();
+      return;
+    }
+    const section = await readAloudPage(currentPage);
+    const from = speechPosition?.page === currentPage ? speechPosition.sentence : 0;
+    readAloudRef.current.play(section, Math.min(from, section.sentences.length - 1));
+  };
+
+  const toggleReadAloud = () => {
+    if (showReadAloud) readAloudRef.current?.stop();
+    setShowReadAloud(!showReadAloud);
+  };
+
+  useEffect(() => {
+    if (speechStatus === 'idle') setSpokenRange(null);
+  }, [speechStatus]);
+
+  const step = mode === 'spread' ? 2 : 1;
+  const firstShown = mode === 'spread' ? spreadStart(currentPage) : currentPage;
+  const nextPage = () => goToPage(Math.min(firstShown + step, numPages));
+  const prevPage = () => goToPage(Math.max(firstShown - step, 1));
 
   // Zoom controls
   const zoomIn = () => setScale(s => Math.min(s + 0.2, 3));
@@ -113,18 +728,34 @@ export function PDFViewer({ fileData, onPageChange, onTextSelect, initialPage =
   useEffect(() => {
     const handleKeyDown = (e) => {
       if (e.key === 'ArrowRight' || e.key === 'PageDown') {
-        setCurrentPage(prev => Math.min(prev + 1, numPages));
+        nextPage();
       } else if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
-        setCurrentPage(prev => Math.max(prev - 1, 1));
+        prevPage();
       }
     };
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [numPages]);
+  });
+
+  // The pages laid out in the current mode, and which of them get rendered
+  let pages;
+  let isRendered = () => true;
+  if (mode === 'scroll' && numPages > 0) {
+    pages = Array.from({ length: numPages }, (_, i) => i + 1);
+    isRendered = (page) =>
+      page >= visiblePages.first - SCROLL_BUFFER_PAGES && page <= visiblePages.last + SCROLL_BUFFER_PAGES;
+  } else if (mode === 'spread') {
+    pages = firstShown + 1 <= numPages ? [firstShown, firstShown + 1] : [firstShown];
+  } else {
+    pages = [currentPage];
+  }
+
+  const pdfHighlights = highlights.filter(h => h.location?.type === 'pdf');
+  const inverted = pageFilter.includes('invert');
 
   return (
-    <div className="pdf-viewer" ref={containerRef}>
+    <div className={`pdf-viewer ${inverted ? 'inverted' : ''}`} style={{ '--pdf-page-filter': pageFilter }}>
       <style>{`
         .pdf-viewer {
           display: flex;
@@ -201,22 +832,150 @@ export function PDFViewer({ fileData, onPageChange, onTextSelect, initialPage =
           min-width: 45px;
           text-align: center;
         }
+        .pdf-mode-select {
+          padding: 5px 8px;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          background: var(--bg);
+          color: var(--text);
+          font-size: 13px;
+        }
+        .pdf-body {
+          flex: 1;
+          display: flex;
+          min-height: 0;
+        }
+        .pdf-sidebar {
+          width: 200px;
+          flex-shrink: 0;
+          display: flex;
+          flex-direction: column;
+          background: var(--bg);
+          border-right: 1px solid var(--border);
+        }
+        .pdf-sidebar-tabs {
+          display: flex;
+          border-bottom: 1px solid var(--border);
+        }
+        .pdf-sidebar-tab {
+          flex: 1;
+          padding: 8px;
+          background: none;
+          border: none;
+          border-bottom: 2px solid transparent;
+          color: var(--text-secondary);
+          font-size: 13px;
+          cursor: pointer;
+        }
+        .pdf-sidebar-tab.active {
+          color: var(--text);
+          border-bottom-color: var(--accent);
+        }
+        .pdf-sidebar-content {
+          flex: 1;
+          overflow-y: auto;
+        }
+        .pdf-sidebar-empty {
+          padding: 16px;
+          font-size: 13px;
+          color: var(--text-secondary);
+        }
+        .pdf-outline-item {
+          display: flex;
+          justify-content: space-between;
+          gap: 8px;
+          padding: 8px 12px 8px 16px;
+          font-size: 13px;
+          color: var(--text);
+          cursor: pointer;
+          border-bottom: 1px solid var(--border);
+        }
+        .pdf-outline-item:hover {
+          background: var(--bg-secondary);
+        }
+        .pdf-outline-item.disabled {
+          color: var(--text-tertiary);
+          cursor: default;
+        }
+        .pdf-outline-page {
+          color: var(--text-tertiary);
+          font-size: 12px;
+        }
+        .pdf-thumbnails {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 12px;
+          padding: 12px 0;
+        }
+        .pdf-thumbnail {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 4px;
+          padding: 4px;
+          background: none;
+          border: 2px solid transparent;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+        .pdf-thumbnail.active {
+          border-color: var(--accent);
+        }
+        .pdf-thumbnail-canvas {
+          display: block;
+          background: white;
+          box-shadow: 0 1px 4px rgba(0,0,0,0.15);
+        }
+        .pdf-thumbnail-label {
+          font-size: 11px;
+          color: var(--text-secondary);
+        }
         .pdf-canvas-container {
+          position: relative;
           flex: 1;
           overflow: auto;
           display: flex;
           justify-content: center;
           align-items: flex-start;
-          padding: 20px;
+          gap: 40px;
+          padding: 20px 40px;
+        }
+        .pdf-canvas-container.scroll {
+          flex-direction: column;
+          align-items: center;
+          justify-content: flex-start;
+          gap: 16px;
         }
         .pdf-page-wrapper {
           position: relative;
+          flex-shrink: 0;
+          background: white;
           box-shadow: 0 2px 10px rgba(0,0,0,0.1);
         }
+        .pdf-page-placeholder {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          height: 100%;
+          color: #9ca3af;
+          font-size: 13px;
+        }
         .pdf-canvas {
           display: block;
           background: white;
         }
+        .pdf-canvas,
+        .pdf-thumbnail-canvas {
+          filter: var(--pdf-page-filter, none);
+        }
+        .pdf-viewer.inverted .pdf-page-wrapper {
+          background: #1f1f1f;
+        }
+        /* Multiply would hide highlights on dark pages */
+        .pdf-viewer.inverted .pdf-highlight {
+          mix-blend-mode: screen;
+        }
         .pdf-text-layer {
           position: absolute;
           top: 0;
@@ -237,6 +996,45 @@ export function PDFViewer({ fileData, onPageChange, onTextSelect, initialPage =
           user-select: text;
           cursor: text;
         }
+        .pdf-highlight-layer {
+          position: absolute;
+          inset: 0;
+          pointer-events: none;
+        }
+        .pdf-link-layer {
+          position: absolute;
+          inset: 0;
+          pointer-events: none;
+        }
+        .pdf-link {
+          position: absolute;
+          pointer-events: auto;
+          border-radius: 2px;
+        }
+        .pdf-link:hover {
+          background: rgba(96, 165, 250, 0.2);
+        }
+        .pdf-highlight {
+          position: absolute;
+          opacity: 0.35;
+          mix-blend-mode: multiply;
+          border-radius: 2px;
+        }
+        .pdf-highlight.active {
+          outline: 2px solid var(--accent);
+          opacity: 0.5;
+        }
+        .pdf-text-layer mark.pdf-search-hit {
+          background: rgba(250, 204, 21, 0.45);
+          color: transparent;
+          border-radius: 2px;
+        }
+        .pdf-text-layer mark.pdf-search-hit.active {
+          background: rgba(249, 115, 22, 0.6);
+        }
+        .pdf-text-layer span.pdf-spoken {
+          background: rgba(96, 165, 250, 0.3);
+        }
         .pdf-text-layer ::selection {
           background: rgba(184, 87, 12, 0.3);
         }
@@ -254,15 +1052,57 @@ export function PDFViewer({ fileData, onPageChange, onTextSelect, initialPage =
           z-index: 10;
         }
         .pdf-error {
+          position: absolute;
+          inset: 0;
           color: var(--danger);
           padding: 20px;
           text-align: center;
         }
+        .pdf-ocr-status {
+          position: absolute;
+          top: 8px;
+          left: 50%;
+          transform: translateX(-50%);
+          padding: 4px 10px;
+          border-radius: 12px;
+          background: rgba(0, 0, 0, 0.65);
+          color: white;
+          font-size: 12px;
+          white-space: nowrap;
+          pointer-events: none;
+          z-index: 4;
+        }
+        .pdf-ocr-status.failed {
+          background: var(--danger);
+        }
+        .pdf-btn.active {
+          background: var(--accent);
+          border-color: var(--accent);
+          color: var(--bg);
+        }
+        .pdf-note-target {
+          position: absolute;
+          inset: 0;
+          z-index: 5;
+          cursor: crosshair;
+          background: rgba(184, 87, 12, 0.04);
+        }
+        .pdf-note-margin {
+          position: absolute;
+          top: 0;
+          bottom: 0;
+          left: calc(100% + 6px);
+          width: 24px;
+        }
+        ${NOTE_MARKER_STYLES}
       `}</style>
 
       <div className="pdf-toolbar">
         <div className="pdf-nav">
-          <button className="pdf-btn" onClick={prevPage} disabled={currentPage <= 1}>
+          <button className={`pdf-btn ${showSidebar ? 'active' : ''}`} onClick={() => setShowSidebar(!showSidebar)}>
+            ☰ Contents
+          </button>
+          <button className="pdf-btn" onClick={prevPage} disabled={firstShown <= 1}>
             ← Prev
           </button>
           <input
@@ -274,28 +1114,122 @@ export function PDFViewer({ fileData, onPageChange, onTextSelect, initialPage =
             max={numPages}
           />
           <span className="pdf-page-info">of {numPages}</span>
-          <button className="pdf-btn" onClick={nextPage} disabled={currentPage >= numPages}>
+          <button className="pdf-btn" onClick={nextPage} disabled={firstShown + step > numPages}>
             Next →
           </button>
         </div>
 
         <div className="pdf-zoom">
+          <select
+            className="pdf-mode-select"
+            value={mode}
+            onChange={(e) => handleModeChange(e.target.value)}
+            title="Page layout"
+          >
+            {PDF_VIEW_MODES.map(m => (
+              <option key={m.id} value={m.id}>{m.label}</option>
+            ))}
+          </select>
+          {isReadAloudSupported() && (
+            <button className={`pdf-btn ${showReadAloud ? 'active' : ''}`} onClick={toggleReadAloud} title="Read aloud">
+              🔊
+            </button>
+          )}
+          {onAddNote && (
+            <button
+              className={`pdf-btn ${placingNote ? 'active' : ''}`}
+              onClick={() => setPlacingNote(!placingNote)}
+              title="Click on the page to pin a note there"
+            >
+              ✎ Note
+            </button>
+          )}
           <button className="pdf-zoom-btn" onClick={zoomOut}>−</button>
           <span className="pdf-zoom-level">{Math.round(scale * 100)}%</span>
           <button className="pdf-zoom-btn" onClick={zoomIn}>+</button>
         </div>
       </div>
 
-      <div className="pdf-canvas-container">
-        {initialLoading && <div className="pdf-loading-overlay">Loading document...</div>}
-        {error && <div className="pdf-error">{error}</div>}
-        <div className="pdf-page-wrapper" style={{ width: canvasSize.width, height: canvasSize.height }}>
-          <canvas ref={canvasRef} className="pdf-canvas" />
-          <div
-            ref={textLayerRef}
-            className="pdf-text-layer"
-            onMouseUp={handleMouseUp}
-          />
+      {showReadAloud && (
+        <ReadAloudControls
+          status={speechStatus}
+          rate={settings.readAloudRate}
+          voiceURI={settings.readAloudVoice}
+          onPlay={handleReadAloudPlay}
+          onPause={() => readAloudRef.current.pause()}
+          onStop={() => readAloudRef.current.stop()}
+          onRateChange={(readAloudRate) => onSettingsChange({ readAloudRate })}
+          onVoiceChange={(readAloudVoice) => onSettingsChange({ readAloudVoice })}
+        />
+      )}
+
+      <div className="pdf-body">
+        {showSidebar && (
+          <div className="pdf-sidebar">
+            <div className="pdf-sidebar-tabs">
+              <button className={`pdf-sidebar-tab ${sidebarTab === 'outline' ? 'active' : ''}`} onClick={() => setSidebarTab('outline')}>
+                Outline
+              </button>
+              <button className={`pdf-sidebar-tab ${sidebarTab === 'pages' ? 'active' : ''}`} onClick={() => setSidebarTab('pages')}>
+                Pages
+              </button>
+            </div>
+            <div className="pdf-sidebar-content">
+              {sidebarTab === 'outline' ? (
+                outline.length > 0
+                  ? <PDFOutlineItems items={outline} onSelect={handleOutlineSelect} />
+                  : <div className="pdf-sidebar-empty">This document has no outline.</div>
+              ) : (
+                <div className="pdf-thumbnails">
+                  {Array.from({ length: numPages }, (_, i) => i + 1).map(page => (
+                    <PDFThumbnail
+                      key={page}
+                      fileData={fileData}
+                      pageNumber={page}
+                      size={sizeOf(page)}
+                      active={page === currentPage}
+                      onSelect={goToPage}
+                    />
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        <div
+          ref={containerRef}
+          className={`pdf-canvas-container ${mode === 'scroll' ? 'scroll' : ''}`}
+          onScroll={handleScroll}
+        >
+          {initialLoading && <div className="pdf-loading-overlay">Loading document...</div>}
+          {pages.map(page => (
+            <PDFPage
+              key={page}
+              pageRef={(element) => {
+                if (element) pageElementsRef.current.set(page, element);
+                else pageElementsRef.current.delete(page);
+              }}
+              fileData={fileData}
+              bookId={bookId}
+              pageNumber={page}
+              scale={scale}
+              size={sizeOf(page)}
+              render={isRendered(page)}
+              highlights={pdfHighlights.filter(h => h.location.page === page)}
+              notes={notes}
+              activeHighlightId={jumpTarget?.highlightId}
+              spokenRange={spokenRange?.page === page ? spokenRange : null}
+              searchQuery={searchQuery}
+              searchTarget={jumpTarget?.search && jumpTarget.page === page ? jumpTarget.search : null}
+              placingNote={placingNote}
+              onRendered={handlePageRendered}
+              onTextSelect={(text, location) => onTextSelectRef.current?.(text, location)}
+              onPlaceNote={handlePlaceNote}
+              onOpenNote={onOpenNote}
+              onFollowLink={handleFollowLink}
+            />
+          ))}
         </div>
       </div>
     </div>
@@ -303,18 +1237,31 @@ export function PDFViewer({ fileData, onPageChange, onTextSelect, initialPage =
 }
 
 // EPUB Viewer Component
-export function EPUBViewer({ fileData, onPageChange, onTextSelect, initialLocation = null }) {
+export function EPUBViewer({ fileData, onPageChange, onTextSelect, initialLocation = null, settings, onSettingsChange, speechPosition = null, onSpeechPositionChange, highlights = [], notes = [], onAddNote, onOpenNote, jumpTarget = null, searchQuery = '' }) {
   const containerRef = useRef(null);
   const readerRef = useRef(null);
+  const highlightsRef = useRef(highlights);
+  const appliedHighlightsRef = useRef(new Set());
+  const pendingJumpRef = useRef(null);
+  const searchHitRef = useRef(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [currentLocation, setCurrentLocation] = useState(null);
   const [toc, setToc] = useState([]);
   const [showToc, setShowToc] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showReadAloud, setShowReadAloud] = useState(false);
+  const [readAloudRef, speechStatus] = useReadAloud(settings);
+  const spokenCfiRef = useRef(null);
+  // Where the reader is, so switching between pages and scrolling reopens at the same spot
+  const locationCfiRef = useRef(null);
+  const locationRef = useRef(null);
+  const redisplayTimerRef = useRef(null);
 
   // Use refs for callbacks to avoid stale closures without triggering re-init
   const onPageChangeRef = useRef(onPageChange);
   const onTextSelectRef = useRef(onTextSelect);
+  const settingsRef = useRef(settings);
 
   useEffect(() => {
     onPageChangeRef.current = onPageChange;
@@ -324,6 +1271,99 @@ export function EPUBViewer({ fileData, onPageChange, onTextSelect, initialLocati
     onTextSelectRef.current = onTextSelect;
   }, [onTextSelect]);
 
+  useEffect(() => {
+    settingsRef.current = settings;
+  }, [settings]);
+
+  // Sync saved highlights with the rendition's annotations; epub.js re-injects them on every render
+  const applyHighlights = () => {
+    const rendition = readerRef.current?.rendition;
+    if (!rendition) return;
+
+    const wanted = new Map(
+      highlightsRef.current
+        .filter(h => h.location?.type === 'epub' && h.location.cfiRange)
+        .map(h => [h.location.cfiRange, h])
+    );
+    const applied = appliedHighlightsRef.current;
+
+    applied.forEach(cfiRange => {
+      if (!wanted.has(cfiRange)) {
+        rendition.annotations.remove(cfiRange, 'highlight');
+        applied.delete(cfiRange);
+      }
+    });
+
+    wanted.forEach((highlight, cfiRange) => {
+      if (!applied.has(cfiRange)) {
+        rendition.annotations.highlight(cfiRange, { id: highlight.id }, null, 'kapul-highlight', {
+          fill: getHighlightColor(highlight),
+          'fill-opacity': '0.35',
+          'mix-blend-mode': 'multiply'
+        });
+        applied.add(cfiRange);
+      }
+    });
+  };
+
+  useEffect(() => {
+    highlightsRef.current = highlights;
+    applyHighlights();
+  }, [highlights]);
+
+  // Remove the marker for the current search hit
+  const clearSearchHit = () => {
+    if (searchHitRef.current && readerRef.current) {
+      readerRef.current.rendition.annotations.remove(searchHitRef.current, 'highlight');
+    }
+    searchHitRef.current = null;
+  };
+
+  // Resolve a search hit (section href + occurrence) to a CFI, then show and mark it
+  const goToSearchHit = async (target) => {
+    const reader = readerRef.current;
+    const section = reader.book.spine.get(target.href);
+    if (!section) return;
+
+    await section.load(reader.book.load.bind(reader.book));
+    const matches = section.search(target.search.query);
+    const match = matches[Math.min(target.search.occurrence, matches.length - 1)];
+
+    clearSearchHit();
+    if (!match) {
+      await reader.goto(target.href);
+      return;
+    }
+
+    await reader.goto(match.cfi);
+    reader.rendition.annotations.highlight(match.cfi, {}, null, 'kapul-search-hit', {
+      fill: '#f97316',
+      'fill-opacity': '0.4',
+      'mix-blend-mode': 'multiply'
+    });
+    searchHitRef.current = match.cfi;
+  };
+
+  // Jump to a saved location or search hit, deferring until the reader is ready
+  useEffect(() => {
+    if (!jumpTarget) return;
+    if (!readerRef.current) {
+      pendingJumpRef.current = jumpTarget;
+      return;
+    }
+
+    if (jumpTarget.search && jumpTarget.href) {
+      goToSearchHit(jumpTarget).catch(err => console.error('EPUB search navigation error:', err));
+    } else if (jumpTarget.cfi || jumpTarget.href) {
+      readerRef.current.goto(jumpTarget.cfi || jumpTarget.href);
+    }
+  }, [jumpTarget]);
+
+  // Drop the search marker when the search is cleared
+  useEffect(() => {
+    if (!searchQuery.trim()) clearSearchHit();
+  }, [searchQuery]);
+
   // Initialize EPUB reader
   useEffect(() => {
     if (!fileData || !containerRef.current) return;
@@ -337,19 +1377,39 @@ export function EPUBViewer({ fileData, onPageChange, onTextSelect, initialLocati
         containerRef.current.innerHTML = '';
 
         // Create reader with start location (null starts at beginning)
-        const reader = await createEPUBReader(fileData, containerRef.current, initialLocation);
+        const pendingJump = pendingJumpRef.current;
+        pendingJumpRef.current = null;
+        const reader = await createEPUBReader(
+          fileData,
+          containerRef.current,
+          pendingJump?.cfi || pendingJump?.href || locationCfiRef.current || initialLocation,
+          { flow: settingsRef.current.flow, styles: readerStylesheet(settingsRef.current) }
+        );
         readerRef.current = reader;
 
+        appliedHighlightsRef.current = new Set();
+        searchHitRef.current = null;
+        applyHighlights();
+
+        if (pendingJump?.search) {
+          goToSearchHit(pendingJump).catch(err => console.error('EPUB search navigation error:', err));
+        }
+
         // Get table of contents
         const navigation = await reader.book.loaded.navigation;
         setToc(navigation.toc || []);
 
-        // Handle location changes
-        reader.rendition.on('locationChanged', (location) => {
+        // Handle location changes ('relocated' carries the full start/end location objects)
+        reader.rendition.on('relocated', (location) => {
           setCurrentLocation(location);
+          locationRef.current = location;
+          locationCfiRef.current = location?.start?.cfi || locationCfiRef.current;
           if (onPageChangeRef.current && location?.start?.cfi) {
             const progress = reader.book.locations.percentageFromCfi(location.start.cfi);
-            onPageChangeRef.current(Math.round((progress || 0) * 100), 100);
+            onPageChangeRef.current(Math.round((progress || 0) * 100), 100, {
+              cfi: location.start.cfi,
+              href: location.start.href
+            });
           }
         });
 
@@ -358,7 +1418,7 @@ export function EPUBViewer({ fileData, onPageChange, onTextSelect, initialLocati
           const selection = contents.window.getSelection();
           const text = selection?.toString().trim();
           if (text && text.length > 3 && onTextSelectRef.current) {
-            onTextSelectRef.current(text);
+            onTextSelectRef.current(text, { type: 'epub', cfiRange });
           }
         });
       } catch (err) {
@@ -372,12 +1432,141 @@ export function EPUBViewer({ fileData, onPageChange, onTextSelect, initialLocati
     initReader();
 
     return () => {
+      readAloudRef.current?.stop();
+      spokenCfiRef.current = null;
       if (readerRef.current) {
         readerRef.current.destroy();
         readerRef.current = null;
       }
     };
-  }, [fileData, initialLocation]);
+  }, [fileData, initialLocation, settings.flow]);
+
+  // Restyle the open chapter as settings change, then return to the same text once the
+  // changes settle (new sizes and spacing move it to a different page)
+  useEffect(() => {
+    const restyle = () => {
+      const reader = readerRef.current;
+      if (!reader) return;
+      reader.rendition.themes.registerCss('default', readerStylesheet(settingsRef.current));
+
+      clearTimeout(redisplayTimerRef.current);
+      redisplayTimerRef.current = setTimeout(() => {
+        if (readerRef.current === reader && locationCfiRef.current) {
+          reader.goto(locationCfiRef.current);
+        }
+      }, 300);
+    };
+
+    restyle();
+
+    // The 'system' theme follows the device's light or dark mode
+    const unsubscribe = onSystemThemeChange(restyle);
+    return () => {
+      unsubscribe();
+      clearTimeout(redisplayTimerRef.current);
+    };
+  }, [settings]);
+
+  // Notes on the page being shown: margin notes pinned by CFI and notes on its highlights,
+  // placed level with their text where epub.js can find it
+  const getPageNotes = () => {
+    const rendition = readerRef.current?.rendition;
+    const start = currentLocation?.start?.cfi;
+    const end = currentLocation?.end?.cfi;
+    if (!rendition || !start || !end) return [];
+
+    return notes
+      .map(note => {
+        const cfi = note.location?.type === 'epub'
+          ? note.location.cfi
+          : highlights.find(h => h.id === note.highlightId)?.location?.cfiRange;
+        if (!cfi) return null;
+
+        try {
+          if (rendition.epubcfi.compare(cfi, start) < 0 || rendition.epubcfi.compare(cfi, end) > 0) return null;
+          const rect = rendition.getRange(cfi)?.getBoundingClientRect();
+          return { note, top: rect ? Math.max(0, rect.top - 4) : 0 };
+        } catch (err) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  };
+
+  const handleAddNote = () => {
+    const cfi = currentLocation?.start?.cfi;
+    if (cfi) onAddNote({ type: 'epub', cfi });
+  };
+
+  const markSpoken = (cfi) => {
+    const rendition = readerRef.current?.rendition;
+    if (!rendition) return;
+    if (spokenCfiRef.current) rendition.annotations.remove(spokenCfiRef.current, 'highlight');
+    spokenCfiRef.current = cfi;
+    if (cfi) {
+      rendition.annotations.highlight(cfi, {}, null, 'kapul-spoken', {
+        fill: '#60a5fa',
+        'fill-opacity': '0.3',
+        'mix-blend-mode': 'multiply'
+      });
+    }
+  };
+
+  // Read aloud a chapter at a time from the chapter on screen, turning pages to follow the speech
+  const readAloudChapter = (href) => {
+    const reader = readerRef.current;
+    const contents = reader?.rendition.getContents()[0];
+    if (!contents || !href) return null;
+
+    const { text, rangeFor } = documentText(contents.document);
+    return {
+      href,
+      sentences: splitSentences(text).map(sentence => ({
+        ...sentence,
+        cfi: contents.cfiFromRange(rangeFor(sentence.start, sentence.end))
+      })),
+      onSentence: (index, sentence) => {
+        markSpoken(sentence.cfi);
+        onSpeechPositionChange?.({ href, sentence: index });
+        const end = locationRef.current?.end?.cfi;
+        if (end && reader.rendition.epubcfi.compare(sentence.cfi, end) > 0) reader.goto(sentence.cfi);
+      },
+      next: async () => {
+        const following = reader.book.spine.get(href)?.next();
+        if (!following || readerRef.current !== reader) return null;
+        await reader.goto(following.href);
+        return readAloudChapter(following.href);
+      }
+    };
+  };
+
+  // Start at the first sentence on screen, or the saved sentence if it is on screen
+  const handleReadAloudPlay = () => {
+    if (speechStatus === 'paused') {
+      readAloudRef.current.resume();
+      return;
+    }
+    const location = locationRef.current;
+    const section = readAloudChapter(location?.start?.href);
+    if (!section) return;
+
+    const { compare } = readerRef.current.rendition.epubcfi;
+    const onScreen = (sentence) => compare(sentence.cfi, location.start.cfi) >= 0 && compare(sentence.cfi, location.end.cfi) <= 0;
+    const saved = speechPosition?.href === section.href ? section.sentences[speechPosition.sentence] : null;
+    const from = saved && onScreen(saved)
+      ? speechPosition.sentence
+      : section.sentences.findIndex(sentence => compare(sentence.cfi, location.start.cfi) >= 0);
+    readAloudRef.current.play(section, from === -1 ? 0 : from);
+  };
+
+  const toggleReadAloud = () => {
+    if (showReadAloud) readAloudRef.current?.stop();
+    setShowReadAloud(!showReadAloud);
+  };
+
+  useEffect(() => {
+    if (speechStatus === 'idle') markSpoken(null);
+  }, [speechStatus]);
 
   // Navigation
   const nextPage = () => readerRef.current?.next();
@@ -505,6 +1694,19 @@ export function EPUBViewer({ fileData, onPageChange, onTextSelect, initialLocati
         .epub-toc-item:hover {
           background: var(--bg-secondary);
         }
+        .epub-note-margin {
+          position: absolute;
+          top: 0;
+          right: 4px;
+          bottom: 0;
+          width: 24px;
+          z-index: 5;
+          pointer-events: none;
+        }
+        .epub-note-margin .note-marker {
+          pointer-events: auto;
+        }
+        ${NOTE_MARKER_STYLES}
       `}</style>
 
       <div className="epub-toolbar">
@@ -515,8 +1717,40 @@ export function EPUBViewer({ fileData, onPageChange, onTextSelect, initialLocati
           <button className="epub-btn" onClick={prevPage}>← Prev</button>
           <button className="epub-btn" onClick={nextPage}>Next →</button>
         </div>
+        <div className="epub-nav">
+          {onAddNote && (
+            <button className="epub-btn" onClick={handleAddNote} title="Pin a note to this page">
+              ✎ Note
+            </button>
+          )}
+          {isReadAloudSupported() && (
+            <button className="epub-btn" onClick={toggleReadAloud} title="Read aloud">
+              🔊
+            </button>
+          )}
+          <button className="epub-btn" onClick={() => setShowSettings(!showSettings)} title="Reading settings">
+            Aa
+          </button>
+        </div>
       </div>
 
+      {showReadAloud && (
+        <ReadAloudControls
+          status={speechStatus}
+          rate={settings.readAloudRate}
+          voiceURI={settings.readAloudVoice}
+          onPlay={handleReadAloudPlay}
+          onPause={() => readAloudRef.current.pause()}
+          onStop={() => readAloudRef.current.stop()}
+          onRateChange={(readAloudRate) => onSettingsChange({ readAloudRate })}
+          onVoiceChange={(readAloudVoice) => onSettingsChange({ readAloudVoice })}
+        />
+      )}
+
+      {showSettings && (
+        <ReaderSettings settings={settings} onChange={onSettingsChange} onClose={() => setShowSettings(false)} />
+      )}
+
       {showToc && (
         <div className="epub-toc">
           <div className="epub-toc-header">
@@ -539,13 +1773,26 @@ export function EPUBViewer({ fileData, onPageChange, onTextSelect, initialLocati
         {loading && <div className="epub-loading-overlay">Loading book...</div>}
         {error && <div className="epub-error">{error}</div>}
         <div ref={containerRef} className="epub-reader-container" />
+        <div className="epub-note-margin">
+          {getPageNotes().map(({ note, top }) => (
+            <button
+              key={note.id}
+              className="note-marker"
+              style={{ top }}
+              title={notePreview(note)}
+              onClick={() => onOpenNote?.(note)}
+            >
+              ✎
+            </button>
+          ))}
+        </div>
       </div>
     </div>
   );
 }
 
 // Universal Document Viewer that switches based on format
-export function DocumentViewer({ book, fileData, onPageChange, onTextSelect }) {
+export function DocumentViewer({ book, fileData, onPageChange, onPDFViewModeChange, pdfPageFilter, readerSettings, onReaderSettingsChange, speechPosition, onSpeechPositionChange, onTextSelect, highlights = [], notes = [], onAddNote, onOpenNote, jumpTarget = null, searchQuery = '' }) {
   if (!book || !fileData) {
     return (
       <div style={{
@@ -563,10 +1810,25 @@ export function DocumentViewer({ book, fileData, onPageChange, onTextSelect }) {
   if (book.format === 'pdf') {
     return (
       <PDFViewer
+        key={book.id}
         fileData={fileData}
+        bookId={book.id}
         onPageChange={onPageChange}
         onTextSelect={onTextSelect}
-        initialPage={book.lastPage || 1}
+        initialPage={jumpTarget?.page || book.lastPage || 1}
+        initialMode={book.pdfViewMode || 'single'}
+        onModeChange={onPDFViewModeChange}
+        pageFilter={pdfPageFilter}
+        settings={readerSettings}
+        onSettingsChange={onReaderSettingsChange}
+        speechPosition={speechPosition}
+        onSpeechPositionChange={onSpeechPositionChange}
+        highlights={highlights}
+        notes={notes}
+        onAddNote={onAddNote}
+        onOpenNote={onOpenNote}
+        jumpTarget={jumpTarget}
+        searchQuery={searchQuery}
       />
     );
   }
@@ -574,10 +1836,21 @@ export function DocumentViewer({ book, fileData, onPageChange, onTextSelect }) {
   if (book.format === 'epub') {
     return (
       <EPUBViewer
+        key={book.id}
         fileData={fileData}
         onPageChange={onPageChange}
         onTextSelect={onTextSelect}
         initialLocation={book.lastLocation}
+        settings={readerSettings}
+        onSettingsChange={onReaderSettingsChange}
+        speechPosition={speechPosition}
+        onSpeechPositionChange={onSpeechPositionChange}
+        highlights={highlights}
+        notes={notes}
+        onAddNote={onAddNote}
+        onOpenNote={onOpenNote}
+        jumpTarget={jumpTarget}
+        searchQuery={searchQuery}
       />
     );
   }
@@ -0,0 +1,205 @@
+// Flashcard Review Component - flips due cards and schedules them with SM-2 ratings
+import React, { useState, useEffect } from 'react';
+import { RATINGS, scheduleCard, getDueCards, formatInterval } from '../utils/spacedRepetition';
+import { updateFlashcard } from '../utils/storage';
+import { Markdown } from './Markdown';
+
+const RATING_ORDER = [RATINGS.AGAIN, RATINGS.HARD, RATINGS.GOOD, RATINGS.EASY];
+
+export function FlashcardReview({ flashcards, books, onReviewed, onClose }) {
+  // Snapshot the due queue when the session starts so saves don't reshuffle it
+  const [queue, setQueue] = useState(() => getDueCards(flashcards));
+  const [flipped, setFlipped] = useState(false);
+  const [reviewedCount, setReviewedCount] = useState(0);
+  const [saving, setSaving] = useState(false);
+
+  const card = queue[0];
+
+  const rate = async (rating) => {
+    if (!card || saving) return;
+    setSaving(true);
+
+    const schedule = scheduleCard(card, rating);
+    const updated = { ...card, ...schedule };
+
+    try {
+      const updatedFlashcards = await updateFlashcard(card.id, schedule);
+      if (onReviewed) onReviewed(updatedFlashcards);
+    } catch (error) {
+      console.error('Failed to save review:', error);
+    }
+
+    // Failed cards go to the back of the queue to be seen again this session
+    setQueue(prev => (schedule.interval === 0 ? [...prev.slice(1), updated] : prev.slice(1)));
+    setReviewedCount(count => count + 1);
+    setFlipped(false);
+    setSaving(false);
+  };
+
+  // Keyboard shortcuts: space flips, 1-4 rate
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      if (e.key === ' ') {
+        e.preventDefault();
+        setFlipped(f => !f);
+      } else if (flipped && ['1', '2', '3', '4'].includes(e.key)) {
+        rate(RATING_ORDER[parseInt(e.key) - 1]);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const bookTitle = card ? books.find(b => b.id === card.bookId)?.title : null;
+
+  return (
+    <div className="review">
+      <style>{`
+        .review {
+          max-width: 560px;
+        }
+        .review-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 16px;
+        }
+        .review-title {
+          font-size: 18px;
+          font-weight: 600;
+        }
+        .review-subtitle {
+          font-size: 12px;
+          color: var(--text-secondary);
+          margin-top: 2px;
+        }
+        .review-card {
+          min-height: 220px;
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          border-radius: 12px;
+          padding: 24px;
+          display: flex;
+          flex-direction: column;
+          justify-content: center;
+          text-align: center;
+          cursor: pointer;
+          margin-bottom: 16px;
+          user-select: none;
+        }
+        .review-card-label {
+          font-size: 11px;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          color: var(--text-tertiary);
+          margin-bottom: 12px;
+        }
+        .review-card-text {
+          font-size: 17px;
+          line-height: 1.5;
+        }
+        .review-card-back {
+          margin-top: 16px;
+          padding-top: 16px;
+          border-top: 1px solid var(--border);
+          font-size: 15px;
+          color: var(--text-secondary);
+        }
+        .review-card-book {
+          margin-top: 16px;
+          font-size: 11px;
+          color: var(--text-tertiary);
+        }
+        .review-ratings {
+          display: grid;
+          grid-template-columns: repeat(4, 1fr);
+          gap: 8px;
+        }
+        .review-rating {
+          padding: 10px 8px;
+          background: var(--bg-tertiary);
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          color: var(--text);
+          font-size: 13px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+        .review-rating.again { border-bottom: 3px solid var(--danger); }
+        .review-rating.hard { border-bottom: 3px solid #f59e0b; }
+        .review-rating.good { border-bottom: 3px solid #22c55e; }
+        .review-rating.easy { border-bottom: 3px solid #3b82f6; }
+        .review-rating-interval {
+          display: block;
+          font-size: 11px;
+          font-weight: 400;
+          color: var(--text-tertiary);
+          margin-top: 2px;
+        }
+        .review-done {
+          text-align: center;
+          padding: 40px 20px;
+          color: var(--text-secondary);
+        }
+        .review-done-title {
+          font-size: 16px;
+          font-weight: 600;
+          color: var(--text);
+          margin-bottom: 8px;
+        }
+      `}</style>
+
+      <div className="review-header">
+        <div>
+          <div className="review-title">Review Flashcards</div>
+          <div className="review-subtitle">
+            {card ? `${queue.length} left · ${reviewedCount} reviewed` : `${reviewedCount} reviewed`}
+          </div>
+        </div>
+        <button className="close-btn" onClick={onClose}>×</button>
+      </div>
+
+      {card ? (
+        <>
+          <div className="review-card" onClick={() => setFlipped(f => !f)}>
+            <div className="review-card-label">{flipped ? 'Answer' : 'Question · tap to flip'}</div>
+            <div className="review-card-text"><Markdown text={card.front} inline /></div>
+            {flipped && <div className="review-card-back"><Markdown text={card.back} inline /></div>}
+            {bookTitle && <div className="review-card-book">{bookTitle}</div>}
+          </div>
+
+          {flipped ? (
+            <div className="review-ratings">
+              {RATING_ORDER.map(rating => (
+                <button
+                  key={rating.key}
+                  className={`review-rating ${rating.key}`}
+                  onClick={() => rate(rating)}
+                  disabled={saving}
+                >
+                  {rating.label}
+                  <span className="review-rating-interval">
+                    {formatInterval(scheduleCard(card, rating).interval)}
+                  </span>
+                </button>
+              ))}
+            </div>
+          ) : (
+            <button className="btn-primary" onClick={() => setFlipped(true)}>
+              Show Answer
+            </button>
+          )}
+        </>
+      ) : (
+        <div className="review-done">
+          <div className="review-done-title">All caught up!</div>
+          <p>No more cards are due today. Come back tomorrow to keep your streak going.</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FlashcardReview;
@@ -0,0 +1,212 @@
+// Flashcard Transfer Component - export flashcards to Anki (.apkg), TSV or CSV, and import Anki-style TSV
+import React, { useState, useRef } from 'react';
+import { exportAnkiPackage, exportFlashcardsText, importFlashcardsText } from '../utils/flashcardTransfer';
+import { downloadBlob } from '../utils/download';
+
+// Stands in for "cards without a book" in the selection
+const NO_BOOK = 'none';
+
+const FORMATS = {
+  apkg: { extension: 'apkg' },
+  tsv: { extension: 'txt', type: 'text/tab-separated-values' },
+  csv: { extension: 'csv', type: 'text/csv' }
+};
+
+export function FlashcardTransfer({ flashcards, books, currentBookId, onImported, onClose }) {
+  const groups = [
+    ...books
+      .map(book => ({ key: book.id, title: book.title, count: flashcards.filter(card => card.bookId === book.id).length }))
+      .filter(group => group.count > 0),
+    { key: NO_BOOK, title: 'Cards without a book', count: flashcards.filter(card => !books.some(book => book.id === card.bookId)).length }
+  ].filter(group => group.count > 0);
+
+  const [selected, setSelected] = useState(() => new Set(groups.map(group => group.key)));
+  const [importBookId, setImportBookId] = useState(currentBookId ?? NO_BOOK);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const selectedCards = flashcards.filter(card => {
+    const hasBook = books.some(book => book.id === card.bookId);
+    return selected.has(hasBook ? card.bookId : NO_BOOK);
+  });
+
+  const toggle = (key) => {
+    const next = new Set(selected);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    setSelected(next);
+  };
+
+  const handleExport = async (format) => {
+    setError('');
+    setStatus('');
+    setBusy(true);
+    try {
+      const blob = format === 'apkg'
+        ? await exportAnkiPackage(selectedCards, books)
+        : new Blob([exportFlashcardsText(selectedCards, books, format)], { type: FORMATS[format].type });
+      downloadBlob(blob, `kapul-flashcards-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`);
+      setStatus(`Exported ${selectedCards.length} ${selectedCards.length === 1 ? 'flashcard' : 'flashcards'}.`);
+    } catch (err) {
+      console.error('Flashcard export error:', err);
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setStatus('');
+    setBusy(true);
+    try {
+      const defaultBookId = importBookId === NO_BOOK ? null : Number(importBookId);
+      const { added, duplicates } = await importFlashcardsText(await file.text(), books, defaultBookId);
+      await onImported();
+      setStatus(`Imported ${added} ${added === 1 ? 'flashcard' : 'flashcards'}` +
+        (duplicates > 0 ? ` (${duplicates} already here).` : '.'));
+    } catch (err) {
+      console.error('Flashcard import error:', err);
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div className="flashcard-transfer">
+      <style>{`
+        .transfer-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 16px;
+        }
+        .transfer-title {
+          font-size: 18px;
+          font-weight: 600;
+        }
+        .transfer-section {
+          margin-bottom: 24px;
+        }
+        .transfer-books {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          margin-bottom: 12px;
+        }
+        .transfer-book {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 10px 12px;
+          background: var(--bg-secondary);
+          border-radius: 6px;
+          font-size: 13px;
+          cursor: pointer;
+        }
+        .transfer-book-count {
+          margin-left: auto;
+          color: var(--text-secondary);
+        }
+        .transfer-actions {
+          display: flex;
+          gap: 8px;
+        }
+        .transfer-btn {
+          flex: 1;
+          padding: 8px;
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          color: var(--text);
+          font-size: 13px;
+          cursor: pointer;
+        }
+        .transfer-btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+        .transfer-status {
+          margin-top: 12px;
+          font-size: 13px;
+          color: var(--text-secondary);
+        }
+        .transfer-error {
+          margin-top: 12px;
+          font-size: 13px;
+          color: #ef4444;
+        }
+      `}</style>
+
+      <div className="transfer-header">
+        <div className="transfer-title">Export / Import Flashcards</div>
+        <button className="close-btn" onClick={onClose}>×</button>
+      </div>
+
+      <div className="transfer-section">
+        <div className="section-title">Export</div>
+        {groups.length === 0 ? (
+          <div className="form-hint">There are no flashcards to export yet.</div>
+        ) : (
+          <>
+            <div className="transfer-books">
+              {groups.map(group => (
+                <label key={group.key} className="transfer-book">
+                  <input type="checkbox" checked={selected.has(group.key)} onChange={() => toggle(group.key)} />
+                  {group.title}
+                  <span className="transfer-book-count">{group.count}</span>
+                </label>
+              ))}
+            </div>
+            <div className="transfer-actions">
+              <button className="transfer-btn" onClick={() => handleExport('apkg')} disabled={busy || selectedCards.length === 0}>
+                Anki deck (.apkg)
+              </button>
+              <button className="transfer-btn" onClick={() => handleExport('tsv')} disabled={busy || selectedCards.length === 0}>
+                TSV for Anki
+              </button>
+              <button className="transfer-btn" onClick={() => handleExport('csv')} disabled={busy || selectedCards.length === 0}>
+                CSV
+              </button>
+            </div>
+            <div className="form-hint">
+              The Anki deck has one subdeck per book; cards are tagged with their book and page.
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="transfer-section">
+        <div className="section-title">Import</div>
+        <div className="form-group">
+          <label className="form-label">Add cards without a matching deck to</label>
+          <select className="form-input" value={importBookId} onChange={(e) => setImportBookId(e.target.value)}>
+            <option value={NO_BOOK}>No book</option>
+            {books.map(book => (
+              <option key={book.id} value={book.id}>{book.title}</option>
+            ))}
+          </select>
+        </div>
+        <input ref={fileInputRef} type="file" accept=".txt,.tsv,.csv,text/plain,text/csv" onChange={handleFile} style={{ display: 'none' }} />
+        <div className="transfer-actions">
+          <button className="transfer-btn" onClick={() => fileInputRef.current?.click()} disabled={busy}>
+            Import TSV or CSV
+          </button>
+        </div>
+        <div className="form-hint">
+          In Anki, use File › Export › "Notes in Plain Text" with "Include deck name" and "Include tags" ticked.
+        </div>
+      </div>
+
+      {status && <div className="transfer-status">{status}</div>}
+      {error && <div className="transfer-error">{error}</div>}
+    </div>
+  );
+}
+
+export default FlashcardTransfer;
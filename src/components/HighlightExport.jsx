@@ -0,0 +1,112 @@
+// Highlight Export Component - a book's or the whole library's highlights and notes as Markdown, HTML or PDF
+import React, { useState } from 'react';
+import {
+  buildStudyGuide,
+  studyGuideToMarkdown,
+  studyGuideToHTML,
+  printStudyGuide,
+  getStudyGuideFileName
+} from '../utils/highlightExport';
+import { downloadBlob } from '../utils/download';
+
+const ALL_BOOKS = 'all';
+
+export function HighlightExport({ highlights, notes, books, currentBookId, onClose }) {
+  // Highlights plus margin notes (a highlight's note is part of the highlight)
+  const entries = [...highlights, ...notes.filter(n => !n.highlightId)];
+  const counts = new Map();
+  entries.forEach(e => counts.set(e.bookId, (counts.get(e.bookId) || 0) + 1));
+  const bookChoices = books.filter(book => counts.has(book.id));
+
+  const [scope, setScope] = useState(counts.has(currentBookId) ? String(currentBookId) : ALL_BOOKS);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleExport = async (format) => {
+    setError('');
+    setBusy(true);
+    try {
+      const guide = await buildStudyGuide(scope === ALL_BOOKS ? null : Number(scope));
+      if (format === 'md') {
+        downloadBlob(new Blob([studyGuideToMarkdown(guide)], { type: 'text/markdown' }), getStudyGuideFileName(guide, 'md'));
+      } else if (format === 'html') {
+        downloadBlob(new Blob([studyGuideToHTML(guide)], { type: 'text/html' }), getStudyGuideFileName(guide, 'html'));
+      } else {
+        printStudyGuide(guide);
+      }
+    } catch (err) {
+      console.error('Highlight export error:', err);
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div className="highlight-export">
+      <style>{`
+        .highlight-export-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 16px;
+        }
+        .highlight-export-title {
+          font-size: 18px;
+          font-weight: 600;
+        }
+        .highlight-export-actions {
+          display: flex;
+          gap: 8px;
+        }
+        .highlight-export-btn {
+          flex: 1;
+          padding: 8px;
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          color: var(--text);
+          font-size: 13px;
+          cursor: pointer;
+        }
+        .highlight-export-btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+        .highlight-export-error {
+          margin-top: 12px;
+          font-size: 13px;
+          color: #ef4444;
+        }
+      `}</style>
+
+      <div className="highlight-export-header">
+        <div className="highlight-export-title">Export Highlights & Notes</div>
+        <button className="close-btn" onClick={onClose}>×</button>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Highlights from</label>
+        <select className="form-input" value={scope} onChange={(e) => setScope(e.target.value)}>
+          <option value={ALL_BOOKS}>Whole library ({entries.length})</option>
+          {bookChoices.map(book => (
+            <option key={book.id} value={book.id}>{book.title} ({counts.get(book.id)})</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="highlight-export-actions">
+        <button className="highlight-export-btn" onClick={() => handleExport('md')} disabled={busy}>Markdown</button>
+        <button className="highlight-export-btn" onClick={() => handleExport('html')} disabled={busy}>HTML</button>
+        <button className="highlight-export-btn" onClick={() => handleExport('pdf')} disabled={busy}>PDF</button>
+      </div>
+      <div className="form-hint">
+        Highlights and margin notes are grouped by page or chapter, with your notes and AI explanations.
+        PDF opens the print dialog: choose "Save as PDF" as the printer.
+      </div>
+
+      {error && <div className="highlight-export-error">{error}</div>}
+    </div>
+  );
+}
+
+export default HighlightExport;
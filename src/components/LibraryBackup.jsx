@@ -0,0 +1,137 @@
+// Library Backup Component - export the library to a zip archive and restore or merge one
+import React, { useState, useRef } from 'react';
+import { exportLibrary, importLibrary, getBackupFileName } from '../utils/backup';
+import { downloadBlob } from '../utils/download';
+
+function describeCount(counts, singular, plural) {
+  const { added, duplicates } = counts;
+  const text = `${added} ${added === 1 ? singular : plural}`;
+  return duplicates > 0 ? `${text} (${duplicates} already here)` : text;
+}
+
+export function LibraryBackup({ onImported }) {
+  const [mode, setMode] = useState('merge');
+  const [status, setStatus] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const handleExport = async () => {
+    setError('');
+    setSummary(null);
+    setBusy(true);
+    try {
+      const blob = await exportLibrary(setStatus);
+      downloadBlob(blob, getBackupFileName());
+    } catch (err) {
+      console.error('Export error:', err);
+      setError(err.message);
+    }
+    setStatus('');
+    setBusy(false);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (mode === 'replace' && !confirm('Replace your whole library with this backup? Books, highlights, flashcards and notes not in the backup will be deleted.')) {
+      return;
+    }
+
+    setError('');
+    setSummary(null);
+    setBusy(true);
+    try {
+      setSummary(await importLibrary(file, { mode, onProgress: setStatus }));
+    } catch (err) {
+      console.error('Import error:', err);
+      setError(err.message);
+    }
+    // Reload even after a failure: part of the backup may already be restored
+    await onImported();
+    setStatus('');
+    setBusy(false);
+  };
+
+  return (
+    <div className="library-backup">
+      <style>{`
+        .library-backup-actions {
+          display: flex;
+          gap: 8px;
+        }
+        .library-backup-btn {
+          flex: 1;
+          padding: 8px;
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          color: var(--text);
+          font-size: 13px;
+          cursor: pointer;
+        }
+        .library-backup-btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+        .library-backup-modes {
+          display: flex;
+          gap: 16px;
+          margin-top: 8px;
+          font-size: 13px;
+        }
+        .library-backup-modes label {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          cursor: pointer;
+        }
+        .library-backup-status {
+          margin-top: 10px;
+          font-size: 13px;
+          color: var(--text-secondary);
+        }
+        .library-backup-error {
+          margin-top: 10px;
+          font-size: 13px;
+          color: #ef4444;
+        }
+      `}</style>
+
+      <input ref={fileInputRef} type="file" accept=".zip,application/zip" onChange={handleFile} style={{ display: 'none' }} />
+      <div className="library-backup-actions">
+        <button className="library-backup-btn" onClick={handleExport} disabled={busy}>Export library</button>
+        <button className="library-backup-btn" onClick={() => fileInputRef.current?.click()} disabled={busy}>Import backup</button>
+      </div>
+      <div className="library-backup-modes">
+        <label>
+          <input type="radio" name="backup-mode" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+          Merge with my library
+        </label>
+        <label>
+          <input type="radio" name="backup-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+          Replace my library
+        </label>
+      </div>
+      <div className="form-hint">
+        A backup holds your books, highlights, flashcards, notes, AI answers, reading progress and quiz scores in one .zip file.
+      </div>
+
+      {status && <div className="library-backup-status">{status}</div>}
+      {error && <div className="library-backup-error">{error}</div>}
+      {summary && (
+        <div className="library-backup-status">
+          Restored {describeCount(summary.books, 'book', 'books')}, {describeCount(summary.highlights, 'highlight', 'highlights')},{' '}
+          {describeCount(summary.flashcards, 'flashcard', 'flashcards')}, {describeCount(summary.notes, 'note', 'notes')},{' '}
+          {describeCount(summary.aiHistory, 'AI answer', 'AI answers')} and{' '}
+          {describeCount(summary.quizScores, 'quiz score', 'quiz scores')}.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LibraryBackup;
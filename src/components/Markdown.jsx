@@ -0,0 +1,21 @@
+// Markdown Component - AI answers, flashcards and quiz text with typeset math
+import React, { useMemo } from 'react';
+import 'katex/dist/katex.min.css';
+import { renderMarkdown } from '../utils/markdown';
+
+// inline renders short text (a flashcard side, a quiz answer) without paragraph spacing
+export function Markdown({ text, inline = false, citations = 0, className = '', onClick }) {
+  const html = useMemo(() => renderMarkdown(text, { inline, citations }), [text, inline, citations]);
+  const Tag = inline ? 'span' : 'div';
+
+  return (
+    <Tag
+      className={`markdown ${className}`.trim()}
+      onClick={onClick}
+      // Sanitised in renderMarkdown
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+}
+
+export default Markdown;
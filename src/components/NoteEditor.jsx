@@ -0,0 +1,95 @@
+// Note Editor Component - write, edit or delete a note on a highlight or a margin note
+import React, { useState } from 'react';
+
+export function NoteEditor({ note, context, onSave, onDelete, onClose }) {
+  const [text, setText] = useState(note.text || '');
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    setSaving(true);
+    await onSave(text.trim());
+    setSaving(false);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal note-editor" onClick={e => e.stopPropagation()}>
+        <style>{`
+          .note-editor-context {
+            margin-bottom: 12px;
+            padding: 8px 12px;
+            border-left: 3px solid var(--accent);
+            background: var(--bg-secondary);
+            border-radius: 0 6px 6px 0;
+            font-size: 13px;
+            color: var(--text-secondary);
+            max-height: 96px;
+            overflow-y: auto;
+          }
+          .note-editor-text {
+            width: 100%;
+            min-height: 140px;
+            padding: 10px 12px;
+            border: 1px solid var(--border);
+            border-radius: 6px;
+            background: var(--bg);
+            color: var(--text);
+            font-family: inherit;
+            font-size: 14px;
+            line-height: 1.5;
+            resize: vertical;
+          }
+          .note-editor-text:focus {
+            outline: none;
+            border-color: var(--accent);
+          }
+          .note-editor-actions {
+            display: flex;
+            gap: 8px;
+            margin-top: 12px;
+          }
+          .note-editor-delete {
+            padding: 10px 14px;
+            background: none;
+            border: 1px solid var(--border);
+            border-radius: 6px;
+            color: var(--danger);
+            font-size: 14px;
+            cursor: pointer;
+          }
+        `}</style>
+
+        <div className="modal-header">
+          <span className="modal-title">{note.id ? 'Edit note' : 'New note'}</span>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        {context && <div className="note-editor-context">{context}</div>}
+
+        <textarea
+          className="note-editor-text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            // Keep reader arrow-key navigation from firing while typing
+            e.stopPropagation();
+            if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) handleSave();
+          }}
+          placeholder="Write your note..."
+          autoFocus
+        />
+
+        <div className="note-editor-actions">
+          {note.id && (
+            <button className="note-editor-delete" onClick={onDelete} disabled={saving}>Delete</button>
+          )}
+          <button className="btn-primary" onClick={handleSave} disabled={saving || !text.trim()}>
+            Save note
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NoteEditor;
@@ -0,0 +1,136 @@
+// Offline Queue Component - AI questions saved while offline, and their answers once back online
+import React, { useState, useEffect } from 'react';
+import { getQueuedRequests, removeQueuedRequest, onAIQueueChange } from '../utils/aiQueue';
+
+const MODE_LABELS = { explain: 'Explain', solve: 'Solve', ask: 'Ask the book' };
+
+function describe(request) {
+  const text = request.mode === 'ask' ? request.question : request.text;
+  return text.length > 80 ? text.slice(0, 80) + '…' : text;
+}
+
+export function OfflineQueue({ onOpen }) {
+  const [requests, setRequests] = useState([]);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const load = () => getQueuedRequests().then(setRequests);
+    load();
+    return onAIQueueChange(load);
+  }, []);
+
+  if (requests.length === 0) return null;
+
+  const answered = requests.filter(r => r.status === 'answered').length;
+  const waiting = requests.length - answered;
+
+  const handleOpen = async (request) => {
+    setOpen(false);
+    onOpen(request);
+    await removeQueuedRequest(request.id);
+  };
+
+  return (
+    <div className="offline-queue">
+      <style>{`
+        .offline-queue {
+          position: fixed;
+          left: 20px;
+          bottom: 20px;
+          z-index: 350;
+        }
+        .offline-queue-toggle {
+          padding: 8px 14px;
+          background: var(--bg);
+          border: 1px solid var(--border);
+          border-radius: 20px;
+          color: var(--text);
+          font-size: 13px;
+          cursor: pointer;
+          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+        }
+        .offline-queue-toggle.has-answers {
+          background: var(--accent);
+          border-color: var(--accent);
+          color: var(--bg);
+        }
+        .offline-queue-list {
+          position: absolute;
+          left: 0;
+          bottom: calc(100% + 8px);
+          width: 300px;
+          max-height: 320px;
+          overflow-y: auto;
+          background: var(--bg);
+          border: 1px solid var(--border);
+          border-radius: 8px;
+          box-shadow: 0 4px 16px rgba(0, 0, 0, 0.12);
+        }
+        .offline-queue-item {
+          display: flex;
+          align-items: flex-start;
+          gap: 8px;
+          padding: 10px 12px;
+          border-bottom: 1px solid var(--border);
+          font-size: 12px;
+        }
+        .offline-queue-item:last-child {
+          border-bottom: none;
+        }
+        .offline-queue-text {
+          flex: 1;
+          min-width: 0;
+        }
+        .offline-queue-meta {
+          display: block;
+          margin-bottom: 2px;
+          font-size: 11px;
+          color: var(--text-secondary);
+        }
+        .offline-queue-btn {
+          padding: 4px 10px;
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          color: var(--text);
+          font-size: 12px;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+      `}</style>
+
+      {open && (
+        <div className="offline-queue-list">
+          {requests.map(request => (
+            <div key={request.id} className="offline-queue-item">
+              <div className="offline-queue-text">
+                <span className="offline-queue-meta">
+                  {MODE_LABELS[request.mode]}
+                  {request.bookTitle && ` · ${request.bookTitle}`}
+                  {request.status === 'answered' ? ' · Answered' : ' · Waiting for connection'}
+                </span>
+                {describe(request)}
+              </div>
+              {request.status === 'answered' ? (
+                <button className="offline-queue-btn" onClick={() => handleOpen(request)}>View</button>
+              ) : (
+                <button className="offline-queue-btn" onClick={() => removeQueuedRequest(request.id)} title="Remove">×</button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button
+        className={`offline-queue-toggle ${answered > 0 ? 'has-answers' : ''}`}
+        onClick={() => setOpen(!open)}
+      >
+        {answered > 0 && `${answered} answered`}
+        {answered > 0 && waiting > 0 && ' · '}
+        {waiting > 0 && `${waiting} waiting`}
+      </button>
+    </div>
+  );
+}
+
+export default OfflineQueue;
@@ -0,0 +1,445 @@
+// Quiz Component - generates questions from the book, takes typed answers and grades them
+import React, { useState, useEffect } from 'react';
+import { getPDFPageText, getPDFPagesText, getEPUBToc, getEPUBSectionText } from '../utils/documentParser';
+import { generateQuiz, gradeQuizAnswers } from '../utils/ai';
+import { saveQuizScore } from '../utils/storage';
+import { Markdown } from './Markdown';
+
+// Keep prompts within a sensible size for the model
+const MAX_QUIZ_CONTENT = 12000;
+
+export function Quiz({ book, fileData, position, highlights, onComplete, onClose }) {
+  const [step, setStep] = useState('setup'); // setup | answering | results
+  const [source, setSource] = useState(book && fileData ? 'page' : 'highlights');
+  const [numQuestions, setNumQuestions] = useState(3);
+  const [chapters, setChapters] = useState([]);
+  const [chapterHref, setChapterHref] = useState('');
+  const [pageRange, setPageRange] = useState({ start: 1, end: 1 });
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState([]);
+  const [attempt, setAttempt] = useState(null);
+  const [section, setSection] = useState(null);
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+
+  const hasDocument = Boolean(book && fileData);
+  const currentPage = position?.page || 1;
+  const bookHighlights = book ? highlights.filter(h => h.bookId === book.id) : highlights;
+
+  // Load chapters for EPUB and default the PDF page range around the current page
+  useEffect(() => {
+    if (!hasDocument) return;
+
+    if (book.format === 'epub') {
+      getEPUBToc(fileData)
+        .then(toc => {
+          setChapters(toc);
+          if (toc.length > 0) setChapterHref(toc[0].href);
+        })
+        .catch(err => {
+          // Page and highlight quizzes still work without the chapter list
+          console.error('Quiz TOC Error:', err);
+          setChapters([]);
+        });
+    } else {
+      setPageRange({
+        start: currentPage,
+        end: Math.min(currentPage + 4, book.totalPages || currentPage)
+      });
+    }
+  }, [book?.id, fileData]);
+
+  // Collect the text the quiz will be built from
+  const getQuizContent = async () => {
+    if (source === 'highlights') {
+      return {
+        text: bookHighlights.map(h => h.text).join('\n\n'),
+        section: { type: 'highlights', label: `${bookHighlights.length} highlights` }
+      };
+    }
+
+    if (source === 'page') {
+      if (book.format === 'pdf') {
+        return {
+          text: await getPDFPageText(fileData, currentPage),
+          section: { type: 'page', page: currentPage, label: `Page ${currentPage}` }
+        };
+      }
+      const chapter = chapters.find(c => position?.href && c.href.split('#')[0] === position.href);
+      return {
+        text: await getEPUBSectionText(fileData, position?.cfi || position?.href),
+        section: {
+          type: 'page',
+          cfi: position?.cfi || null,
+          href: position?.href || null,
+          label: chapter?.label || 'Current section'
+        }
+      };
+    }
+
+    // Chapter: a TOC entry for EPUB, a page range for PDF
+    if (book.format === 'pdf') {
+      const start = Math.min(pageRange.start, pageRange.end);
+      const end = Math.max(pageRange.start, pageRange.end);
+      return {
+        text: await getPDFPagesText(fileData, start, end),
+        section: { type: 'chapter', startPage: start, endPage: end, label: `Pages ${start}–${end}` }
+      };
+    }
+    const chapter = chapters.find(c => c.href === chapterHref);
+    return {
+      text: await getEPUBSectionText(fileData, chapterHref),
+      section: { type: 'chapter', href: chapterHref, label: chapter?.label || 'Chapter' }
+    };
+  };
+
+  const startQuiz = async () => {
+    setError('');
+    setBusy('Preparing questions...');
+
+    try {
+      const content = await getQuizContent();
+      if (!content.text || content.text.trim().length < 20) {
+        setError('Not enough text here to build a quiz. Try another section.');
+        return;
+      }
+
+      const generated = await generateQuiz(content.text.slice(0, MAX_QUIZ_CONTENT), numQuestions);
+      const valid = (generated || []).filter(item => item?.q && item?.a);
+      if (valid.length === 0) {
+        setError('Could not generate questions. Please try again.');
+        return;
+      }
+
+      setSection(content.section);
+      setQuestions(valid);
+      setAnswers(valid.map(() => ''));
+      setStep('answering');
+    } catch (err) {
+      console.error('Quiz Error:', err);
+      setError('Could not generate questions. Please try again.');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const submitAnswers = async () => {
+    setError('');
+    setBusy('Marking your answers...');
+
+    try {
+      const grades = await gradeQuizAnswers(questions, answers);
+      const results = questions.map((item, i) => ({
+        q: item.q,
+        a: item.a,
+        answer: answers[i].trim(),
+        correct: grades[i].correct,
+        feedback: grades[i].feedback
+      }));
+      const correct = results.filter(r => r.correct).length;
+
+      const newAttempt = {
+        bookId: book?.id || null,
+        bookTitle: book?.title || 'All books',
+        section,
+        total: results.length,
+        correct,
+        percentage: Math.round((correct / results.length) * 100),
+        results
+      };
+      saveQuizScore(newAttempt);
+      setAttempt(newAttempt);
+      setStep('results');
+
+      if (onComplete) onComplete(newAttempt);
+    } catch (err) {
+      console.error('Quiz Grading Error:', err);
+      setError('Could not mark your answers. Please try again.');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const restart = () => {
+    setStep('setup');
+    setQuestions([]);
+    setAnswers([]);
+    setAttempt(null);
+    setError('');
+  };
+
+  const canStart = source === 'highlights'
+    ? bookHighlights.length > 0
+    : hasDocument && (source !== 'chapter' || book.format === 'pdf' || chapterHref);
+
+  return (
+    <div className="quiz">
+      <style>{`
+        .quiz {
+          max-width: 640px;
+        }
+        .quiz-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 16px;
+        }
+        .quiz-title {
+          font-size: 18px;
+          font-weight: 600;
+        }
+        .quiz-subtitle {
+          font-size: 12px;
+          color: var(--text-secondary);
+          margin-top: 2px;
+        }
+        .quiz-options {
+          display: flex;
+          gap: 8px;
+          margin-bottom: 16px;
+          flex-wrap: wrap;
+        }
+        .quiz-option {
+          padding: 8px 14px;
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          font-size: 13px;
+          color: var(--text);
+          cursor: pointer;
+        }
+        .quiz-option.active {
+          border-color: var(--accent);
+          background: var(--bg-tertiary);
+        }
+        .quiz-option:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+        .quiz-range {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+        .quiz-range .form-input {
+          width: 80px;
+        }
+        .quiz-question {
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          border-radius: 8px;
+          padding: 14px;
+          margin-bottom: 12px;
+        }
+        .quiz-question.correct {
+          border-left: 3px solid #22c55e;
+        }
+        .quiz-question.incorrect {
+          border-left: 3px solid var(--danger);
+        }
+        .quiz-question-text {
+          font-size: 14px;
+          font-weight: 500;
+          margin-bottom: 10px;
+        }
+        .quiz-answer {
+          min-height: 60px;
+          resize: vertical;
+          font-family: inherit;
+        }
+        .quiz-result-line {
+          font-size: 13px;
+          margin-top: 4px;
+        }
+        .quiz-result-label {
+          color: var(--text-secondary);
+        }
+        .quiz-feedback {
+          font-size: 12px;
+          color: var(--text-secondary);
+          margin-top: 8px;
+          font-style: italic;
+        }
+        .quiz-score {
+          font-size: 32px;
+          font-weight: 600;
+          margin-bottom: 4px;
+        }
+        .quiz-error {
+          color: var(--danger);
+          font-size: 13px;
+          margin-bottom: 12px;
+        }
+        .quiz-footer {
+          display: flex;
+          gap: 8px;
+        }
+        .quiz-footer .ai-btn {
+          flex: 0 0 auto;
+          padding: 10px 16px;
+        }
+      `}</style>
+
+      <div className="quiz-header">
+        <div>
+          <div className="quiz-title">Quiz</div>
+          <div className="quiz-subtitle">
+            {book ? book.title : 'Saved highlights from all books'}
+            {section && step !== 'setup' ? ` · ${section.label}` : ''}
+          </div>
+        </div>
+        <button className="close-btn" onClick={onClose}>×</button>
+      </div>
+
+      {step === 'setup' && (
+        <>
+          <div className="form-group">
+            <label className="form-label">Questions from</label>
+            <div className="quiz-options">
+              <button
+                className={`quiz-option ${source === 'page' ? 'active' : ''}`}
+                onClick={() => setSource('page')}
+                disabled={!hasDocument}
+              >
+                {book?.format === 'epub' ? 'Current section' : 'Current page'}
+              </button>
+              <button
+                className={`quiz-option ${source === 'chapter' ? 'active' : ''}`}
+                onClick={() => setSource('chapter')}
+                disabled={!hasDocument}
+              >
+                {book?.format === 'pdf' ? 'Page range' : 'Chapter'}
+              </button>
+              <button
+                className={`quiz-option ${source === 'highlights' ? 'active' : ''}`}
+                onClick={() => setSource('highlights')}
+                disabled={bookHighlights.length === 0}
+              >
+                Highlights ({bookHighlights.length})
+              </button>
+            </div>
+            {!hasDocument && (
+              <div className="form-hint">Open a book in the Reader to quiz yourself on a page or chapter.</div>
+            )}
+          </div>
+
+          {source === 'chapter' && book?.format === 'epub' && (
+            <div className="form-group">
+              <label className="form-label">Chapter</label>
+              <select
+                className="form-input"
+                value={chapterHref}
+                onChange={(e) => setChapterHref(e.target.value)}
+              >
+                {chapters.map(chapter => (
+                  <option key={chapter.href} value={chapter.href}>{chapter.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {source === 'chapter' && book?.format === 'pdf' && (
+            <div className="form-group">
+              <label className="form-label">Pages</label>
+              <div className="quiz-range">
+                <input
+                  type="number"
+                  className="form-input"
+                  min={1}
+                  max={book.totalPages || undefined}
+                  value={pageRange.start}
+                  onChange={(e) => setPageRange(r => ({ ...r, start: parseInt(e.target.value) || 1 }))}
+                />
+                <span>to</span>
+                <input
+                  type="number"
+                  className="form-input"
+                  min={1}
+                  max={book.totalPages || undefined}
+                  value={pageRange.end}
+                  onChange={(e) => setPageRange(r => ({ ...r, end: parseInt(e.target.value) || 1 }))}
+                />
+              </div>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label className="form-label">Number of questions</label>
+            <div className="quiz-options">
+              {[3, 5, 10].map(n => (
+                <button
+                  key={n}
+                  className={`quiz-option ${numQuestions === n ? 'active' : ''}`}
+                  onClick={() => setNumQuestions(n)}
+                >
+                  {n}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {error && <div className="quiz-error">{error}</div>}
+
+          <button className="btn-primary" onClick={startQuiz} disabled={!canStart || Boolean(busy)}>
+            {busy || 'Start Quiz'}
+          </button>
+        </>
+      )}
+
+      {step === 'answering' && (
+        <>
+          {questions.map((item, i) => (
+            <div key={i} className="quiz-question">
+              <div className="quiz-question-text">{i + 1}. <Markdown text={item.q} inline /></div>
+              <textarea
+                className="form-input quiz-answer"
+                placeholder="Type your answer..."
+                value={answers[i]}
+                onChange={(e) => {
+                  const value = e.target.value;
+                  setAnswers(prev => prev.map((a, j) => (j === i ? value : a)));
+                }}
+              />
+            </div>
+          ))}
+
+          {error && <div className="quiz-error">{error}</div>}
+          <button className="btn-primary" onClick={submitAnswers} disabled={Boolean(busy)}>
+            {busy || 'Submit Answers'}
+          </button>
+        </>
+      )}
+
+      {step === 'results' && attempt && (
+        <>
+          <div className="form-group">
+            <div className="quiz-score">{attempt.percentage}%</div>
+            <div className="quiz-subtitle">{attempt.correct} of {attempt.total} correct</div>
+          </div>
+
+          {attempt.results.map((result, i) => (
+            <div key={i} className={`quiz-question ${result.correct ? 'correct' : 'incorrect'}`}>
+              <div className="quiz-question-text">{i + 1}. <Markdown text={result.q} inline /></div>
+              <div className="quiz-result-line">
+                <span className="quiz-result-label">Your answer: </span>
+                {result.answer ? <Markdown text={result.answer} inline /> : '(no answer)'}
+              </div>
+              <div className="quiz-result-line">
+                <span className="quiz-result-label">Expected: </span>
+                <Markdown text={result.a} inline />
+              </div>
+              {result.feedback && <div className="quiz-feedback"><Markdown text={result.feedback} inline /></div>}
+            </div>
+          ))}
+
+          <div className="quiz-footer">
+            <button className="ai-btn" onClick={restart}>New Quiz</button>
+            <button className="ai-btn" onClick={onClose}>Done</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Quiz;
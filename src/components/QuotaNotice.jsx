@@ -0,0 +1,65 @@
+// Quota Notice Component - explains a rate limit or used-up token budget and when it resets
+import React, { useState, useEffect } from 'react';
+
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours} h ${minutes % 60} min`;
+}
+
+export function QuotaNotice({ quota, message }) {
+  const resetAt = new Date(quota.resetAt);
+  const [secondsLeft, setSecondsLeft] = useState(() => Math.max(0, Math.ceil((resetAt - Date.now()) / 1000)));
+
+  // Count down to the reset time
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const left = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+      setSecondsLeft(left);
+      if (left === 0) clearInterval(timer);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [quota.resetAt]);
+
+  const isTokens = quota.kind === 'tokens';
+
+  return (
+    <div className="quota-notice">
+      <style>{`
+        .quota-notice {
+          padding: 12px;
+          border-radius: 8px;
+          background: rgba(234, 179, 8, 0.1);
+          border: 1px solid rgba(234, 179, 8, 0.35);
+          font-size: 13px;
+          line-height: 1.5;
+        }
+        .quota-notice-title {
+          font-weight: 600;
+          margin-bottom: 4px;
+        }
+        .quota-notice-detail {
+          color: var(--text-secondary);
+        }
+      `}</style>
+
+      <div className="quota-notice-title">
+        {isTokens ? 'Daily AI allowance used' : 'Too many requests'}
+      </div>
+      <div>{message}</div>
+      <div className="quota-notice-detail">
+        {isTokens
+          ? `${quota.remaining.toLocaleString()} of ${quota.limit.toLocaleString()} tokens left today.`
+          : `Limit: ${quota.limit} requests per ${quota.scope === 'ip' ? 'network' : 'student'} every ${formatWait(quota.windowSeconds || 60)}.`}
+        {' '}
+        {secondsLeft > 0
+          ? `Resets at ${resetAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} (in ${formatWait(secondsLeft)}).`
+          : 'You can try again now.'}
+      </div>
+    </div>
+  );
+}
+
+export default QuotaNotice;
@@ -0,0 +1,100 @@
+// Read Aloud Controls Component - play/pause, stop, speed and voice for the reader's read-aloud bar
+import React, { useState, useEffect } from 'react';
+import { READ_ALOUD_RATES, getVoices } from '../utils/readAloud';
+
+export function ReadAloudControls({ status, rate, voiceURI, onPlay, onPause, onStop, onRateChange, onVoiceChange }) {
+  const [voices, setVoices] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    getVoices().then(list => {
+      if (!cancelled) setVoices(list);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Voices for the reader's language first
+  const language = (navigator.language || 'en').split('-')[0];
+  const sortedVoices = [...voices].sort((a, b) =>
+    Number(b.lang.startsWith(language)) - Number(a.lang.startsWith(language)) || a.name.localeCompare(b.name)
+  );
+
+  return (
+    <div className="read-aloud-bar" onKeyDown={(e) => e.stopPropagation()}>
+      <style>{`
+        .read-aloud-bar {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 6px 12px;
+          background: var(--bg);
+          border-bottom: 1px solid var(--border);
+          font-size: 13px;
+          flex-wrap: wrap;
+        }
+        .read-aloud-btn {
+          min-width: 32px;
+          height: 28px;
+          padding: 0 10px;
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          color: var(--text);
+          font-size: 13px;
+          cursor: pointer;
+        }
+        .read-aloud-btn.primary {
+          background: var(--accent);
+          border-color: var(--accent);
+          color: var(--bg);
+        }
+        .read-aloud-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+        .read-aloud-bar select {
+          padding: 4px 6px;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          background: var(--bg);
+          color: var(--text);
+          font-size: 13px;
+        }
+        .read-aloud-voice {
+          max-width: 200px;
+        }
+      `}</style>
+
+      {status === 'playing' ? (
+        <button className="read-aloud-btn primary" onClick={onPause} title="Pause">❚❚ Pause</button>
+      ) : (
+        <button className="read-aloud-btn primary" onClick={onPlay} title={status === 'paused' ? 'Resume' : 'Read aloud'}>
+          ▶ {status === 'paused' ? 'Resume' : 'Play'}
+        </button>
+      )}
+      <button className="read-aloud-btn" onClick={onStop} disabled={status === 'idle'} title="Stop">■</button>
+
+      <select value={rate} onChange={(e) => onRateChange(Number(e.target.value))} title="Speed">
+        {READ_ALOUD_RATES.map(r => (
+          <option key={r} value={r}>{r}×</option>
+        ))}
+      </select>
+
+      <select
+        className="read-aloud-voice"
+        value={voiceURI || ''}
+        onChange={(e) => onVoiceChange(e.target.value || null)}
+        title="Voice"
+      >
+        <option value="">Default voice</option>
+        {sortedVoices.map(voice => (
+          <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name} ({voice.lang})</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default ReadAloudControls;
@@ -0,0 +1,239 @@
+// Reader Settings Component - font, size, spacing, margins and layout for EPUB books, previewed live
+import React, { useState, useRef } from 'react';
+import {
+  READER_FONTS,
+  FONT_SIZE_RANGE,
+  LINE_HEIGHT_RANGE,
+  MARGIN_RANGE,
+  CUSTOM_FONT_TYPES,
+  readCustomFont
+} from '../utils/readerSettings';
+
+export function ReaderSettings({ settings, onChange, onClose }) {
+  const [error, setError] = useState('');
+  const fontInputRef = useRef(null);
+
+  // onChange returns false when the settings couldn't be saved
+  const update = (updates) => {
+    setError(onChange(updates) === false ? 'Could not save this setting on this device.' : '');
+  };
+
+  const handleFontFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const customFont = await readCustomFont(file);
+      if (onChange({ customFont, fontFamily: 'custom' }) === false) {
+        setError('There is no room to keep this font on this device. Try a smaller font file.');
+      } else {
+        setError('');
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    // Arrow keys move the sliders, not the page
+    <div className="reader-settings" onKeyDown={(e) => e.stopPropagation()}>
+      <style>{`
+        .reader-settings {
+          position: absolute;
+          top: 48px;
+          right: 0;
+          width: 280px;
+          max-height: calc(100% - 48px);
+          padding: 12px 16px;
+          background: var(--bg);
+          border: 1px solid var(--border);
+          border-radius: 8px 0 0 8px;
+          box-shadow: -4px 0 20px rgba(0,0,0,0.1);
+          overflow-y: auto;
+          z-index: 100;
+          font-size: 13px;
+        }
+        .reader-settings-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 12px;
+          font-weight: 600;
+          font-size: 14px;
+        }
+        .reader-settings-close {
+          background: none;
+          border: none;
+          font-size: 18px;
+          color: var(--text-secondary);
+          cursor: pointer;
+        }
+        .reader-settings-row {
+          margin-bottom: 14px;
+        }
+        .reader-settings-label {
+          display: flex;
+          justify-content: space-between;
+          margin-bottom: 6px;
+          color: var(--text-secondary);
+        }
+        .reader-settings-row select,
+        .reader-settings-row input[type="range"] {
+          width: 100%;
+        }
+        .reader-settings-row select {
+          padding: 6px 8px;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          background: var(--bg);
+          color: var(--text);
+          font-size: 13px;
+        }
+        .reader-settings-font-actions {
+          display: flex;
+          gap: 12px;
+          margin-top: 6px;
+        }
+        .reader-settings-link {
+          background: none;
+          border: none;
+          padding: 0;
+          color: var(--accent);
+          font-size: 12px;
+          cursor: pointer;
+        }
+        .reader-settings-choice {
+          display: flex;
+          gap: 6px;
+        }
+        .reader-settings-choice button {
+          flex: 1;
+          padding: 6px;
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          color: var(--text);
+          font-size: 13px;
+          cursor: pointer;
+        }
+        .reader-settings-choice button.active {
+          background: var(--accent);
+          border-color: var(--accent);
+          color: var(--bg);
+        }
+        .reader-settings-check {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          cursor: pointer;
+        }
+        .reader-settings-error {
+          margin-top: 8px;
+          font-size: 12px;
+          color: var(--danger);
+        }
+      `}</style>
+
+      <div className="reader-settings-header">
+        <span>Reading Settings</span>
+        <button className="reader-settings-close" onClick={onClose}>×</button>
+      </div>
+
+      <div className="reader-settings-row">
+        <div className="reader-settings-label">Font</div>
+        <select value={settings.fontFamily} onChange={(e) => update({ fontFamily: e.target.value })}>
+          {READER_FONTS.map(font => (
+            <option key={font.id} value={font.id}>{font.label}</option>
+          ))}
+          {settings.customFont && <option value="custom">{settings.customFont.name}</option>}
+        </select>
+        <input
+          ref={fontInputRef}
+          type="file"
+          accept={CUSTOM_FONT_TYPES.join(',')}
+          onChange={handleFontFile}
+          style={{ display: 'none' }}
+        />
+        <div className="reader-settings-font-actions">
+          <button className="reader-settings-link" onClick={() => fontInputRef.current?.click()}>
+            {settings.customFont ? 'Replace my font…' : 'Upload a font…'}
+          </button>
+          {settings.customFont && (
+            <button
+              className="reader-settings-link"
+              onClick={() => update({
+                customFont: null,
+                ...(settings.fontFamily === 'custom' && { fontFamily: READER_FONTS[0].id })
+              })}
+            >
+              Remove my font
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="reader-settings-row">
+        <div className="reader-settings-label">
+          <span>Text size</span>
+          <span>{settings.fontSize}px</span>
+        </div>
+        <input
+          type="range"
+          {...FONT_SIZE_RANGE}
+          value={settings.fontSize}
+          onChange={(e) => update({ fontSize: Number(e.target.value) })}
+        />
+      </div>
+
+      <div className="reader-settings-row">
+        <div className="reader-settings-label">
+          <span>Line spacing</span>
+          <span>{settings.lineHeight.toFixed(1)}</span>
+        </div>
+        <input
+          type="range"
+          {...LINE_HEIGHT_RANGE}
+          value={settings.lineHeight}
+          onChange={(e) => update({ lineHeight: Number(e.target.value) })}
+        />
+      </div>
+
+      <div className="reader-settings-row">
+        <div className="reader-settings-label">
+          <span>Margins</span>
+          <span>{settings.margin}px</span>
+        </div>
+        <input
+          type="range"
+          {...MARGIN_RANGE}
+          value={settings.margin}
+          onChange={(e) => update({ margin: Number(e.target.value) })}
+        />
+      </div>
+
+      <div className="reader-settings-row">
+        <label className="reader-settings-check">
+          <input type="checkbox" checked={settings.justify} onChange={(e) => update({ justify: e.target.checked })} />
+          Justify text
+        </label>
+      </div>
+
+      <div className="reader-settings-row">
+        <div className="reader-settings-label">Layout</div>
+        <div className="reader-settings-choice">
+          <button className={settings.flow === 'paginated' ? 'active' : ''} onClick={() => update({ flow: 'paginated' })}>
+            Pages
+          </button>
+          <button className={settings.flow === 'scrolled' ? 'active' : ''} onClick={() => update({ flow: 'scrolled' })}>
+            Scroll
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="reader-settings-error">{error}</div>}
+    </div>
+  );
+}
+
+export default ReaderSettings;
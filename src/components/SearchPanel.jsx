@@ -0,0 +1,305 @@
+// Search Components - in-reader search bar and library-wide results
+import React, { useState, useEffect, useRef } from 'react';
+import { searchBook, searchLibrary, queueBookForIndexing, getIndexingStatus, onIndexingChange } from '../utils/searchIndex';
+import { getBookText } from '../utils/storage';
+
+const SEARCH_DELAY = 300;
+
+// Snippet with the matched text highlighted
+export function SearchSnippet({ snippet }) {
+  return (
+    <span className="search-snippet">
+      {snippet.before}<mark>{snippet.match}</mark>{snippet.after}
+    </span>
+  );
+}
+
+// Shared styles for search UI
+const searchStyles = `
+  .search-panel {
+    background: var(--bg);
+    border-bottom: 1px solid var(--border);
+  }
+  .search-bar {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 8px 12px;
+  }
+  .search-input {
+    flex: 1;
+    min-width: 0;
+    padding: 6px 10px;
+    border: 1px solid var(--border);
+    border-radius: 6px;
+    background: var(--bg);
+    color: var(--text);
+    font-size: 13px;
+  }
+  .search-count {
+    font-size: 12px;
+    color: var(--text-secondary);
+    white-space: nowrap;
+  }
+  .search-nav-btn {
+    padding: 6px 10px;
+    background: var(--bg-secondary);
+    border: 1px solid var(--border);
+    border-radius: 6px;
+    color: var(--text);
+    font-size: 13px;
+    cursor: pointer;
+  }
+  .search-nav-btn:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+  .search-results {
+    max-height: 200px;
+    overflow-y: auto;
+    border-top: 1px solid var(--border);
+  }
+  .search-result {
+    display: block;
+    width: 100%;
+    text-align: left;
+    padding: 8px 12px;
+    background: none;
+    border: none;
+    border-bottom: 1px solid var(--border);
+    color: var(--text);
+    font-size: 12px;
+    cursor: pointer;
+  }
+  .search-result:hover,
+  .search-result.active {
+    background: var(--bg-secondary);
+  }
+  .search-result-label {
+    display: block;
+    font-size: 11px;
+    color: var(--text-tertiary);
+    margin-bottom: 2px;
+  }
+  .search-snippet mark {
+    background: rgba(250, 204, 21, 0.5);
+    color: inherit;
+    border-radius: 2px;
+  }
+  .search-status {
+    padding: 8px 12px;
+    font-size: 12px;
+    color: var(--text-secondary);
+  }
+  .library-search-group {
+    margin-bottom: 20px;
+  }
+  .library-search-book {
+    display: flex;
+    justify-content: space-between;
+    align-items: baseline;
+    font-size: 14px;
+    font-weight: 600;
+    margin-bottom: 6px;
+  }
+  .library-search-book span {
+    font-size: 12px;
+    font-weight: 400;
+    color: var(--text-secondary);
+  }
+  .library-search-group .search-result {
+    background: var(--bg-secondary);
+    border: 1px solid var(--border);
+    border-radius: 6px;
+    margin-bottom: 6px;
+  }
+  .library-search-group .search-result:hover {
+    border-color: var(--text-tertiary);
+  }
+`;
+
+// Track the background indexer for one book (or any book when bookId is null)
+function useIndexingStatus(bookId = null) {
+  const [status, setStatus] = useState(getIndexingStatus());
+
+  useEffect(() => onIndexingChange(setStatus), []);
+
+  if (bookId && status.bookId !== bookId) {
+    return { ...status, active: false };
+  }
+  return status;
+}
+
+// In-reader search: find in the current book with next/previous navigation
+export function SearchPanel({ book, query, onQueryChange, onNavigate, onClose }) {
+  const [hits, setHits] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [ready, setReady] = useState(false);
+  const [showResults, setShowResults] = useState(true);
+  const inputRef = useRef(null);
+  const indexing = useIndexingStatus(book.id);
+
+  // Make sure the book has been indexed before searching it
+  useEffect(() => {
+    let cancelled = false;
+    setReady(false);
+
+    getBookText(book.id).then(async (sections) => {
+      if (sections.length === 0) {
+        await queueBookForIndexing(book);
+      }
+      if (!cancelled) setReady(true);
+    });
+
+    inputRef.current?.focus();
+    return () => { cancelled = true; };
+  }, [book.id]);
+
+  // Debounced search as the query changes
+  useEffect(() => {
+    if (!ready) return;
+
+    const timer = setTimeout(async () => {
+      const results = await searchBook(book.id, query);
+      setHits(results);
+      setActiveIndex(-1);
+      setShowResults(true);
+    }, SEARCH_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [query, ready, book.id]);
+
+  const goToHit = (index) => {
+    if (hits.length === 0) return;
+    const wrapped = (index + hits.length) % hits.length;
+    setActiveIndex(wrapped);
+    onNavigate(hits[wrapped]);
+  };
+
+  const handleKeyDown = (e) => {
+    // Keep reader arrow-key navigation from firing while typing
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+      goToHit(e.shiftKey ? activeIndex - 1 : activeIndex + 1);
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  };
+
+  const trimmedQuery = query.trim();
+
+  return (
+    <div className="search-panel">
+      <style>{searchStyles}</style>
+
+      <div className="search-bar">
+        <input
+          ref={inputRef}
+          className="search-input"
+          type="search"
+          placeholder={`Search in ${book.title}`}
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+        />
+        {trimmedQuery.length >= 2 && ready && (
+          <span className="search-count">
+            {hits.length === 0 ? 'No results' : `${activeIndex + 1 || '–'} of ${hits.length}`}
+          </span>
+        )}
+        <button className="search-nav-btn" onClick={() => goToHit(activeIndex - 1)} disabled={hits.length === 0}>↑</button>
+        <button className="search-nav-btn" onClick={() => goToHit(activeIndex + 1)} disabled={hits.length === 0}>↓</button>
+        {hits.length > 0 && (
+          <button className="search-nav-btn" onClick={() => setShowResults(!showResults)}>
+            {showResults ? 'Hide' : 'List'}
+          </button>
+        )}
+        <button className="close-btn" onClick={onClose}>×</button>
+      </div>
+
+      {!ready && (
+        <div className="search-status">
+          Indexing book for search{indexing.active ? `… ${indexing.progress}%` : '…'}
+        </div>
+      )}
+
+      {showResults && hits.length > 0 && (
+        <div className="search-results">
+          {hits.map((hit, i) => (
+            <button
+              key={`${hit.page || hit.href}-${hit.occurrence}`}
+              className={`search-result ${i === activeIndex ? 'active' : ''}`}
+              onClick={() => goToHit(i)}
+            >
+              <span className="search-result-label">{hit.label}</span>
+              <SearchSnippet snippet={hit.snippet} />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Library-wide search results grouped by book
+export function LibrarySearchResults({ query, books, onOpenHit }) {
+  const [groups, setGroups] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const indexing = useIndexingStatus();
+
+  useEffect(() => {
+    let cancelled = false;
+    setSearching(true);
+
+    const timer = setTimeout(async () => {
+      const results = await searchLibrary(query, books);
+      if (!cancelled) {
+        setGroups(results);
+        setSearching(false);
+      }
+    }, SEARCH_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, books, indexing.active]);
+
+  return (
+    <div className="library-search">
+      <style>{searchStyles}</style>
+
+      {indexing.active && (
+        <div className="search-status">
+          Indexing “{indexing.title}” ({indexing.progress}%)
+          {indexing.pending > 0 && `, ${indexing.pending} more waiting`}. Results may be incomplete.
+        </div>
+      )}
+
+      {!searching && groups.length === 0 && (
+        <div className="search-status">No matches for “{query.trim()}” in your library.</div>
+      )}
+
+      {groups.map(group => (
+        <div key={group.book.id} className="library-search-group">
+          <div className="library-search-book">
+            {group.book.title}
+            <span>{group.total} {group.total === 1 ? 'match' : 'matches'}</span>
+          </div>
+          {group.hits.map(hit => (
+            <button
+              key={`${hit.page || hit.href}-${hit.occurrence}`}
+              className="search-result"
+              onClick={() => onOpenHit(group.book, hit)}
+            >
+              <span className="search-result-label">{hit.label}</span>
+              <SearchSnippet snippet={hit.snippet} />
+            </button>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default SearchPanel;
@@ -1,9 +1,17 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App'
+import { registerServiceWorker } from './utils/pwa'
+import { applyTheme } from './utils/themes'
+import { getSettings } from './utils/storage'
+
+// Before the first render, so the app doesn't flash in the wrong colours
+applyTheme(getSettings().theme)
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
   </React.StrictMode>
 )
+
+registerServiceWorker()
@@ -0,0 +1,94 @@
+// Service worker for Kapul Reader
+// Precaches the app shell so the reader opens without a connection. The build fills in the
+// file list and a version that changes with it (see serviceWorker() in vite.config.js).
+// The OCR engine and language data are only cached once a scanned page has needed them.
+
+const PRECACHE = self.__PRECACHE__;
+const OCR_FILES = self.__OCR_FILES__;
+const SHELL_CACHE = 'kapul-shell-' + self.__VERSION__;
+const OCR_CACHE = 'kapul-ocr';
+const FONT_CACHE = 'kapul-fonts';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the shells of older builds, and OCR files this build no longer uses
+async function removeOldOCRFiles() {
+  const cache = await caches.open(OCR_CACHE);
+  for (const request of await cache.keys()) {
+    if (!OCR_FILES.includes(new URL(request.url).pathname)) await cache.delete(request);
+  }
+}
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('kapul-shell-') && key !== SHELL_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(removeOldOCRFiles)
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Web fonts: serve the cached copy and refresh it in the background
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(
+      caches.open(FONT_CACHE).then(async (cache) => {
+        const cached = await cache.match(request);
+        const fetched = fetch(request)
+          .then((response) => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+          })
+          .catch(() => cached);
+        return cached || fetched;
+      })
+    );
+    return;
+  }
+
+  // The API (AI, accounts, sync) always goes to the network
+  if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  // Pages: the latest from the server, or the cached app when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match('/index.html', { cacheName: SHELL_CACHE }))
+    );
+    return;
+  }
+
+  // OCR files: kept after the first download (their names also change with their content)
+  if (OCR_FILES.includes(url.pathname)) {
+    event.respondWith(
+      caches.open(OCR_CACHE).then(async (cache) => {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+      })
+    );
+    return;
+  }
+
+  // Built files have content hashes in their names, so a cached copy is always current
+  event.respondWith(
+    caches.match(request, { cacheName: SHELL_CACHE }).then(cached => cached || fetch(request))
+  );
+});
@@ -1,14 +1,50 @@
 // AI Service for Kapul Reader
 // Connects to backend proxy for Claude API (keeps API key secure on server)
 
+import { notifySessionExpired } from './auth';
+
 // API Configuration - uses backend proxy
 const API_CONFIG = {
   // Backend proxy endpoint (API key is stored server-side)
   endpoint: '/api/claude',
+  streamEndpoint: '/api/claude/stream',
   statusEndpoint: '/api/status',
   configured: null // Will be checked from server
 };
 
+// How answers write math, so the app can typeset it (see markdown.js)
+const MATH_FORMAT = `Format answers in Markdown. Write all math in LaTeX: inline between single dollar signs, like $v = u + at$, and equations on their own line between double dollar signs, like $$x = \\frac{-b \\pm \\sqrt{b^2 - 4ac}}{2a}$$.
+Write chemical formulas the same way, like $\\mathrm{H_2O}$. Never use a dollar sign for money; write the currency name instead.`;
+
+// JSON answers are one string per field, so backslashes in their LaTeX must be escaped
+const JSON_MATH_FORMAT = `Write all math in LaTeX between single dollar signs, like $v = u + at$. Never use a dollar sign for money.
+Escape every backslash inside the JSON strings: write \\\\frac, not \\frac.`;
+
+// LaTeX commands that start like a JSON escape (\b \f \n \r \t), so "\frac" written without
+// escaping would parse as a form feed and "rac". Any other letter run after one of those is text,
+// like the line break in "\nthe next step"
+const LATEX_ESCAPE_LIKE_COMMANDS = new Set([
+  'bar', 'beta', 'because', 'bf', 'big', 'bigcap', 'bigcup', 'bigl', 'bigr', 'binom', 'bmod', 'boldsymbol', 'bot', 'bullet',
+  'fbox', 'flat', 'forall', 'frac', 'frown',
+  'nabla', 'ne', 'neg', 'neq', 'newline', 'nexists', 'ngeq', 'ni', 'nleq', 'nmid', 'not', 'notin', 'nu',
+  'rangle', 'rbrace', 'rceil', 'rfloor', 'rho', 'right', 'rightarrow', 'rightleftharpoons', 'rm',
+  'tan', 'tanh', 'tau', 'text', 'textbf', 'textit', 'textrm', 'tfrac', 'therefore', 'theta', 'tilde', 'times', 'to',
+  'top', 'triangle', 'tt'
+]);
+
+// Parse the JSON array in a response. Unescaped LaTeX commands are repaired first: "\sqrt" is
+// invalid JSON, and "\frac" or "\times" would silently turn into a form feed or tab
+function parseJSONArray(response) {
+  const jsonMatch = response.match(/\[[\s\S]*\]/);
+  if (!jsonMatch) return null;
+
+  const repaired = jsonMatch[0].replace(/(?<!\\)((?:\\\\)*)\\([a-zA-Z]+)/g, (match, pairs, letters) => {
+    const jsonEscape = /^[bfnrt]/.test(letters) || /^u[0-9a-fA-F]{4}/.test(letters);
+    return jsonEscape && !LATEX_ESCAPE_LIKE_COMMANDS.has(letters) ? match : `${pairs}\\\\${letters}`;
+  });
+  return JSON.parse(repaired);
+}
+
 // Check if API is configured (checks server status)
 export async function checkAPIStatus() {
   try {
@@ -18,7 +54,8 @@ export async function checkAPIStatus() {
     return data;
   } catch (error) {
     console.error('Failed to check API status:', error);
-    API_CONFIG.configured = false;
+    // Unknown rather than false: the server may just be out of reach (see canReachAI)
+    API_CONFIG.configured = null;
     return { configured: false, model: 'unknown' };
   }
 }
@@ -28,35 +65,74 @@ export function isAPIConfigured() {
   return API_CONFIG.configured === true;
 }
 
-// Make API call to Claude via backend proxy
-async function callClaudeAPI(messages, systemPrompt) {
+// Whether explain, solve and ask should try the server: also when its status is unknown,
+// so that offline requests fail as offline (and get queued) instead of showing a fallback
+function canReachAI() {
+  return API_CONFIG.configured !== false;
+}
+
+// Error for a request that can't reach the server; callers can queue it for later (see aiQueue.js)
+function offlineError() {
+  const error = new Error('Network error: Could not reach the server. Check your internet connection.');
+  error.offline = true;
+  return error;
+}
+
+// POST to the backend proxy, turning network and HTTP failures into readable errors
+// regenerate asks the server to skip its response cache and get a fresh answer
+async function postToProxy(endpoint, messages, systemPrompt, { signal, regenerate } = {}) {
+  if (!navigator.onLine) throw offlineError();
+
   let response;
   try {
-    response = await fetch(API_CONFIG.endpoint, {
+    response = await fetch(endpoint, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
         messages: messages,
-        system: systemPrompt
-      })
+        system: systemPrompt,
+        regenerate: Boolean(regenerate)
+      }),
+      signal
     });
   } catch (networkError) {
-    throw new Error('Network error: Could not reach the server. Check your internet connection.');
+    if (networkError.name === 'AbortError') throw networkError;
+    throw offlineError();
+  }
+
+  if (response.status === 401) {
+    notifySessionExpired();
   }
 
   if (!response.ok) {
     let errorMessage = `API Error: ${response.status}`;
+    let quota = null;
     try {
       const errorData = await response.json();
       errorMessage = errorData.error?.message || errorMessage;
+      quota = errorData.error?.quota || null;
     } catch (e) {
       // Could not parse error response
     }
-    throw new Error(errorMessage);
+    const error = new Error(errorMessage);
+    // Rate limit or token budget details for a 429: { kind, scope, limit, remaining, resetAt, retryAfter }
+    if (response.status === 429 && quota) error.quota = quota;
+    throw error;
   }
 
+  return response;
+}
+
+// Make API call to Claude via backend proxy
+// Pass options.onText to stream the response; it is called with the text so far
+async function callClaudeAPI(messages, systemPrompt, options = {}) {
+  if (options.onText) {
+    return streamClaudeAPI(messages, systemPrompt, options);
+  }
+
+  const response = await postToProxy(API_CONFIG.endpoint, messages, systemPrompt, options);
   const data = await response.json();
   const text = data.content?.[0]?.text;
   if (!text) {
@@ -65,8 +141,56 @@ async function callClaudeAPI(messages, systemPrompt) {
   return text;
 }
 
+// Stream a response from Claude via the backend proxy's server-sent events
+// Aborting options.signal stops the request and rejects with an AbortError
+async function streamClaudeAPI(messages, systemPrompt, { onText, signal, regenerate } = {}) {
+  const response = await postToProxy(API_CONFIG.streamEndpoint, messages, systemPrompt, { signal, regenerate });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; keep any partial event for the next chunk
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const event of events) {
+      const dataLine = event.split('\n').find(line => line.startsWith('data:'));
+      if (!dataLine) continue;
+
+      let data;
+      try {
+        data = JSON.parse(dataLine.slice(5));
+      } catch (e) {
+        continue;
+      }
+
+      if (data.type === 'error') {
+        throw new Error(data.error?.message || 'The AI stream was interrupted. Please try again.');
+      }
+      if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+        text += data.delta.text;
+        onText(text);
+      }
+    }
+  }
+
+  if (!text) {
+    throw new Error('AI returned an empty response. Please try again.');
+  }
+  return text;
+}
+
 // Explain selected text
-export async function explainText(selectedText, context = '') {
+// options: { onText, signal } to stream the response and allow stopping it,
+// { regenerate: true } for a fresh answer instead of a cached one,
+// { onFallback } to hear when the answer is the offline fallback rather than the AI's
+export async function explainText(selectedText, context = '', options = {}) {
   const systemPrompt = `You are an expert secondary school tutor specializing in Mathematics and Science.
 You help students understand topics in:
 - Mathematics (algebra, geometry, trigonometry, calculus, statistics, number theory)
@@ -83,29 +207,35 @@ Always explain step by step using numbered steps:
 
 Use simple language appropriate for secondary school students (grades 7-12).
 Introduce technical terms with clear definitions.
-Keep responses under 200 words.`;
+Keep responses under 200 words.
+${MATH_FORMAT}`;
 
   const userMessage = context
     ? `Context: ${context}\n\nPlease explain: "${selectedText}"`
     : `Please explain this math or science concept: "${selectedText}"`;
 
   try {
-    if (isAPIConfigured()) {
+    if (canReachAI()) {
       return await callClaudeAPI(
         [{ role: 'user', content: userMessage }],
-        systemPrompt
+        systemPrompt,
+        options
       );
     } else {
+      options.onFallback?.();
       return getFallbackExplanation(selectedText);
     }
   } catch (error) {
+    // Stopped, over-quota and offline requests are handled by the caller, not replaced by a fallback
+    if (error.name === 'AbortError' || error.quota || error.offline) throw error;
     console.error('AI Explain Error:', error);
+    options.onFallback?.(error);
     return `**AI Error:** ${error.message}\n\nShowing offline explanation instead:\n\n${getFallbackExplanation(selectedText)}`;
   }
 }
 
 // Analyze or solve a problem/question step by step
-export async function solveProblem(problemText, context = '') {
+export async function solveProblem(problemText, context = '', options = {}) {
   const systemPrompt = `You are an expert secondary school tutor specializing in solving Mathematics and Science problems.
 You help students with:
 - Mathematical problems (algebra, equations, geometry, trigonometry, calculus, statistics)
@@ -120,23 +250,28 @@ Provide step-by-step solutions that:
 - Include units and proper notation
 - Verify the answer makes sense (check units, magnitude, direction)
 - Highlight common mistakes students should avoid
-Use numbered steps for clarity. Write formulas and equations clearly.`;
+Use numbered steps for clarity.
+${MATH_FORMAT}`;
 
   const userMessage = context
     ? `Context: ${context}\n\nPlease solve this step by step: "${problemText}"`
     : `Please solve this math or science problem step by step: "${problemText}"`;
 
   try {
-    if (isAPIConfigured()) {
+    if (canReachAI()) {
       return await callClaudeAPI(
         [{ role: 'user', content: userMessage }],
-        systemPrompt
+        systemPrompt,
+        options
       );
     } else {
+      options.onFallback?.();
       return getFallbackSolution(problemText);
     }
   } catch (error) {
+    if (error.name === 'AbortError' || error.quota || error.offline) throw error;
     console.error('AI Solve Error:', error);
+    options.onFallback?.(error);
     return `**AI Error:** ${error.message}\n\nShowing offline solution instead:\n\n${getFallbackSolution(problemText)}`;
   }
 }
@@ -147,6 +282,7 @@ export async function generateQuiz(content, numQuestions = 3) {
 Generate exactly ${numQuestions} questions based on the provided content.
 Focus on testing understanding of mathematical concepts, scientific principles, formulas, and problem-solving skills.
 Include numerical problems where appropriate.
+${JSON_MATH_FORMAT}
 Return ONLY a valid JSON array with this exact format:
 [{"q": "question text", "a": "answer text"}]
 No other text before or after the JSON.`;
@@ -158,11 +294,8 @@ No other text before or after the JSON.`;
         systemPrompt
       );
 
-      // Parse JSON response
-      const jsonMatch = response.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      const questions = parseJSONArray(response);
+      if (questions) return questions;
     }
     return getFallbackQuiz(content);
   } catch (error) {
@@ -171,12 +304,53 @@ No other text before or after the JSON.`;
   }
 }
 
+// Grade free-text quiz answers against the expected answers
+// questions: [{q, a}], answers: [string] in the same order
+// Returns [{correct, feedback}] in the same order
+export async function gradeQuizAnswers(questions, answers) {
+  const systemPrompt = `You are a fair secondary school teacher marking Mathematics and Science quiz answers.
+For each question, compare the student's answer with the expected answer.
+Mark an answer correct if it shows the same understanding, even when the wording, notation, rounding or units format differs.
+Mark blank or off-topic answers incorrect.
+Give one short sentence of feedback per answer that helps the student improve.
+${JSON_MATH_FORMAT}
+Return ONLY a valid JSON array with exactly ${questions.length} items, in the same order, with this exact format:
+[{"correct": true, "feedback": "short feedback"}]
+No other text before or after the JSON.`;
+
+  const markingSheet = questions.map((item, i) =>
+    `Question ${i + 1}: ${item.q}\nExpected answer: ${item.a}\nStudent answer: ${answers[i]?.trim() || '(no answer)'}`
+  ).join('\n\n');
+
+  try {
+    if (isAPIConfigured()) {
+      const response = await callClaudeAPI(
+        [{ role: 'user', content: `Mark these answers:\n\n${markingSheet}` }],
+        systemPrompt
+      );
+
+      const grades = parseJSONArray(response);
+      if (Array.isArray(grades) && grades.length === questions.length) {
+        return grades.map(grade => ({
+          correct: grade.correct === true,
+          feedback: grade.feedback || ''
+        }));
+      }
+    }
+    return getFallbackGrades(questions, answers);
+  } catch (error) {
+    console.error('AI Grading Error:', error);
+    return getFallbackGrades(questions, answers);
+  }
+}
+
 // Generate flashcards from selected text
 export async function generateFlashcards(text, numCards = 3) {
   const systemPrompt = `You are an expert secondary school teacher creating flashcards for Mathematics and Science study.
 Generate exactly ${numCards} flashcards based on the provided content.
 Focus on key formulas, definitions, scientific laws, and important concepts.
 Include units and proper notation where relevant.
+${JSON_MATH_FORMAT}
 Return ONLY a valid JSON array with this exact format:
 [{"front": "question or term", "back": "answer or definition"}]
 No other text before or after the JSON.`;
@@ -188,10 +362,8 @@ No other text before or after the JSON.`;
         systemPrompt
       );
 
-      const jsonMatch = response.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      const cards = parseJSONArray(response);
+      if (cards) return cards;
     }
     return getFallbackFlashcards(text);
   } catch (error) {
@@ -200,12 +372,49 @@ No other text before or after the JSON.`;
   }
 }
 
+// Answer a question about the whole book, grounded in retrieved passages
+// history: previous [{role, content}] turns, passages: [{label, text}] numbered from 1
+// options as for explainText
+export async function askBook(question, history, passages, bookTitle = 'this book', options = {}) {
+  const systemPrompt = `You are an expert secondary school tutor helping a student study the book "${bookTitle}".
+Answer the student's question using ONLY the numbered passages from the book that are provided with the question.
+Cite every passage you use with its number in square brackets, for example [1] or [2][3].
+If the passages do not contain the answer, say that the book does not seem to cover it and suggest what to look for.
+Explain step by step in simple language appropriate for grades 7-12, with formulas and units where relevant.
+Keep responses under 200 words.
+${MATH_FORMAT}`;
+
+  const context = passages
+    .map((passage, i) => `[${i + 1}] (${passage.label})\n${passage.text}`)
+    .join('\n\n');
+
+  // Only the latest turn carries passages; earlier turns keep the conversation context
+  const messages = [
+    ...history.slice(-6).map(turn => ({ role: turn.role, content: turn.content })),
+    { role: 'user', content: `Passages from the book:\n\n${context}\n\nQuestion: ${question}` }
+  ];
+
+  try {
+    if (canReachAI()) {
+      return await callClaudeAPI(messages, systemPrompt, options);
+    }
+    options.onFallback?.();
+    return getFallbackBookAnswer(passages);
+  } catch (error) {
+    if (error.name === 'AbortError' || error.quota || error.offline) throw error;
+    console.error('AI Ask Book Error:', error);
+    options.onFallback?.(error);
+    return `**AI Error:** ${error.message}\n\n${getFallbackBookAnswer(passages)}`;
+  }
+}
+
 // Summarize content
 export async function summarizeContent(content) {
   const systemPrompt = `You are an expert secondary school teacher summarizing Mathematics and Science content.
 Summarize the key points in 2-3 bullet points.
 Focus on the most important formulas, scientific principles, definitions, and concepts.
-Use proper notation and include units where applicable.`;
+Use proper notation and include units where applicable.
+${MATH_FORMAT}`;
 
   try {
     if (isAPIConfigured()) {
@@ -492,6 +701,58 @@ function getFallbackQuiz(content) {
   ];
 }
 
+function getFallbackBookAnswer(passages) {
+  if (passages.length === 0) {
+    return 'I could not find anything about that in this book. Try different key words from the topic.';
+  }
+
+  const excerpts = passages
+    .slice(0, 3)
+    .map((passage, i) => `${i + 1}. ${passage.text.slice(0, 200)}${passage.text.length > 200 ? '...' : ''} [${i + 1}]`)
+    .join('\n');
+
+  return `**AI is offline.** These passages from the book look most relevant to your question:
+
+${excerpts}
+
+Read them carefully and look for key definitions, formulas and examples.`;
+}
+
+// Offline grading: compares key words and numbers of the answer with the expected answer
+function getFallbackGrades(questions, answers) {
+  const tokenize = (text) => (text || '')
+    .toLowerCase()
+    .replace(/[^\w\s.²³⁰¹⁴⁵⁶⁷⁸⁹⁻⁺=+\-×/]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 2 || /\d/.test(word));
+
+  return questions.map((item, i) => {
+    const answer = answers[i]?.trim() || '';
+    if (!answer) {
+      return { correct: false, feedback: `No answer given. Expected: ${item.a}` };
+    }
+
+    const expected = new Set(tokenize(item.a));
+    const given = new Set(tokenize(answer));
+    if (expected.size === 0) {
+      return { correct: false, feedback: `Compare your answer with: ${item.a}` };
+    }
+
+    let matched = 0;
+    expected.forEach(word => {
+      if (given.has(word)) matched++;
+    });
+
+    const correct = matched / expected.size >= 0.5;
+    return {
+      correct,
+      feedback: correct
+        ? 'Your answer covers the key points.'
+        : `Your answer is missing key points. Expected: ${item.a}`
+    };
+  });
+}
+
 function getFallbackFlashcards(text) {
   const lowerText = text.toLowerCase();
 
@@ -0,0 +1,42 @@
+// AI history
+// Every explanation, solution and book answer is saved with the passage or question it answered,
+// so it can be read again, reopened where it was asked and turned into flashcards
+
+import { getAIHistory, saveAIHistoryEntry, deleteAIHistoryEntry } from './storage';
+
+const listeners = new Set();
+
+function notify() {
+  listeners.forEach(listener => listener());
+}
+
+// Subscribe to history changes; returns an unsubscribe function
+export function onAIHistoryChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Newest first
+export async function getAIAnswers() {
+  const entries = await getAIHistory();
+  return entries.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+// Save an answer: { mode, text, response, bookId, bookTitle, location }
+// Pass the id of an earlier entry to replace it (a regenerated answer)
+export async function saveAIAnswer(entry) {
+  try {
+    const saved = await saveAIHistoryEntry(entry);
+    notify();
+    return saved;
+  } catch (error) {
+    // The answer was still shown; losing its history entry shouldn't break anything
+    console.error('AI History Error:', error);
+    return null;
+  }
+}
+
+export async function removeAIAnswer(entryId) {
+  await deleteAIHistoryEntry(entryId);
+  notify();
+}
@@ -0,0 +1,98 @@
+// Offline AI queue
+// Explain, solve and ask-the-book requests made without a connection are saved on the device
+// and sent when it reconnects; answers wait in the queue until the student opens them
+
+import { getAIQueue, saveAIRequest, deleteAIRequest } from './storage';
+import { explainText, solveProblem, askBook, checkAPIStatus } from './ai';
+import { saveAIAnswer } from './aiHistory';
+
+const listeners = new Set();
+let replaying = null;
+
+function notify() {
+  listeners.forEach(listener => listener());
+}
+
+// Subscribe to queue changes; returns an unsubscribe function
+export function onAIQueueChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Oldest first
+export async function getQueuedRequests() {
+  const queue = await getAIQueue();
+  return queue.sort((a, b) => a.id - b.id);
+}
+
+// Save a request to send later
+// explain/solve: { mode, text, bookId, bookTitle, location }
+// ask: { mode: 'ask', question, history, passages, bookId, bookTitle }
+export async function queueAIRequest(request) {
+  const queued = {
+    ...request,
+    id: Date.now(),
+    status: 'pending',
+    createdAt: new Date().toISOString()
+  };
+  await saveAIRequest(queued);
+  notify();
+  return queued;
+}
+
+export async function removeQueuedRequest(requestId) {
+  await deleteAIRequest(requestId);
+  notify();
+}
+
+function sendRequest(request, options) {
+  if (request.mode === 'explain') return explainText(request.text, '', options);
+  if (request.mode === 'solve') return solveProblem(request.text, '', options);
+  return askBook(request.question, request.history || [], request.passages || [], request.bookTitle, options);
+}
+
+async function replay() {
+  // The status check failed while offline; ask again now that the server may be reachable
+  await checkAPIStatus();
+
+  for (const request of await getQueuedRequests()) {
+    if (request.status !== 'pending') continue;
+
+    try {
+      // A fallback answer is still shown, but flagged so it stays out of the history
+      let fallback = false;
+      const response = await sendRequest(request, { onFallback: () => { fallback = true; } });
+      await saveAIRequest({ ...request, status: 'answered', response, fallback, answeredAt: new Date().toISOString() });
+      notify();
+      if (fallback) continue;
+      await saveAIAnswer({
+        mode: request.mode,
+        text: request.mode === 'ask' ? request.question : request.text,
+        response,
+        bookId: request.bookId ?? null,
+        bookTitle: request.bookTitle,
+        location: request.location || null
+      });
+    } catch (error) {
+      // Still offline or out of quota: leave the rest for the next attempt
+      console.error('AI Queue Error:', error);
+      return;
+    }
+  }
+}
+
+// Send everything still pending; concurrent calls share the replay already running
+export function replayAIQueue() {
+  if (!navigator.onLine) return Promise.resolve();
+  if (!replaying) {
+    replaying = replay().finally(() => { replaying = null; });
+  }
+  return replaying;
+}
+
+// Replay now and whenever the device comes back online; returns a cleanup function
+export function startAIQueue() {
+  replayAIQueue();
+  window.addEventListener('online', replayAIQueue);
+  return () => window.removeEventListener('online', replayAIQueue);
+}
@@ -0,0 +1,73 @@
+// Account API for Kapul Reader
+// Sessions live in an HttpOnly cookie set by the server, so there is no token to store here
+
+const AUTH_ENDPOINT = '/api/auth';
+const ADMIN_ENDPOINT = '/api/admin';
+
+// Listeners told when the server rejects the session (e.g. it expired)
+const sessionListeners = new Set();
+
+async function postJSON(url, body) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  } catch (networkError) {
+    throw new Error('Network error: Could not reach the server. Check your internet connection.');
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error?.message || `Request failed: ${response.status}`);
+  }
+  return data;
+}
+
+// Get the logged-in user
+// Returns { user, allowSignup, offline }; user is null when logged out or the server can't be reached
+export async function getCurrentUser() {
+  try {
+    const response = await fetch(`${AUTH_ENDPOINT}/me`);
+    const data = await response.json().catch(() => ({}));
+    return {
+      user: response.ok ? data.user : null,
+      allowSignup: data.allowSignup !== false,
+      offline: false
+    };
+  } catch (error) {
+    return { user: null, allowSignup: false, offline: true };
+  }
+}
+
+export async function login(username, password) {
+  const data = await postJSON(`${AUTH_ENDPOINT}/login`, { username, password });
+  return data.user;
+}
+
+export async function signup(username, password, displayName) {
+  const data = await postJSON(`${AUTH_ENDPOINT}/signup`, { username, password, displayName });
+  return data.user;
+}
+
+export async function logout() {
+  await postJSON(`${AUTH_ENDPOINT}/logout`, {}).catch(() => {});
+}
+
+// Create student accounts from CSV text (admins only)
+// Returns { created: [{ username, displayName, password? }], skipped: [{ line, username, reason }] }
+export async function importStudents(csv) {
+  return postJSON(`${ADMIN_ENDPOINT}/users/import`, { csv });
+}
+
+// Subscribe to session expiry; returns an unsubscribe function
+export function onSessionExpired(listener) {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+}
+
+export function notifySessionExpired() {
+  sessionListeners.forEach(listener => listener());
+}
@@ -0,0 +1,268 @@
+// Library backup: export everything to one zip archive, and restore or merge it again
+// Archive layout:
+//   manifest.json             format, version, export date, counts and the book files
+//   data/<name>.json          books, highlights, flashcards, notes, aiHistory, progress and quizScores records
+//   files/<sha256>.<format>   original PDF/EPUB bytes, named by content hash
+
+import JSZip from 'jszip';
+import {
+  getBooks,
+  getFileData,
+  saveFileData,
+  getHighlights,
+  getFlashcards,
+  getNotes,
+  getAIHistory,
+  getAllProgress,
+  getQuizScores,
+  saveQuizScores,
+  importRecords,
+  deleteLibrary
+} from './storage';
+
+const BACKUP_FORMAT = 'kapul-library';
+const BACKUP_VERSION = 1;
+
+// Fields that only describe this device (the search index isn't in the archive)
+const DEVICE_FIELDS = ['textIndexed', 'updatedAt'];
+
+// SHA-256 of a file, as hex; identical files have the same hash whatever the book is called
+export async function hashContent(data) {
+  if (!crypto.subtle) {
+    throw new Error('Backups need a secure (HTTPS) connection to this app.');
+  }
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function getBackupFileName(date = new Date()) {
+  return `kapul-library-${date.toISOString().slice(0, 10)}.zip`;
+}
+
+// Build the archive; onProgress is called with a status message
+export async function exportLibrary(onProgress = () => {}) {
+  const zip = new JSZip();
+  const books = await getBooks();
+  const files = [];
+
+  for (const book of books) {
+    onProgress(`Adding "${book.title}"...`);
+    const data = await getFileData(book.id);
+    if (!data) continue;
+
+    const hash = await hashContent(data);
+    const path = `files/${hash}.${book.format || 'bin'}`;
+    // PDFs and EPUBs are already compressed
+    zip.file(path, data, { compression: 'STORE' });
+    files.push({ bookId: book.id, hash, path, size: data.byteLength });
+  }
+
+  const data = {
+    books,
+    highlights: await getHighlights(),
+    flashcards: await getFlashcards(),
+    notes: await getNotes(),
+    aiHistory: await getAIHistory(),
+    progress: await getAllProgress(),
+    quizScores: getQuizScores()
+  };
+  for (const [name, records] of Object.entries(data)) {
+    zip.file(`data/${name}.json`, JSON.stringify(records));
+  }
+
+  const counts = Object.fromEntries(Object.entries(data).map(([name, records]) => [name, records.length]));
+  zip.file('manifest.json', JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    counts,
+    files
+  }, null, 2));
+
+  onProgress('Compressing...');
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+async function readJSON(zip, path, fallback) {
+  const entry = zip.file(path);
+  if (!entry) return fallback;
+  try {
+    return JSON.parse(await entry.async('string'));
+  } catch (error) {
+    throw new Error(`This backup is damaged (${path} could not be read).`);
+  }
+}
+
+function withoutDeviceFields(record) {
+  const copy = { ...record };
+  DEVICE_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+// Hands out ids that aren't taken yet, keeping the archived id when it is free
+function createIdAllocator(records) {
+  const used = new Set(records.map(record => record.id));
+  return (preferred) => {
+    let id = preferred;
+    if (id === undefined || used.has(id)) {
+      id = Date.now();
+      while (used.has(id)) id++;
+    }
+    used.add(id);
+    return id;
+  };
+}
+
+// Restore an archive. mode 'merge' adds what this library doesn't have yet (books are matched
+// by file content, other records by their text); 'replace' deletes the library first.
+// Returns counts of what was added and skipped as a duplicate.
+export async function importLibrary(file, { mode = 'merge', onProgress = () => {} } = {}) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch (error) {
+    throw new Error('This file is not a Kapul Reader backup.');
+  }
+
+  const manifest = await readJSON(zip, 'manifest.json', null);
+  if (manifest?.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a Kapul Reader backup.');
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of Kapul Reader. Please update the app first.');
+  }
+
+  const archived = {
+    books: await readJSON(zip, 'data/books.json', []),
+    highlights: await readJSON(zip, 'data/highlights.json', []),
+    flashcards: await readJSON(zip, 'data/flashcards.json', []),
+    notes: await readJSON(zip, 'data/notes.json', []),
+    aiHistory: await readJSON(zip, 'data/aiHistory.json', []),
+    progress: await readJSON(zip, 'data/progress.json', []),
+    quizScores: await readJSON(zip, 'data/quizScores.json', [])
+  };
+  const summary = {
+    books: { added: 0, duplicates: 0 },
+    highlights: { added: 0, duplicates: 0 },
+    flashcards: { added: 0, duplicates: 0 },
+    notes: { added: 0, duplicates: 0 },
+    aiHistory: { added: 0, duplicates: 0 },
+    quizScores: { added: 0, duplicates: 0 }
+  };
+
+  if (mode === 'replace') {
+    onProgress('Removing the current library...');
+    await deleteLibrary();
+    saveQuizScores([]);
+  }
+
+  // Books: a file already in the library is a duplicate, whatever the book is called
+  const localBooks = await getBooks();
+  const bookIdFor = new Map();
+  const bookByHash = new Map();
+  for (const book of localBooks) {
+    const data = await getFileData(book.id);
+    if (data) bookByHash.set(await hashContent(data), book.id);
+  }
+  const allocateBookId = createIdAllocator(localBooks);
+  const filesByBook = new Map((manifest.files || []).map(entry => [entry.bookId, entry]));
+  const newBooks = [];
+
+  for (const book of archived.books) {
+    onProgress(`Restoring "${book.title}"...`);
+    const entry = filesByBook.get(book.id);
+    const fileEntry = entry && zip.file(entry.path);
+
+    if (fileEntry && bookByHash.has(entry.hash)) {
+      bookIdFor.set(book.id, bookByHash.get(entry.hash));
+      summary.books.duplicates++;
+      continue;
+    }
+
+    // Without a file, the same title and author counts as the same book
+    const sameBook = !fileEntry && localBooks.find(local => local.title === book.title && local.author === book.author);
+    if (sameBook) {
+      bookIdFor.set(book.id, sameBook.id);
+      summary.books.duplicates++;
+      continue;
+    }
+
+    const id = allocateBookId(book.id);
+    if (fileEntry) {
+      const data = await fileEntry.async('arraybuffer');
+      if (await hashContent(data) !== entry.hash) {
+        throw new Error(`This backup is damaged ("${book.title}" does not match its checksum).`);
+      }
+      await saveFileData(id, data);
+      bookByHash.set(entry.hash, id);
+    }
+    bookIdFor.set(book.id, id);
+    newBooks.push({ ...withoutDeviceFields(book), id });
+  }
+  await importRecords('books', newBooks);
+  summary.books.added = newBooks.length;
+
+  const mapBookId = bookId => bookIdFor.get(bookId) ?? bookId;
+
+  // Highlights, flashcards, notes and AI answers: the same text on the same book is a duplicate
+  // Returns the library id each archived record ended up as
+  const mergeRecords = async (storeName, localRecords, records, getKey, mapRecord = record => record) => {
+    onProgress(`Restoring ${storeName}...`);
+    const seen = new Map(localRecords.map(record => [getKey(record), record.id]));
+    const allocateId = createIdAllocator(localRecords);
+    const idFor = new Map();
+    const added = [];
+
+    for (const record of records) {
+      const mapped = mapRecord({ ...withoutDeviceFields(record), bookId: mapBookId(record.bookId) });
+      const key = getKey(mapped);
+      if (seen.has(key)) {
+        idFor.set(record.id, seen.get(key));
+        summary[storeName].duplicates++;
+        continue;
+      }
+      const id = allocateId(record.id);
+      seen.set(key, id);
+      idFor.set(record.id, id);
+      added.push({ ...mapped, id });
+    }
+
+    await importRecords(storeName, added);
+    summary[storeName].added = added.length;
+    return idFor;
+  };
+
+  const highlightIdFor = await mergeRecords('highlights', await getHighlights(), archived.highlights,
+    h => `${h.bookId}|${h.text}|${JSON.stringify(h.location ?? null)}`);
+  await mergeRecords('flashcards', await getFlashcards(), archived.flashcards,
+    c => `${c.bookId}|${c.front}|${c.back}`);
+  await mergeRecords('notes', await getNotes(), archived.notes,
+    n => `${n.bookId}|${n.highlightId ?? ''}|${n.text}|${JSON.stringify(n.location ?? null)}`,
+    n => (n.highlightId ? { ...n, highlightId: highlightIdFor.get(n.highlightId) ?? n.highlightId } : n));
+  await mergeRecords('aiHistory', await getAIHistory(), archived.aiHistory,
+    e => `${e.mode}|${e.text}|${e.bookId}`);
+
+  // Reading progress: keep whichever was read more recently
+  const localProgress = new Map((await getAllProgress()).map(p => [p.bookId, p]));
+  const newProgress = archived.progress
+    .map(p => ({ ...withoutDeviceFields(p), bookId: mapBookId(p.bookId) }))
+    .filter(p => !localProgress.has(p.bookId) || (p.lastRead || '') > (localProgress.get(p.bookId).lastRead || ''));
+  await importRecords('progress', newProgress);
+
+  // Quiz scores: an attempt is identified by when it was taken
+  const scores = getQuizScores();
+  const taken = new Set(scores.map(score => `${score.date}|${score.bookId}`));
+  for (const score of archived.quizScores) {
+    const mapped = { ...score, bookId: mapBookId(score.bookId) };
+    if (taken.has(`${mapped.date}|${mapped.bookId}`)) {
+      summary.quizScores.duplicates++;
+      continue;
+    }
+    taken.add(`${mapped.date}|${mapped.bookId}`);
+    scores.push(mapped);
+    summary.quizScores.added++;
+  }
+  saveQuizScores(scores.sort((a, b) => (a.date || '').localeCompare(b.date || '')));
+
+  return summary;
+}
@@ -2,10 +2,10 @@
 // Uses PDF.js and EPUB.js for rendering
 
 import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
 
-// Configure PDF.js worker - use CDN with matching version
-const PDFJS_VERSION = pdfjsLib.version;
-pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${PDFJS_VERSION}/pdf.worker.min.mjs`;
+// Configure PDF.js worker - bundled with the app so PDFs open offline
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
 
 // Parse PDF file
 export async function parsePDF(file) {
@@ -51,54 +51,328 @@ export async function parsePDF(file) {
   });
 }
 
-// Render PDF page to canvas and return text content with positions
-export async function renderPDFPage(arrayBuffer, pageNumber, canvas, scale = 1.5) {
+// PDF document session
+// The open book's PDF is parsed once and its PDFDocumentProxy reused for every page render and
+// text lookup. Opening a different book closes the session and frees the old document.
+// Neighbouring pages can be pre-rendered off screen so turning to them only copies pixels.
+
+// Pre-rendered pages kept per session (each is a full canvas, so keep this small)
+const PRERENDER_LIMIT = 4;
+
+let pdfSession = null;
+
+function openPDFSession(arrayBuffer) {
+  if (pdfSession?.data === arrayBuffer) return pdfSession;
+  closePDFDocument();
+
+  // Clone buffer to avoid detachment issues
+  const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer.slice(0) });
+  pdfSession = {
+    data: arrayBuffer,
+    loadingTask,
+    document: loadingTask.promise,
+    renderTasks: new Map(),   // canvas -> RenderTask in flight
+    prerendered: new Map(),   // "page@scale" -> { canvas, viewport, textContent }, oldest first
+    ocrText: new Map(),       // page -> text content recognised on a scanned page
+    prefetchGeneration: 0
+  };
+  return pdfSession;
+}
+
+// The PDFDocumentProxy for a book's data, opened on first use
+export function openPDFDocument(arrayBuffer) {
+  return openPDFSession(arrayBuffer).document;
+}
+
+// Destroy the open document, cancelling its renders and dropping pre-rendered pages
+export function closePDFDocument() {
+  if (!pdfSession) return;
+  const session = pdfSession;
+  pdfSession = null;
+
+  session.prefetchGeneration++;
+  session.renderTasks.forEach(task => task.cancel());
+  session.renderTasks.clear();
+  session.prerendered.forEach(({ canvas }) => {
+    canvas.width = 0;
+    canvas.height = 0;
+  });
+  session.prerendered.clear();
+  session.loadingTask.destroy();
+}
+
+// Stop drawing into a canvas, e.g. when its page is turned away or scrolled out of range
+export function cancelPDFRender(canvas) {
+  const task = pdfSession?.renderTasks.get(canvas);
+  if (task) {
+    task.cancel();
+    pdfSession.renderTasks.delete(canvas);
+  }
+}
+
+export function isRenderCancelled(error) {
+  return error?.name === 'RenderingCancelledException';
+}
+
+// Paint a page into a canvas, tracking the render so it can be cancelled
+async function paintPage(session, page, canvas, viewport) {
+  canvas.width = viewport.width;
+  canvas.height = viewport.height;
+
+  const context = canvas.getContext('2d');
+
+  // Fill with white background first
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  // A newer render into the same canvas replaces the stale one
+  session.renderTasks.get(canvas)?.cancel();
+  const renderTask = page.render({
+    canvasContext: context,
+    viewport: viewport,
+    background: 'white'
+  });
+  session.renderTasks.set(canvas, renderTask);
   try {
-    // Clone buffer to avoid detachment issues
-    const bufferCopy = arrayBuffer.slice(0);
-    const pdf = await pdfjsLib.getDocument({ data: bufferCopy }).promise;
-    const page = await pdf.getPage(pageNumber);
+    await renderTask.promise;
+  } finally {
+    if (session.renderTasks.get(canvas) === renderTask) session.renderTasks.delete(canvas);
+  }
+}
 
-    const viewport = page.getViewport({ scale });
-    canvas.width = viewport.width;
-    canvas.height = viewport.height;
+// Link annotations on a page, positioned in viewport pixels.
+// Internal links carry a destination for resolvePDFDestination, external ones a url
+async function getPageLinks(page, viewport) {
+  const annotations = await page.getAnnotations({ intent: 'display' });
+  return annotations
+    .filter(annotation => annotation.subtype === 'Link' && (annotation.url || annotation.dest))
+    .map(annotation => {
+      const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annotation.rect);
+      return {
+        url: annotation.url || null,
+        dest: annotation.url ? null : annotation.dest,
+        left: Math.min(x1, x2),
+        top: Math.min(y1, y2),
+        width: Math.abs(x2 - x1),
+        height: Math.abs(y2 - y1)
+      };
+    });
+}
 
-    const context = canvas.getContext('2d');
+async function drawPage(session, pageNumber, canvas, scale) {
+  const pdf = await session.document;
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale });
 
-    // Fill with white background first
-    context.fillStyle = 'white';
-    context.fillRect(0, 0, canvas.width, canvas.height);
+  await paintPage(session, page, canvas, viewport);
 
-    await page.render({
-      canvasContext: context,
-      viewport: viewport,
-      background: 'white'
-    }).promise;
+  // Return raw textContent and viewport for the built-in TextLayer
+  const [textContent, links] = await Promise.all([page.getTextContent(), getPageLinks(page, viewport)]);
+  const ocrText = session.ocrText.get(pageNumber);
+  const needsOCR = !ocrText && await isScannedPage(page, textContent);
 
-    // Return raw textContent and viewport for the built-in TextLayer
-    const textContent = await page.getTextContent();
+  return { viewport, textContent: ocrText || textContent, links, needsOCR, numPages: pdf.numPages };
+}
 
-    return {
-      width: viewport.width,
-      height: viewport.height,
-      numPages: pdf.numPages,
-      textContent,
-      viewport
-    };
+// Scanned pages
+// A page with no text but at least one image is taken to be a scan. Text recognised on it
+// (see ocr.js) is kept in the session as pdf.js text content, so the text layer, search marks,
+// read-aloud and page text use it just like text from the PDF.
+
+// Scans are drawn at about 216 dpi for recognition
+const OCR_SCALE = 3;
+
+const IMAGE_OPS = new Set([
+  pdfjsLib.OPS.paintImageXObject,
+  pdfjsLib.OPS.paintImageXObjectRepeat,
+  pdfjsLib.OPS.paintInlineImageXObject,
+  pdfjsLib.OPS.paintImageMaskXObject
+]);
+
+async function isScannedPage(page, textContent) {
+  if (textContent.items.some(item => item.str?.trim())) return false;
+  const { fnArray } = await page.getOperatorList();
+  return fnArray.some(fn => IMAGE_OPS.has(fn));
+}
+
+async function drawOCRImage(page) {
+  const viewport = page.getViewport({ scale: OCR_SCALE });
+  const canvas = document.createElement('canvas');
+  canvas.width = viewport.width;
+  canvas.height = viewport.height;
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: context, viewport, background: 'white' }).promise;
+
+  return { canvas, scale: OCR_SCALE };
+}
+
+// Recognised lines of words, boxed in page units with the origin top left, as pdf.js text
+// content. Each word is one item sized to its box; all but the last in a line carry the space after them
+function ocrTextContent(page, lines) {
+  const viewport = page.getViewport({ scale: 1 });
+  const items = [];
+
+  for (const line of lines) {
+    const fontHeight = Math.max(...line.words.map(word => word.height));
+    line.words.forEach((word, i) => {
+      const last = i === line.words.length - 1;
+      // Baseline at the foot of the box; the text layer puts the top an ascent above it
+      const [x, y] = viewport.convertToPdfPoint(word.left, word.top + word.height);
+      const [ax, ay] = viewport.convertToPdfPoint(word.left + 1, word.top + word.height);
+      const [ux, uy] = viewport.convertToPdfPoint(word.left, word.top + word.height - 1);
+      const next = line.words[i + 1];
+      items.push({
+        str: last ? word.text : `${word.text} `,
+        dir: 'ltr',
+        width: last ? word.width : Math.max(word.width, next.left - word.left),
+        height: fontHeight,
+        transform: [(ax - x) * fontHeight, (ay - y) * fontHeight, (ux - x) * fontHeight, (uy - y) * fontHeight, x, y],
+        fontName: 'ocr',
+        hasEOL: last
+      });
+    });
+  }
+
+  return { items, styles: { ocr: { fontFamily: 'sans-serif', ascent: 0.8, descent: -0.2, vertical: false } } };
+}
+
+// Draw a scanned page of the open book for recognition; resolves to { canvas, scale }
+export async function renderPDFPageForOCR(arrayBuffer, pageNumber) {
+  const pdf = await openPDFDocument(arrayBuffer);
+  return drawOCRImage(await pdf.getPage(pageNumber));
+}
+
+// Use text recognised on a scanned page of the open book; resolves to its text content
+export async function setPDFPageOCR(arrayBuffer, pageNumber, lines) {
+  const session = openPDFSession(arrayBuffer);
+  const page = await (await session.document).getPage(pageNumber);
+  const textContent = ocrTextContent(page, lines);
+  session.ocrText.set(pageNumber, textContent);
+  return textContent;
+}
+
+async function getPageTextContent(session, pageNumber) {
+  const ocrText = session.ocrText.get(pageNumber);
+  if (ocrText) return ocrText;
+  const page = await (await session.document).getPage(pageNumber);
+  return page.getTextContent();
+}
+
+// Render PDF page to canvas and return text content with positions
+export async function renderPDFPage(arrayBuffer, pageNumber, canvas, scale = 1.5) {
+  const session = openPDFSession(arrayBuffer);
+
+  try {
+    const prerendered = session.prerendered.get(`${pageNumber}@${scale}`);
+    if (prerendered) {
+      const pdf = await session.document;
+      const { viewport, links } = prerendered;
+      // Text may have been recognised since the page was pre-rendered
+      const ocrText = session.ocrText.get(pageNumber);
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      canvas.getContext('2d').drawImage(prerendered.canvas, 0, 0);
+      return {
+        width: viewport.width,
+        height: viewport.height,
+        numPages: pdf.numPages,
+        textContent: ocrText || prerendered.textContent,
+        links,
+        needsOCR: prerendered.needsOCR && !ocrText,
+        viewport
+      };
+    }
+
+    const { viewport, textContent, links, needsOCR, numPages } = await drawPage(session, pageNumber, canvas, scale);
+    return { width: viewport.width, height: viewport.height, numPages, textContent, links, needsOCR, viewport };
   } catch (error) {
-    console.error('PDF render error:', error);
+    if (!isRenderCancelled(error)) console.error('PDF render error:', error);
     throw error;
   }
 }
 
+// Pre-render pages the reader is likely to turn to next, one at a time.
+// A newer call replaces the pages still waiting from an older one
+export async function prerenderPDFPages(arrayBuffer, pageNumbers, scale) {
+  const session = openPDFSession(arrayBuffer);
+  const generation = ++session.prefetchGeneration;
+
+  try {
+    const pdf = await session.document;
+    for (const pageNumber of pageNumbers) {
+      if (session.prefetchGeneration !== generation) return;
+      if (pageNumber < 1 || pageNumber > pdf.numPages) continue;
+
+      const key = `${pageNumber}@${scale}`;
+      if (session.prerendered.has(key)) {
+        // Keep recently wanted pages at the back of the eviction order
+        const entry = session.prerendered.get(key);
+        session.prerendered.delete(key);
+        session.prerendered.set(key, entry);
+        continue;
+      }
+
+      const canvas = document.createElement('canvas');
+      const { viewport, textContent, links, needsOCR } = await drawPage(session, pageNumber, canvas, scale);
+      if (pdfSession !== session) return;
+      session.prerendered.set(key, { canvas, viewport, textContent, links, needsOCR });
+
+      while (session.prerendered.size > PRERENDER_LIMIT) {
+        const [oldestKey, oldest] = session.prerendered.entries().next().value;
+        oldest.canvas.width = 0;
+        oldest.canvas.height = 0;
+        session.prerendered.delete(oldestKey);
+      }
+    }
+  } catch (error) {
+    // Only a head start; the page renders normally when it's shown
+    if (!isRenderCancelled(error)) console.error('PDF prerender error:', error);
+  }
+}
+
+// Render a small preview of a page, scaled to the given width
+export async function renderPDFThumbnail(arrayBuffer, pageNumber, canvas, width) {
+  const session = openPDFSession(arrayBuffer);
+  const pdf = await session.document;
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+  await paintPage(session, page, canvas, viewport);
+}
+
+// Page number (1-based) a link or outline destination points to, or null if it can't be resolved.
+// Destinations are either named (looked up in the document) or explicit arrays starting with a page reference
+export async function resolvePDFDestination(arrayBuffer, dest) {
+  const pdf = await openPDFDocument(arrayBuffer);
+  const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+  if (!Array.isArray(explicit)) return null;
+
+  const [target] = explicit;
+  const pageIndex = Number.isInteger(target) ? target : await pdf.getPageIndex(target);
+  return pageIndex + 1;
+}
+
+// The document outline (bookmarks) as a tree of { title, pageNumber, url, items }
+export async function getPDFOutline(arrayBuffer) {
+  const pdf = await openPDFDocument(arrayBuffer);
+  const outline = await pdf.getOutline();
+
+  const resolveItems = (items = []) => Promise.all(items.map(async item => ({
+    title: item.title,
+    pageNumber: item.dest ? await resolvePDFDestination(arrayBuffer, item.dest).catch(() => null) : null,
+    url: item.url || null,
+    items: await resolveItems(item.items)
+  })));
+
+  return outline ? resolveItems(outline) : [];
+}
+
 // Get PDF text content for a specific page
 export async function getPDFPageText(arrayBuffer, pageNumber) {
   try {
-    // Clone buffer to avoid detachment issues
-    const bufferCopy = arrayBuffer.slice(0);
-    const pdf = await pdfjsLib.getDocument({ data: bufferCopy }).promise;
-    const page = await pdf.getPage(pageNumber);
-    const textContent = await page.getTextContent();
+    const textContent = await getPageTextContent(openPDFSession(arrayBuffer), pageNumber);
 
     return textContent.items.map(item => item.str).join(' ');
   } catch (error) {
@@ -107,6 +381,59 @@ export async function getPDFPageText(arrayBuffer, pageNumber) {
   }
 }
 
+// Get PDF text content for a range of pages (inclusive)
+export async function getPDFPagesText(arrayBuffer, startPage, endPage) {
+  try {
+    const session = openPDFSession(arrayBuffer);
+    const pdf = await session.document;
+    const first = Math.max(1, startPage);
+    const last = Math.min(pdf.numPages, endPage);
+
+    const pages = [];
+    for (let i = first; i <= last; i++) {
+      const textContent = await getPageTextContent(session, i);
+      pages.push(textContent.items.map(item => item.str).join(' '));
+    }
+
+    return pages.join('\n\n').trim();
+  } catch (error) {
+    console.error('PDF text extraction error:', error);
+    return '';
+  }
+}
+
+// Extract the text of every PDF page for the search index.
+// recognize(pageNumber, drawImage) reads scanned pages: it resolves to their lines of words,
+// calling drawImage() for a { canvas, scale } of the page if it has to run OCR
+export async function extractPDFText(arrayBuffer, onProgress = null, recognize = null) {
+  // Clone buffer to avoid detachment issues
+  const bufferCopy = arrayBuffer.slice(0);
+  const pdf = await pdfjsLib.getDocument({ data: bufferCopy }).promise;
+  const sections = [];
+
+  try {
+    for (let i = 1; i <= pdf.numPages; i++) {
+      const page = await pdf.getPage(i);
+      let textContent = await page.getTextContent();
+      if (recognize && await isScannedPage(page, textContent)) {
+        textContent = ocrTextContent(page, await recognize(i, () => drawOCRImage(page)));
+      }
+      sections.push({
+        index: i - 1,
+        page: i,
+        text: textContent.items.map(item => item.str).join(' ').replace(/\s+/g, ' ').trim()
+      });
+      page.cleanup();
+
+      if (onProgress) onProgress(i, pdf.numPages);
+    }
+  } finally {
+    pdf.destroy();
+  }
+
+  return sections;
+}
+
 // Extract cover image from PDF first page
 export async function extractPDFCover(arrayBuffer) {
   try {
@@ -275,8 +602,149 @@ export async function extractEPUBCover(arrayBuffer) {
   }
 }
 
+// Get EPUB table of contents
+export async function getEPUBToc(arrayBuffer) {
+  const ePub = (await import('epubjs')).default;
+
+  try {
+    // Clone buffer to avoid detachment issues
+    const book = ePub(arrayBuffer.slice(0));
+    await book.ready;
+
+    const navigation = await book.loaded.navigation;
+    const toc = navigation.toc.map(item => ({
+      label: item.label.trim(),
+      href: item.href
+    }));
+
+    book.destroy();
+    return toc;
+  } catch (error) {
+    console.error('EPUB TOC error:', error);
+    return [];
+  }
+}
+
+// Find the table-of-contents chapter of each CFI
+// Returns a Map of cfi → { label, index }, where index is the spine position for sorting
+export async function getEPUBChapters(arrayBuffer, cfis) {
+  const ePub = (await import('epubjs')).default;
+  const chapters = new Map();
+
+  try {
+    // Clone buffer to avoid detachment issues
+    const book = ePub(arrayBuffer.slice(0));
+    await book.ready;
+
+    // Spine position of each contents entry, nested entries included
+    const navigation = await book.loaded.navigation;
+    const labels = new Map();
+    const addEntries = (items) => items.forEach(item => {
+      const section = book.spine.get(item.href);
+      if (section && !labels.has(section.index)) labels.set(section.index, item.label.trim());
+      if (item.subitems?.length) addEntries(item.subitems);
+    });
+    addEntries(navigation.toc);
+
+    for (const cfi of cfis) {
+      const section = book.spine.get(cfi);
+      if (!section) continue;
+
+      // Files without their own entry belong to the chapter before them
+      let index = section.index;
+      while (index > 0 && !labels.has(index)) index--;
+      chapters.set(cfi, {
+        label: labels.get(index) || `Section ${section.index + 1}`,
+        index: section.index
+      });
+    }
+
+    book.destroy();
+  } catch (error) {
+    console.error('EPUB chapters error:', error);
+  }
+  return chapters;
+}
+
+// Get plain text of the EPUB spine section containing href (or a CFI)
+export async function getEPUBSectionText(arrayBuffer, href) {
+  const ePub = (await import('epubjs')).default;
+
+  try {
+    // Clone buffer to avoid detachment issues
+    const book = ePub(arrayBuffer.slice(0));
+    await book.ready;
+
+    const section = book.spine.get(href);
+    if (!section) {
+      book.destroy();
+      return '';
+    }
+
+    const doc = await section.load(book.load.bind(book));
+    const text = doc.body?.textContent || doc.documentElement?.textContent || '';
+
+    section.unload();
+    book.destroy();
+    return text.replace(/\s+/g, ' ').trim();
+  } catch (error) {
+    console.error('EPUB text extraction error:', error);
+    return '';
+  }
+}
+
+// Extract the text of every EPUB spine item for the search index
+export async function extractEPUBText(arrayBuffer, onProgress = null) {
+  const ePub = (await import('epubjs')).default;
+
+  // Clone buffer to avoid detachment issues
+  const book = ePub(arrayBuffer.slice(0));
+  const sections = [];
+
+  try {
+    await book.ready;
+
+    // Label each spine item with its chapter title where the TOC has one
+    const navigation = await book.loaded.navigation;
+    const labels = {};
+    const collectLabels = (items) => {
+      for (const item of items) {
+        const href = item.href.split('#')[0];
+        if (!labels[href]) labels[href] = item.label.trim();
+        if (item.subitems?.length) collectLabels(item.subitems);
+      }
+    };
+    collectLabels(navigation.toc);
+
+    const items = book.spine.spineItems;
+    for (let i = 0; i < items.length; i++) {
+      const section = items[i];
+      try {
+        const doc = await section.load(book.load.bind(book));
+        const text = doc.body?.textContent || doc.documentElement?.textContent || '';
+        sections.push({
+          index: i,
+          href: section.href,
+          label: labels[section.href] || null,
+          text: text.replace(/\s+/g, ' ').trim()
+        });
+        section.unload();
+      } catch (e) {
+        console.warn(`Could not extract text from ${section.href}`);
+      }
+
+      if (onProgress) onProgress(i + 1, items.length);
+    }
+  } finally {
+    book.destroy();
+  }
+
+  return sections;
+}
+
 // Create EPUB renderer
-export async function createEPUBReader(arrayBuffer, containerElement, startLocation = null) {
+// options.flow is 'paginated' or 'scrolled' (one chapter at a time); options.styles is CSS for every chapter
+export async function createEPUBReader(arrayBuffer, containerElement, startLocation = null, options = {}) {
   const ePub = (await import('epubjs')).default;
 
   try {
@@ -285,8 +753,11 @@ export async function createEPUBReader(arrayBuffer, containerElement, startLocat
       width: '100%',
       height: '100%',
       spread: 'none',
-      flow: 'paginated'
+      flow: options.flow === 'scrolled' ? 'scrolled-doc' : 'paginated'
     });
+    if (options.styles) {
+      rendition.themes.registerCss('default', options.styles);
+    }
 
     // Wait for book to be ready
     await book.ready;
@@ -345,21 +816,22 @@ export function calculateProgress(currentPage, totalPages) {
   return Math.round((currentPage / totalPages) * 100);
 }
 
+// Common English words ignored by keyword extraction and search ranking
+export const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+  'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been',
+  'be', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would',
+  'could', 'should', 'may', 'might', 'must', 'shall', 'can', 'need',
+  'this', 'that', 'these', 'those', 'it', 'its', 'they', 'them', 'their'
+]);
+
 // Extract keywords from text for quiz generation
 export function extractKeywords(text) {
   // Simple keyword extraction - removes common words
-  const stopWords = new Set([
-    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-    'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been',
-    'be', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would',
-    'could', 'should', 'may', 'might', 'must', 'shall', 'can', 'need',
-    'this', 'that', 'these', 'those', 'it', 'its', 'they', 'them', 'their'
-  ]);
-
   const words = text.toLowerCase()
     .replace(/[^\w\s]/g, '')
     .split(/\s+/)
-    .filter(word => word.length > 3 && !stopWords.has(word));
+    .filter(word => word.length > 3 && !STOP_WORDS.has(word));
 
   // Count word frequency
   const frequency = {};
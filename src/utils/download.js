@@ -0,0 +1,17 @@
+// File downloads
+// Saves a Blob made in the browser (exports, backups, account lists) through a temporary link
+
+// Firefox and Safari read the file after click() returns, so the URL has to outlive it
+const REVOKE_DELAY = 60 * 1000;
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  // Firefox only follows links that are in the document
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+}
@@ -0,0 +1,400 @@
+// Flashcard export and import
+// - Anki packages (.apkg): a zip holding an Anki SQLite collection, one deck per book,
+//   with tags for the source book and page; review progress carries over
+// - CSV for spreadsheets, and Anki-style TSV that Anki's File → Import understands
+// - Import of Anki-style TSV (or CSV) text back into the flashcards store
+
+import JSZip from 'jszip';
+import sqlWasmUrl from 'sql.js/dist/sql-wasm-browser.wasm?url';
+import { getInitialSchedule } from './spacedRepetition';
+import { getFlashcards, importRecords } from './storage';
+
+const DECK_ROOT = 'Kapul Reader';
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Fixed ids so that importing a newer export updates the same note type and decks in Anki
+const MODEL_ID = 1700000000001;
+const LOOSE_CARDS_DECK_ID = 1700000000002;
+
+// sql.js (SQLite compiled to WebAssembly) is large, so load it only when exporting
+let sqlPromise = null;
+function loadSQL() {
+  if (!sqlPromise) {
+    sqlPromise = import('sql.js').then(({ default: initSqlJs }) => initSqlJs({ locateFile: () => sqlWasmUrl }));
+  }
+  return sqlPromise;
+}
+
+function escapeHTML(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\n/g, '<br>');
+}
+
+// Anki tags can't contain spaces
+function toTag(text) {
+  return String(text).trim().replace(/\s+/g, '_');
+}
+
+function getCardTags(card, book) {
+  const tags = [];
+  if (book) tags.push(`book::${toTag(book.title)}`);
+  if (card.page) tags.push(`page::${card.page}`);
+  return tags;
+}
+
+// "::" separates subdecks in Anki
+function getDeckName(book) {
+  return book ? `${DECK_ROOT}::${book.title.replace(/::/g, ':')}` : DECK_ROOT;
+}
+
+async function checksum(text) {
+  // Anki uses the first 8 hex digits of the SHA-1 of the sort field to spot duplicates;
+  // without crypto.subtle (plain HTTP) leave it at 0 and Anki's Check Database fills it in
+  if (!crypto.subtle) return 0;
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+  const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return parseInt(hex.slice(0, 8), 16);
+}
+
+const ANKI_SCHEMA = `
+  CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+    ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null,
+    models text not null, decks text not null, dconf text not null, tags text not null);
+  CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null,
+    usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null,
+    flags integer not null, data text not null);
+  CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null,
+    mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null,
+    ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null,
+    odue integer not null, odid integer not null, flags integer not null, data text not null);
+  CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+    ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+  CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+  CREATE INDEX ix_notes_usn on notes (usn);
+  CREATE INDEX ix_cards_usn on cards (usn);
+  CREATE INDEX ix_revlog_usn on revlog (usn);
+  CREATE INDEX ix_cards_nid on cards (nid);
+  CREATE INDEX ix_cards_sched on cards (did, queue, due);
+  CREATE INDEX ix_revlog_cid on revlog (cid);
+  CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+function createDeck(id, name, now) {
+  return {
+    id, name, desc: '', mod: now, usn: -1, collapsed: false, browserCollapsed: false, dyn: 0, conf: 1,
+    newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0], extendNew: 10, extendRev: 50
+  };
+}
+
+function createModel(deckId, now) {
+  const field = (name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] });
+  return {
+    id: MODEL_ID,
+    name: 'Kapul Reader Basic',
+    type: 0,
+    mod: now,
+    usn: -1,
+    sortf: 0,
+    did: deckId,
+    flds: [field('Front', 0), field('Back', 1)],
+    tmpls: [{
+      name: 'Card 1', ord: 0, did: null, bqfmt: '', bafmt: '',
+      qfmt: '{{Front}}',
+      afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}'
+    }],
+    css: '.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }',
+    latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+    latexPost: '\\end{document}',
+    tags: [],
+    vers: [],
+    req: [[0, 'any', [0]]]
+  };
+}
+
+const DECK_CONFIG = {
+  1: {
+    id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+    new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, separate: true, order: 1, perDay: 20, bury: false },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+    rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, minSpace: 1, ivlFct: 1, maxIvl: 36500, bury: false }
+  }
+};
+
+// Build an Anki collection (collection.anki2) for the cards, one deck per book
+async function buildCollection(cards, books) {
+  const SQL = await loadSQL();
+  const db = new SQL.Database();
+  const nowMs = Date.now();
+  const now = Math.floor(nowMs / 1000);
+  // Review due dates are counted in days from the collection's creation
+  const created = new Date();
+  created.setHours(0, 0, 0, 0);
+  const crt = Math.floor(created.getTime() / 1000);
+
+  try {
+    db.run(ANKI_SCHEMA);
+
+    const booksById = new Map(books.map(book => [book.id, book]));
+    const decks = { 1: createDeck(1, 'Default', now) };
+    const deckIdFor = (book) => {
+      const id = book ? book.id : LOOSE_CARDS_DECK_ID;
+      if (!decks[id]) decks[id] = createDeck(id, getDeckName(book), now);
+      return id;
+    };
+
+    const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, 0, \'\')');
+    const usedIds = new Set();
+    let newPosition = 0;
+
+    for (const card of cards) {
+      const book = booksById.get(card.bookId) || null;
+      const deckId = deckIdFor(book);
+
+      let id = Number.isInteger(card.id) ? card.id : nowMs;
+      while (usedIds.has(id)) id++;
+      usedIds.add(id);
+
+      const tags = getCardTags(card, book);
+      const front = String(card.front ?? '');
+      insertNote.run([
+        id,
+        // A stable guid lets Anki update the note when a newer export is imported
+        `kapul-${card.id ?? id}`,
+        MODEL_ID,
+        now,
+        tags.length ? ` ${tags.join(' ')} ` : '',
+        `${escapeHTML(front)}\x1f${escapeHTML(card.back)}`,
+        front,
+        await checksum(front)
+      ]);
+
+      // Cards already reviewed here become review cards with the same interval and ease
+      if (card.repetitions > 0 && card.interval > 0) {
+        const due = Math.floor((new Date(card.dueDate).getTime() / 1000 - crt) / DAY_SECONDS);
+        insertCard.run([id, id, deckId, now, 2, 2, due, card.interval, Math.round((card.ease || 2.5) * 1000), card.repetitions]);
+      } else {
+        insertCard.run([id, id, deckId, now, 0, 0, ++newPosition, 0, 0, 0]);
+      }
+    }
+    insertNote.free();
+    insertCard.free();
+
+    const firstDeckId = Object.keys(decks).map(Number).find(id => id !== 1) || 1;
+    const conf = {
+      nextPos: newPosition + 1, estTimes: true, activeDecks: [1], sortType: 'noteFld', timeLim: 0,
+      sortBackwards: false, addToCur: true, curDeck: 1, newBury: true, newSpread: 0, dueCounts: true,
+      curModel: MODEL_ID, collapseTime: 1200
+    };
+    db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, \'{}\')', [
+      crt,
+      nowMs,
+      nowMs,
+      JSON.stringify(conf),
+      JSON.stringify({ [MODEL_ID]: createModel(firstDeckId, now) }),
+      JSON.stringify(decks),
+      JSON.stringify(DECK_CONFIG)
+    ]);
+
+    return db.export();
+  } finally {
+    db.close();
+  }
+}
+
+// Anki package (.apkg) for the cards, as a Blob
+export async function exportAnkiPackage(cards, books) {
+  const zip = new JSZip();
+  zip.file('collection.anki2', await buildCollection(cards, books));
+  // No images or sounds
+  zip.file('media', '{}');
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+// Quote a field when it contains the separator, quotes or line breaks
+function quoteField(value, separator) {
+  const text = String(value ?? '');
+  return text.includes(separator) || /["\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// format 'tsv': Anki-style text with a header telling Anki the columns (front, back, tags, deck)
+// format 'csv': plain text with a header row, for spreadsheets
+export function exportFlashcardsText(cards, books, format = 'tsv') {
+  const booksById = new Map(books.map(book => [book.id, book]));
+
+  if (format === 'csv') {
+    const rows = [['Front', 'Back', 'Book', 'Page']];
+    for (const card of cards) {
+      rows.push([card.front, card.back, booksById.get(card.bookId)?.title || '', card.page || '']);
+    }
+    return rows.map(row => row.map(value => quoteField(value, ',')).join(',')).join('\n') + '\n';
+  }
+
+  const lines = ['#separator:tab', '#html:true', '#tags column:3', '#deck column:4'];
+  for (const card of cards) {
+    const book = booksById.get(card.bookId) || null;
+    lines.push([
+      escapeHTML(card.front),
+      escapeHTML(card.back),
+      getCardTags(card, book).join(' '),
+      getDeckName(book)
+    ].map(value => quoteField(value, '\t')).join('\t'));
+  }
+  return lines.join('\n') + '\n';
+}
+
+const SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+
+// Split delimited text into rows of fields; quoted fields may hold separators, "" and line breaks
+function parseDelimited(text, separator) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function htmlToText(html) {
+  const withBreaks = html.replace(/<br\s*\/?>/gi, '\n').replace(/<\/(div|p|li)>/gi, '\n');
+  const doc = new DOMParser().parseFromString(withBreaks, 'text/html');
+  return doc.body.textContent.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Read Anki-style text: '#key:value' header lines, then one note per line
+// (or a CSV with a Front,Back,... header row); returns [{ front, back, tags, deck }]
+export function parseFlashcardsText(text) {
+  const headers = {};
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  let start = 0;
+  while (start < lines.length && lines[start].startsWith('#')) {
+    const match = lines[start].match(/^#([^:]+):(.*)$/);
+    if (match) headers[match[1].trim().toLowerCase()] = match[2].trim();
+    start++;
+  }
+
+  const body = lines.slice(start).join('\n');
+  const separator = SEPARATORS[headers.separator?.toLowerCase()] ?? headers.separator
+    ?? (body.split('\n')[0].includes('\t') ? '\t' : ',');
+
+  const rows = parseDelimited(body, separator);
+
+  // Columns are 1-based; the ones that aren't tags, deck, note type or guid hold the fields
+  const column = name => (headers[`${name} column`] ? parseInt(headers[`${name} column`]) - 1 : -1);
+  let tagsColumn = column('tags');
+  let deckColumn = column('deck');
+  let pageColumn = -1;
+  const specialColumns = new Set([tagsColumn, deckColumn, column('notetype'), column('guid')]);
+
+  // A header row instead (like our CSV export): Front, Back and optionally Book, Page, Tags
+  const headerRow = rows[0]?.map(name => name.trim().toLowerCase());
+  if (headerRow?.[0] === 'front' && headerRow[1] === 'back') {
+    rows.shift();
+    tagsColumn = headerRow.indexOf('tags');
+    deckColumn = headerRow.findIndex(name => name === 'book' || name === 'deck');
+    pageColumn = headerRow.indexOf('page');
+    specialColumns.add(tagsColumn).add(deckColumn).add(pageColumn);
+  }
+
+  const html = headers.html === undefined ? null : headers.html === 'true';
+  const toText = value => (html === true || (html === null && /<[a-z][^>]*>/i.test(value)) ? htmlToText(value) : value.trim());
+
+  const cards = [];
+  for (const row of rows) {
+    const fields = row.filter((value, i) => !specialColumns.has(i));
+    const front = toText(fields[0] || '');
+    const back = toText(fields[1] || '');
+    if (!front || !back) continue;
+
+    const tags = tagsColumn >= 0 ? (row[tagsColumn] || '').split(/\s+/).filter(Boolean) : [];
+    if (pageColumn >= 0 && row[pageColumn]?.trim()) tags.push(`page::${row[pageColumn].trim()}`);
+    cards.push({ front, back, tags, deck: deckColumn >= 0 ? (row[deckColumn] || '').trim() : '' });
+  }
+  return cards;
+}
+
+// The library book a parsed card belongs to: from its deck name or book:: tag, if they match one
+function findBook(card, books) {
+  const deckTitle = card.deck.startsWith(`${DECK_ROOT}::`) ? card.deck.slice(DECK_ROOT.length + 2) : card.deck;
+  const bookTag = card.tags.find(tag => tag.startsWith('book::'))?.slice(6);
+  return books.find(book =>
+    (deckTitle && book.title.replace(/::/g, ':') === deckTitle) ||
+    (bookTag && toTag(book.title) === bookTag)
+  ) || null;
+}
+
+// Add the cards in Anki-style TSV (or CSV) text to the flashcards store
+// Cards go to the book named by their deck or tags, otherwise to defaultBookId;
+// returns { added, duplicates }
+export async function importFlashcardsText(text, books, defaultBookId = null) {
+  const parsed = parseFlashcardsText(text);
+  if (parsed.length === 0) {
+    throw new Error('No flashcards found. Each line needs a front and a back, separated by a tab.');
+  }
+
+  const existing = await getFlashcards();
+  const seen = new Set(existing.map(card => `${card.bookId}|${card.front}|${card.back}`));
+  const usedIds = new Set(existing.map(card => card.id));
+  let nextId = Date.now();
+  const added = [];
+  let duplicates = 0;
+
+  for (const card of parsed) {
+    const bookId = findBook(card, books)?.id ?? defaultBookId;
+    const key = `${bookId}|${card.front}|${card.back}`;
+    if (seen.has(key)) {
+      duplicates++;
+      continue;
+    }
+    seen.add(key);
+
+    while (usedIds.has(nextId)) nextId++;
+    usedIds.add(nextId);
+    const page = parseInt(card.tags.find(tag => tag.startsWith('page::'))?.slice(6));
+    added.push({
+      ...getInitialSchedule(),
+      front: card.front,
+      back: card.back,
+      bookId,
+      page: Number.isFinite(page) ? page : null,
+      id: nextId,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  await importRecords('flashcards', added);
+  return { added: added.length, duplicates };
+}
@@ -0,0 +1,224 @@
+// Highlight export: a study guide of a book's (or the whole library's) highlights and margin notes,
+// grouped by page or chapter with their notes and AI explanations, as Markdown, HTML or print/PDF
+
+import { getBooks, getHighlights, getNotes, getFileData } from './storage';
+import { getEPUBChapters } from './documentParser';
+import { HIGHLIGHT_COLORS } from '../components/DocumentViewer';
+
+const MODE_LABELS = { explain: 'AI explanation', solve: 'AI solution' };
+
+function formatDate(date) {
+  return date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// Where an entry (a highlight or a margin note) is in its book
+const cfiOf = entry => entry.location?.cfiRange || entry.location?.cfi;
+const yOf = entry => entry.location?.y ?? entry.location?.rects?.[0]?.y ?? 0;
+
+// Sort and group one book's highlights and margin notes: PDFs by page, EPUBs by chapter
+async function groupEntries(book, entries) {
+  const located = entries.filter(e => e.location?.page || cfiOf(e));
+  const other = entries.filter(e => !located.includes(e));
+  const groups = new Map();
+  const addTo = (key, label, order, entry) => {
+    if (!groups.has(key)) groups.set(key, { label, order, highlights: [] });
+    groups.get(key).highlights.push(entry);
+  };
+
+  if (book?.format === 'epub') {
+    const data = await getFileData(book.id);
+    const chapters = data ? await getEPUBChapters(data, located.map(cfiOf)) : new Map();
+    const { EpubCFI } = await import('epubjs');
+    const epubcfi = new EpubCFI();
+
+    located
+      .sort((a, b) => epubcfi.compare(cfiOf(a), cfiOf(b)))
+      .forEach(entry => {
+        const chapter = chapters.get(cfiOf(entry));
+        if (chapter) addTo(chapter.label, chapter.label, chapter.index, entry);
+        else other.push(entry);
+      });
+  } else {
+    located
+      .sort((a, b) => a.location.page - b.location.page || yOf(a) - yOf(b))
+      .forEach(entry => addTo(entry.location.page, `Page ${entry.location.page}`, entry.location.page, entry));
+  }
+
+  const sorted = [...groups.values()].sort((a, b) => a.order - b.order);
+  if (other.length > 0) {
+    sorted.push({ label: sorted.length > 0 ? 'Other highlights' : 'Highlights', highlights: other });
+  }
+  return sorted;
+}
+
+// Collect the study guide for one book (bookId) or, with null, every book with highlights or notes
+export async function buildStudyGuide(bookId = null) {
+  const books = await getBooks();
+  const inScope = record => bookId === null || record.bookId === bookId;
+  const highlights = (await getHighlights()).filter(inScope);
+  const notes = (await getNotes()).filter(inScope);
+
+  // A highlight's note is printed with it; the rest are margin notes
+  const noteFor = new Map(notes.filter(n => n.highlightId).map(n => [n.highlightId, n.text]));
+  const entries = [
+    ...highlights.map(h => ({ ...h, note: noteFor.get(h.id) })),
+    ...notes.filter(n => !n.highlightId).map(n => ({ bookId: n.bookId, marginNote: n.text, location: n.location }))
+  ];
+
+  const bookIds = [...new Set(entries.map(e => e.bookId))];
+  const sections = [];
+  for (const id of bookIds) {
+    const book = books.find(b => b.id === id);
+    const bookEntries = entries.filter(e => e.bookId === id);
+    sections.push({
+      title: book?.title || bookEntries.find(e => e.bookTitle)?.bookTitle || 'Unknown book',
+      author: book?.author || '',
+      groups: await groupEntries(book, bookEntries)
+    });
+  }
+  sections.sort((a, b) => a.title.localeCompare(b.title));
+
+  const single = bookId !== null && sections.length === 1;
+  return {
+    title: single ? sections[0].title : 'Highlights & Notes',
+    exportedAt: new Date(),
+    single,
+    books: sections
+  };
+}
+
+export function getStudyGuideFileName(guide, extension) {
+  const slug = guide.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'highlights';
+  return `${slug}-${guide.exportedAt.toISOString().slice(0, 10)}.${extension}`;
+}
+
+// Markdown
+
+function quoteLines(text) {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+function highlightToMarkdown(h) {
+  if (h.marginNote) return `**Margin note:** ${h.marginNote}`;
+  const parts = [quoteLines(h.text)];
+  if (h.note) parts.push(`**Note:** ${h.note}`);
+  if (h.explanation?.text) {
+    parts.push(`**${MODE_LABELS[h.explanation.mode] || MODE_LABELS.explain}:**\n\n${h.explanation.text}`);
+  }
+  return parts.join('\n\n');
+}
+
+export function studyGuideToMarkdown(guide) {
+  const lines = [`# ${guide.title}`, ''];
+  if (guide.single && guide.books[0].author) lines.push(`*${guide.books[0].author}*  `);
+  lines.push(`Exported ${formatDate(guide.exportedAt)}`, '');
+
+  for (const book of guide.books) {
+    if (!guide.single) {
+      lines.push(`## ${book.title}`, '');
+      if (book.author) lines.push(`*${book.author}*`, '');
+    }
+    const heading = guide.single ? '##' : '###';
+    for (const group of book.groups) {
+      lines.push(`${heading} ${group.label}`, '');
+      group.highlights.forEach(h => lines.push(highlightToMarkdown(h), ''));
+    }
+  }
+  return lines.join('\n');
+}
+
+// HTML
+
+function escapeHTML(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const GUIDE_STYLES = `
+  body { max-width: 720px; margin: 40px auto; padding: 0 24px; font-family: Georgia, 'Times New Roman', serif; color: #222; line-height: 1.6; }
+  header { border-bottom: 2px solid #222; padding-bottom: 12px; margin-bottom: 24px; }
+  h1 { font-size: 28px; margin: 0 0 4px; }
+  h2 { font-size: 22px; margin: 32px 0 8px; }
+  h3 { font-size: 17px; margin: 24px 0 8px; color: #555; }
+  .author { font-style: italic; margin: 0; }
+  .date { font-size: 13px; color: #777; margin: 4px 0 0; }
+  .book + .book { page-break-before: always; break-before: page; }
+  blockquote { margin: 0 0 8px; padding: 4px 0 4px 14px; border-left: 4px solid; white-space: pre-wrap; }
+  .highlight { margin-bottom: 20px; page-break-inside: avoid; break-inside: avoid; }
+  .note, .explanation { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; font-size: 14px; margin: 4px 0 0 18px; white-space: pre-wrap; }
+  .margin-note { margin-left: 0; padding: 6px 10px; background: #f4f1ea; border-radius: 4px; }
+  .label { font-weight: 600; }
+  @media print { body { margin: 0; max-width: none; } }
+`;
+
+function highlightToHTML(h) {
+  if (h.marginNote) {
+    return `<div class="highlight"><div class="note margin-note"><span class="label">Margin note:</span> ${escapeHTML(h.marginNote)}</div></div>`;
+  }
+  const color = HIGHLIGHT_COLORS[h.color] || HIGHLIGHT_COLORS.yellow;
+  let html = `<div class="highlight"><blockquote style="border-color: ${color}">${escapeHTML(h.text)}</blockquote>`;
+  if (h.note) {
+    html += `<div class="note"><span class="label">Note:</span> ${escapeHTML(h.note)}</div>`;
+  }
+  if (h.explanation?.text) {
+    const label = MODE_LABELS[h.explanation.mode] || MODE_LABELS.explain;
+    html += `<div class="explanation"><span class="label">${label}:</span>\n${escapeHTML(h.explanation.text)}</div>`;
+  }
+  return html + '</div>';
+}
+
+// A standalone page that needs nothing but a browser to open
+export function studyGuideToHTML(guide) {
+  const heading = guide.single ? 'h2' : 'h3';
+  const body = guide.books.map(book => {
+    const groups = book.groups.map(group =>
+      `<${heading}>${escapeHTML(group.label)}</${heading}>\n${group.highlights.map(highlightToHTML).join('\n')}`
+    ).join('\n');
+    const header = guide.single ? '' :
+      `<h2>${escapeHTML(book.title)}</h2>${book.author ? `<p class="author">${escapeHTML(book.author)}</p>` : ''}`;
+    return `<section class="book">${header}\n${groups}</section>`;
+  }).join('\n');
+
+  const author = guide.single && guide.books[0].author
+    ? `<p class="author">${escapeHTML(guide.books[0].author)}</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(guide.title)}</title>
+<style>${GUIDE_STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHTML(guide.title)}</h1>
+${author}
+<p class="date">Exported ${formatDate(guide.exportedAt)} from Kapul Reader</p>
+</header>
+${body}
+</body>
+</html>
+`;
+}
+
+// Open the browser's print dialog for the guide, where it can be saved as a PDF
+export function printStudyGuide(guide) {
+  const frame = document.createElement('iframe');
+  frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0;';
+  document.body.appendChild(frame);
+
+  const doc = frame.contentDocument;
+  doc.open();
+  doc.write(studyGuideToHTML(guide));
+  doc.close();
+
+  // Removing the frame straight after print() would cancel the dialog in some browsers
+  frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+}
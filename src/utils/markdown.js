@@ -0,0 +1,90 @@
+// Markdown with math
+// AI answers, flashcards and quiz text are GitHub-flavoured markdown with LaTeX math: $...$ or \(...\)
+// inline, $$...$$ or \[...\] displayed. Math is typeset with KaTeX, and the HTML is sanitised
+// before it reaches the page, since it comes from the model.
+
+import { Marked } from 'marked';
+import katex from 'katex';
+import DOMPurify from 'dompurify';
+
+function renderMath(tex, displayMode) {
+  // Bad LaTeX is shown in red rather than breaking the whole answer
+  return katex.renderToString(tex.trim(), { displayMode, throwOnError: false });
+}
+
+// $$...$$ or \[...\] on lines of their own
+const blockMath = {
+  name: 'blockMath',
+  level: 'block',
+  start: (src) => src.match(/\$\$|\\\[/)?.index,
+  tokenizer(src) {
+    const match = src.match(/^\$\$([\s\S]+?)\$\$[^\S\n]*(?:\n|$)/) || src.match(/^\\\[([\s\S]+?)\\\][^\S\n]*(?:\n|$)/);
+    if (match) return { type: 'blockMath', raw: match[0], text: match[1] };
+  },
+  renderer: (token) => `<div class="math-block">${renderMath(token.text, true)}</div>`
+};
+
+// $...$ reads as math only if it doesn't start or end with a space and isn't followed by a digit,
+// so prices like "$5 and $10" stay text. An escaped \$ is a dollar sign
+const inlineMath = {
+  name: 'inlineMath',
+  level: 'inline',
+  start: (src) => src.match(/(?<!\\)\$|\\[([]/)?.index,
+  tokenizer(src) {
+    const display = src.match(/^\$\$([\s\S]+?)\$\$/) || src.match(/^\\\[([\s\S]+?)\\\]/);
+    if (display) return { type: 'inlineMath', raw: display[0], text: display[1], displayMode: true };
+
+    const match = src.match(/^\$(?!\s)((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/) || src.match(/^\\\(([\s\S]+?)\\\)/);
+    if (match) return { type: 'inlineMath', raw: match[0], text: match[1], displayMode: false };
+  },
+  renderer: (token) => renderMath(token.text, token.displayMode)
+};
+
+// How many passages [n] may cite in the text being rendered (see renderMarkdown)
+let citationCount = 0;
+
+// [1]..[n] in running text. Code, math and links are tokenised first, so a [1] inside them stays as written
+const citation = {
+  name: 'citation',
+  level: 'inline',
+  start: (src) => (citationCount > 0 ? src.match(/\[\d+\]/)?.index : undefined),
+  tokenizer(src) {
+    const match = src.match(/^\[(\d+)\](?![(:])/);
+    if (match && citationCount > 0 && parseInt(match[1]) >= 1 && parseInt(match[1]) <= citationCount) {
+      return { type: 'citation', raw: match[0], number: parseInt(match[1]) };
+    }
+  },
+  renderer: (token) => `<button class="chat-cite" data-cite="${token.number}">${token.number}</button>`
+};
+
+// Single line breaks are kept, as the model writes them. Image descriptions are plain text,
+// so citations and math in them are left as written
+const marked = new Marked({ gfm: true, breaks: true }).use({
+  extensions: [blockMath, inlineMath, citation],
+  walkTokens: (token) => {
+    if (token.type === 'image') delete token.tokens;
+  }
+});
+
+// Links open outside the app
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.getAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+// Sanitised HTML for markdown text. inline leaves out the paragraph around short text like a
+// flashcard; citations turns [1]..[n] into buttons with a data-cite number (see BookChat)
+export function renderMarkdown(text, { inline = false, citations = 0 } = {}) {
+  citationCount = citations;
+  let html;
+  try {
+    html = inline ? marked.parseInline(text || '') : marked.parse(text || '');
+  } finally {
+    citationCount = 0;
+  }
+
+  // KaTeX's MathML keeps the LaTeX source in an annotation for screen readers and copying
+  return DOMPurify.sanitize(html, { ADD_TAGS: ['semantics', 'annotation'] });
+}
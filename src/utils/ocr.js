@@ -0,0 +1,122 @@
+// Text recognition for scanned PDFs
+// Pages that are only an image (see isScannedPage in documentParser.js) are read with Tesseract,
+// compiled to WebAssembly and run in its own Web Worker, so nothing leaves the device. The words
+// and their boxes are stored per page, so each page is only recognised once.
+// The engine and the English language data ship with the app but are large, so they are only
+// downloaded the first time a scanned page turns up; the service worker keeps them from then on.
+
+import ocrWorkerUrl from 'tesseract.js/dist/worker.min.js?url';
+import ocrSIMDCoreUrl from 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url';
+import ocrCoreUrl from 'tesseract.js-core/tesseract-core-lstm.wasm.js?url';
+import ocrLanguageUrl from '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url';
+import { getPageOCR, savePageOCR } from './storage';
+
+const OCR_LANGUAGE = 'eng';
+// Tesseract asks for <langPath>/eng.traineddata.gz, so the data keeps its name in its own folder
+const OCR_LANGUAGE_PATH = ocrLanguageUrl.slice(0, ocrLanguageUrl.lastIndexOf('/'));
+// The worker holds the engine and language data in memory, so let it go when there is nothing to read
+const IDLE_TIMEOUT = 60 * 1000;
+
+// A tiny module using a SIMD instruction: browsers without WebAssembly SIMD (Safari before 16.4,
+// older Android WebViews) reject it and get the slower core that runs everywhere
+const SIMD_TEST_MODULE = new Uint8Array([
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11
+]);
+
+function supportsSIMD() {
+  try {
+    return WebAssembly.validate(SIMD_TEST_MODULE);
+  } catch (error) {
+    return false;
+  }
+}
+
+let workerPromise = null;
+let activeJobs = 0;
+let idleTimer = null;
+// Recognitions in flight, keyed `${bookId}:${page}`, so the viewer and the indexer share one
+const inFlight = new Map();
+
+// tesseract.js is large, so load it only when a scanned page turns up
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = import('tesseract.js')
+      .then(({ default: Tesseract }) => Tesseract.createWorker(OCR_LANGUAGE, Tesseract.OEM.LSTM_ONLY, {
+        workerPath: ocrWorkerUrl,
+        corePath: supportsSIMD() ? ocrSIMDCoreUrl : ocrCoreUrl,
+        langPath: OCR_LANGUAGE_PATH,
+        // The service worker already keeps the language data; don't store a second copy
+        cacheMethod: 'none',
+        workerBlobURL: false
+      }))
+      .catch(error => {
+        workerPromise = null;
+        throw error;
+      });
+  }
+  return workerPromise;
+}
+
+function scheduleTerminate() {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(async () => {
+    if (activeJobs > 0 || !workerPromise) return;
+    const worker = await workerPromise.catch(() => null);
+    workerPromise = null;
+    worker?.terminate();
+  }, IDLE_TIMEOUT);
+}
+
+// Lines of words in a page image, with boxes converted back to page units
+async function recognizeImage(canvas, scale) {
+  activeJobs++;
+  clearTimeout(idleTimer);
+  try {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(canvas, {}, { blocks: true });
+
+    return (data.blocks || [])
+      .flatMap(block => block.paragraphs.flatMap(paragraph => paragraph.lines))
+      .map(line => ({
+        words: line.words
+          .filter(word => word.text.trim())
+          .map(({ text, bbox }) => ({
+            text: text.trim(),
+            left: bbox.x0 / scale,
+            top: bbox.y0 / scale,
+            width: (bbox.x1 - bbox.x0) / scale,
+            height: (bbox.y1 - bbox.y0) / scale
+          }))
+      }))
+      .filter(line => line.words.length > 0);
+  } finally {
+    activeJobs--;
+    scheduleTerminate();
+  }
+}
+
+// The recognised lines of a scanned page: from storage, or by drawing the page with
+// drawImage() (resolving to { canvas, scale }) and running OCR on it
+export function recognizePage(bookId, page, drawImage) {
+  const key = `${bookId}:${page}`;
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const job = (async () => {
+    const stored = await getPageOCR(bookId, page);
+    if (stored) return stored.lines;
+
+    const { canvas, scale } = await drawImage();
+    try {
+      const lines = await recognizeImage(canvas, scale);
+      await savePageOCR(bookId, page, lines);
+      return lines;
+    } finally {
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+  })();
+
+  inFlight.set(key, job);
+  job.finally(() => inFlight.delete(key)).catch(() => {});
+  return job;
+}
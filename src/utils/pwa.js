@@ -0,0 +1,12 @@
+// Progressive web app support: registers the service worker that caches the app for offline use
+// Only in production builds; in development Vite serves files that change on every edit
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+}
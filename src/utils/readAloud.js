@@ -0,0 +1,210 @@
+// Read aloud
+// Speaks a page or chapter one sentence at a time with the Web Speech API. Speaking sentence by
+// sentence lets the reader highlight the one being read, and avoids browsers cutting off long utterances.
+
+// Longer sentences are spoken in pieces, broken at a space
+const MAX_SENTENCE_CHARS = 240;
+
+export const READ_ALOUD_RATES = [0.75, 1, 1.25, 1.5, 1.75, 2];
+
+export function isReadAloudSupported() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+}
+
+function sentenceSpans(text) {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+    return Array.from(segmenter.segment(text), ({ segment, index }) => ({ start: index, end: index + segment.length }));
+  }
+
+  const spans = [];
+  const pattern = /[^.!?]+(?:[.!?]+["')\]]*|$)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) break;
+    spans.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return spans;
+}
+
+function chunk(text, start, end) {
+  const pieces = [];
+  while (end - start > MAX_SENTENCE_CHARS) {
+    const breakAt = text.lastIndexOf(' ', start + MAX_SENTENCE_CHARS);
+    const cut = breakAt > start ? breakAt : start + MAX_SENTENCE_CHARS;
+    pieces.push({ start, end: cut });
+    start = cut;
+  }
+  pieces.push({ start, end });
+  return pieces;
+}
+
+// Split text into sentences: [{ text, start, end }], with offsets into the original text
+export function splitSentences(text) {
+  const sentences = [];
+  for (const span of sentenceSpans(text)) {
+    for (const piece of chunk(text, span.start, span.end)) {
+      const raw = text.slice(piece.start, piece.end);
+      const leading = raw.length - raw.trimStart().length;
+      const trimmed = raw.trim();
+      // Skip page numbers, stray punctuation and the like
+      if (!/[\p{L}]/u.test(trimmed)) continue;
+      sentences.push({
+        text: trimmed.replace(/\s+/g, ' '),
+        start: piece.start + leading,
+        end: piece.start + leading + trimmed.length
+      });
+    }
+  }
+  return sentences;
+}
+
+const BLOCK_TAGS = new Set(['P', 'DIV', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'TD', 'TH', 'DT', 'DD', 'PRE', 'SECTION', 'FIGCAPTION']);
+
+function blockOf(node) {
+  let element = node.parentElement;
+  while (element && !BLOCK_TAGS.has(element.tagName.toUpperCase())) element = element.parentElement;
+  return element;
+}
+
+// The text of a chapter document, and a way to turn offsets in it back into a DOM Range.
+// Text from different blocks is joined with a space so headings and paragraphs don't run together
+export function documentText(doc) {
+  const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (['SCRIPT', 'STYLE'].includes(node.parentElement?.tagName.toUpperCase())
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT)
+  });
+
+  const nodes = [];
+  let text = '';
+  let lastBlock = null;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const block = blockOf(node);
+    if (text && block !== lastBlock) text += ' ';
+    lastBlock = block;
+    nodes.push({ node, start: text.length });
+    text += node.data;
+  }
+
+  // Offset in the text -> [node, offset in node]; offsets in a joining space move to the next node
+  const locate = (offset, isEnd) => {
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const { node, start } = nodes[i];
+      if (offset > start || (!isEnd && offset === start)) {
+        return [node, Math.min(offset - start, node.data.length)];
+      }
+    }
+    return [nodes[0].node, 0];
+  };
+
+  const rangeFor = (start, end) => {
+    const range = doc.createRange();
+    range.setStart(...locate(start, false));
+    range.setEnd(...locate(end, true));
+    return range;
+  };
+
+  return { text, rangeFor };
+}
+
+// All voices, waiting for them to load where the browser loads them lazily
+export function getVoices() {
+  return new Promise(resolve => {
+    const voices = window.speechSynthesis.getVoices();
+    if (voices.length > 0) {
+      resolve(voices);
+      return;
+    }
+    window.speechSynthesis.addEventListener('voiceschanged', () => resolve(window.speechSynthesis.getVoices()), { once: true });
+    // Some browsers never fire voiceschanged
+    setTimeout(() => resolve(window.speechSynthesis.getVoices()), 1000);
+  });
+}
+
+// A read-aloud session.
+// play() takes a section: { sentences, onSentence(index, sentence), next() } where next() turns to
+// the following page or chapter and resolves to its section, or null at the end of the book.
+// Pausing cancels the speech and resume() starts the same sentence again, which works in
+// every browser, unlike speechSynthesis.pause().
+export function createReadAloud({ onStatusChange }) {
+  const synth = window.speechSynthesis;
+  let section = null;
+  let index = 0;
+  let generation = 0;
+  let options = { rate: 1, voiceURI: null };
+  let utterance = null; // Held so it isn't garbage collected mid-sentence, which drops its onend
+
+  const setStatus = (status) => onStatusChange?.(status);
+
+  const speakNext = async (run) => {
+    while (section && index >= section.sentences.length) {
+      const nextSection = await section.next?.();
+      if (run !== generation) return;
+      if (!nextSection) {
+        stop();
+        return;
+      }
+      section = nextSection;
+      index = 0;
+    }
+    if (!section || run !== generation) return;
+
+    const sentence = section.sentences[index];
+    section.onSentence?.(index, sentence);
+
+    utterance = new SpeechSynthesisUtterance(sentence.text);
+    utterance.rate = options.rate;
+    const voice = options.voiceURI && synth.getVoices().find(v => v.voiceURI === options.voiceURI);
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    }
+    utterance.onend = () => {
+      if (run !== generation) return;
+      index++;
+      speakNext(run);
+    };
+    utterance.onerror = (event) => {
+      if (run !== generation || event.error === 'interrupted' || event.error === 'canceled') return;
+      console.error('Read Aloud Error:', event.error);
+      stop();
+    };
+    synth.speak(utterance);
+  };
+
+  const restart = (status) => {
+    generation++;
+    synth.cancel();
+    setStatus(status);
+    if (status === 'playing') speakNext(generation);
+  };
+
+  function stop() {
+    generation++;
+    synth.cancel();
+    section = null;
+    utterance = null;
+    setStatus('idle');
+  }
+
+  return {
+    play(newSection, fromIndex = 0) {
+      section = newSection;
+      index = Math.max(0, fromIndex);
+      restart('playing');
+    },
+    pause() {
+      if (section) restart('paused');
+    },
+    resume() {
+      if (section) restart('playing');
+    },
+    stop,
+    // New rate or voice; a sentence being spoken starts again with it
+    setOptions(next) {
+      options = { ...options, ...next };
+      if (section && synth.speaking) restart('playing');
+    }
+  };
+}
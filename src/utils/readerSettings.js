@@ -0,0 +1,77 @@
+// Reader typography
+// Turns the reading settings from getSettings() into the stylesheet epub.js injects into every chapter
+
+import { getThemePalette } from './themes';
+
+export const READER_FONTS = [
+  { id: 'serif', label: 'Serif', css: 'Georgia, "Times New Roman", serif' },
+  { id: 'sans-serif', label: 'Sans-serif', css: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif' },
+  { id: 'monospace', label: 'Monospace', css: 'Menlo, Consolas, monospace' },
+  { id: 'publisher', label: "Book's own font", css: null }
+];
+
+export const FONT_SIZE_RANGE = { min: 12, max: 28, step: 1 };
+export const LINE_HEIGHT_RANGE = { min: 1.2, max: 2.4, step: 0.1 };
+export const MARGIN_RANGE = { min: 0, max: 80, step: 4 };
+
+// Uploaded fonts live in localStorage with the rest of the settings, so keep them small
+export const MAX_CUSTOM_FONT_BYTES = 1024 * 1024;
+export const CUSTOM_FONT_TYPES = ['.ttf', '.otf', '.woff', '.woff2'];
+const CUSTOM_FONT_FAMILY = 'KapulReaderCustomFont';
+
+function fontFamilyCss(settings) {
+  if (settings.fontFamily === 'custom' && settings.customFont) return `"${CUSTOM_FONT_FAMILY}", serif`;
+  const font = READER_FONTS.find(f => f.id === settings.fontFamily) || READER_FONTS[0];
+  return font.css;
+}
+
+// CSS for a chapter. Publisher styles are overridden with !important where the reader's choice should win
+export function readerStylesheet(settings) {
+  const { colors } = getThemePalette(settings.theme);
+  const family = fontFamilyCss(settings);
+  const rules = [];
+
+  if (settings.fontFamily === 'custom' && settings.customFont) {
+    rules.push(`@font-face { font-family: "${CUSTOM_FONT_FAMILY}"; src: url("${settings.customFont.data}"); }`);
+  }
+
+  rules.push(`html, body {
+    font-size: ${settings.fontSize}px !important;
+    color: ${colors['--text']} !important;
+    background: ${colors['--bg']} !important;
+  }`);
+  rules.push(`body {
+    line-height: ${settings.lineHeight} !important;
+    padding-left: ${settings.margin}px !important;
+    padding-right: ${settings.margin}px !important;
+    ${family ? `font-family: ${family} !important;` : ''}
+  }`);
+  rules.push(`p, li, blockquote, dd, dt {
+    line-height: inherit !important;
+    ${family ? 'font-family: inherit !important;' : ''}
+    ${settings.justify ? 'text-align: justify !important; hyphens: auto;' : ''}
+  }`);
+  rules.push(`a { color: ${colors['--accent']} !important; }`);
+
+  return rules.join('\n');
+}
+
+// Read an uploaded font file into the { name, data } shape kept in settings
+export function readCustomFont(file) {
+  return new Promise((resolve, reject) => {
+    const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+    if (!CUSTOM_FONT_TYPES.includes(extension)) {
+      reject(new Error(`Choose a font file (${CUSTOM_FONT_TYPES.join(', ')}).`));
+      return;
+    }
+    if (file.size > MAX_CUSTOM_FONT_BYTES) {
+      reject(new Error('That font is too large. Fonts up to 1 MB can be used.'));
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => resolve({ name: file.name.slice(0, -extension.length), data: reader.result });
+    reader.onerror = () => reject(new Error('Failed to read font file'));
+    reader.readAsDataURL(file);
+  });
+}
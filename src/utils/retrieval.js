@@ -0,0 +1,142 @@
+// On-device passage retrieval for "Ask the book"
+// Splits the indexed book text into overlapping chunks and ranks them with BM25
+
+import { STOP_WORDS } from './documentParser';
+import { getBookText } from './storage';
+import { queueBookForIndexing } from './searchIndex';
+
+const CHUNK_WORDS = 120;
+const CHUNK_OVERLAP = 30;
+
+// BM25 parameters
+const K1 = 1.5;
+const B = 0.75;
+
+// Question words carry no meaning for ranking
+const QUERY_STOP_WORDS = new Set(['what', 'which', 'who', 'whom', 'why', 'how', 'when', 'where', 'explain', 'describe', 'tell', 'about', 'does', 'mean']);
+
+// Built indexes, keyed by book id
+const indexCache = new Map();
+
+// Lowercase word tokens with stop words removed and a light plural strip
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+    .map(token => (token.length > 4 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+// Split each page/section into overlapping word windows
+function chunkSections(sections) {
+  const chunks = [];
+
+  for (const section of sections) {
+    const words = (section.text || '').split(' ').filter(Boolean);
+    if (words.length === 0) continue;
+
+    for (let start = 0; start < words.length; start += CHUNK_WORDS - CHUNK_OVERLAP) {
+      const text = words.slice(start, start + CHUNK_WORDS).join(' ');
+      chunks.push({
+        id: chunks.length,
+        page: section.page || null,
+        href: section.href || null,
+        label: section.label || (section.page ? `Page ${section.page}` : 'Section'),
+        text
+      });
+      if (start + CHUNK_WORDS >= words.length) break;
+    }
+  }
+
+  return chunks;
+}
+
+// Build the BM25 statistics for a set of chunks
+export function buildChunkIndex(sections) {
+  const chunks = chunkSections(sections);
+  const documentFrequency = new Map();
+  let totalLength = 0;
+
+  for (const chunk of chunks) {
+    const termFrequency = new Map();
+    for (const token of tokenize(chunk.text)) {
+      termFrequency.set(token, (termFrequency.get(token) || 0) + 1);
+    }
+    chunk.termFrequency = termFrequency;
+    chunk.length = [...termFrequency.values()].reduce((sum, n) => sum + n, 0);
+    totalLength += chunk.length;
+
+    for (const token of termFrequency.keys()) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+
+  return {
+    chunks,
+    documentFrequency,
+    averageLength: chunks.length > 0 ? totalLength / chunks.length : 0
+  };
+}
+
+// Rank chunks against a query; returns the top matches with their scores
+export function rankChunks(index, query, limit = 5) {
+  const terms = [...new Set(tokenize(query).filter(t => !QUERY_STOP_WORDS.has(t)))];
+  if (terms.length === 0 || index.chunks.length === 0) return [];
+
+  const N = index.chunks.length;
+  const idf = new Map(terms.map(term => {
+    const df = index.documentFrequency.get(term) || 0;
+    return [term, Math.log(1 + (N - df + 0.5) / (df + 0.5))];
+  }));
+
+  const scored = [];
+  for (const chunk of index.chunks) {
+    let score = 0;
+    for (const term of terms) {
+      const tf = chunk.termFrequency.get(term);
+      if (!tf) continue;
+      const norm = tf + K1 * (1 - B + B * (chunk.length / index.averageLength));
+      score += idf.get(term) * ((tf * (K1 + 1)) / norm);
+    }
+    if (score > 0) scored.push({ chunk, score });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ chunk, score }) => ({
+      page: chunk.page,
+      href: chunk.href,
+      label: chunk.label,
+      text: chunk.text,
+      score
+    }));
+}
+
+// Get (building if needed) the chunk index for a book
+export async function getChunkIndex(book) {
+  if (indexCache.has(book.id)) return indexCache.get(book.id);
+
+  let sections = await getBookText(book.id);
+  if (sections.length === 0) {
+    await queueBookForIndexing(book);
+    sections = await getBookText(book.id);
+  }
+
+  const index = buildChunkIndex(sections);
+  if (index.chunks.length > 0) {
+    indexCache.set(book.id, index);
+  }
+  return index;
+}
+
+// Retrieve the passages most relevant to a question
+export async function retrievePassages(book, query, limit = 5) {
+  const index = await getChunkIndex(book);
+  return rankChunks(index, query, limit);
+}
+
+// Forget a book's chunk index (e.g. after it is deleted or re-indexed)
+export function clearChunkIndex(bookId) {
+  indexCache.delete(bookId);
+}
@@ -0,0 +1,196 @@
+// Full-text search for Kapul Reader
+// A background indexer extracts every PDF page / EPUB section into the textIndex store,
+// and searches run against that stored text. Scanned PDF pages are read with OCR (see ocr.js)
+
+import { extractPDFText, extractEPUBText } from './documentParser';
+import { getFileData, saveBookText, getBookText, updateBook } from './storage';
+import { recognizePage } from './ocr';
+
+const SNIPPET_RADIUS = 60;
+// PDFs indexed before scanned pages were read with OCR are indexed again
+const PDF_INDEX_VERSION = 2;
+
+// Indexing queue state
+const queue = [];
+let currentJob = null;
+const listeners = new Set();
+
+function notify() {
+  const status = getIndexingStatus();
+  listeners.forEach(listener => listener(status));
+}
+
+export function getIndexingStatus() {
+  return {
+    active: Boolean(currentJob),
+    bookId: currentJob?.book.id || null,
+    title: currentJob?.book.title || null,
+    progress: currentJob?.progress || 0,
+    pending: queue.length
+  };
+}
+
+// Subscribe to indexing progress; returns an unsubscribe function
+export function onIndexingChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Let the UI breathe between books
+function waitForIdle() {
+  return new Promise(resolve => {
+    if (typeof requestIdleCallback === 'function') {
+      requestIdleCallback(() => resolve(), { timeout: 1000 });
+    } else {
+      setTimeout(resolve, 50);
+    }
+  });
+}
+
+async function runQueue() {
+  if (currentJob) return;
+
+  while (queue.length > 0) {
+    const job = queue.shift();
+    currentJob = job;
+    notify();
+
+    try {
+      await indexBook(job.book, (done, total) => {
+        job.progress = Math.round((done / total) * 100);
+        notify();
+      });
+      job.resolve(true);
+    } catch (error) {
+      console.error(`Indexing failed for "${job.book.title}":`, error);
+      job.resolve(false);
+    }
+
+    currentJob = null;
+    notify();
+    await waitForIdle();
+  }
+}
+
+// Extract and store the text of one book
+export async function indexBook(book, onProgress = null) {
+  const fileData = await getFileData(book.id);
+  if (!fileData) return false;
+
+  const sections = book.format === 'pdf'
+    ? await extractPDFText(fileData, onProgress, (page, drawImage) => recognizePage(book.id, page, drawImage))
+    : await extractEPUBText(fileData, onProgress);
+
+  await saveBookText(book.id, sections);
+  await updateBook(book.id, { textIndexed: book.format === 'pdf' ? PDF_INDEX_VERSION : true });
+  return true;
+}
+
+// Queue a book for background indexing; resolves when that book is done
+export function queueBookForIndexing(book) {
+  const existing = queue.find(job => job.book.id === book.id);
+  if (existing) return existing.promise;
+  if (currentJob?.book.id === book.id) return currentJob.promise;
+
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  queue.push({ book, resolve, promise, progress: 0 });
+  notify();
+  runQueue();
+  return promise;
+}
+
+// Queue every book that has not been indexed yet
+export function indexLibrary(books) {
+  books
+    .filter(book => (book.format === 'pdf' ? book.textIndexed !== PDF_INDEX_VERSION : book.format === 'epub' && !book.textIndexed))
+    .forEach(book => queueBookForIndexing(book));
+}
+
+// Find all case-insensitive occurrences of query in text
+function findOccurrences(text, query) {
+  const haystack = text.toLowerCase();
+  const needle = query.toLowerCase();
+  const positions = [];
+
+  let position = haystack.indexOf(needle);
+  while (position !== -1) {
+    positions.push(position);
+    position = haystack.indexOf(needle, position + needle.length);
+  }
+
+  return positions;
+}
+
+function makeSnippet(text, position, length) {
+  const start = Math.max(0, position - SNIPPET_RADIUS);
+  const end = Math.min(text.length, position + length + SNIPPET_RADIUS);
+  return {
+    before: (start > 0 ? '…' : '') + text.slice(start, position),
+    match: text.slice(position, position + length),
+    after: text.slice(position + length, end) + (end < text.length ? '…' : '')
+  };
+}
+
+function normalizeQuery(query) {
+  return (query || '').replace(/\s+/g, ' ').trim();
+}
+
+// Turn stored sections into hits; each hit is one occurrence with its location
+function searchSections(sections, query, limit) {
+  const hits = [];
+
+  for (const section of sections) {
+    const positions = findOccurrences(section.text || '', query);
+    positions.forEach((position, occurrence) => {
+      if (hits.length >= limit) return;
+      hits.push({
+        bookId: section.bookId,
+        page: section.page || null,
+        href: section.href || null,
+        label: section.label || (section.page ? `Page ${section.page}` : 'Section'),
+        occurrence,
+        snippet: makeSnippet(section.text, position, query.length)
+      });
+    });
+    if (hits.length >= limit) break;
+  }
+
+  return hits;
+}
+
+// Search one book
+export async function searchBook(bookId, query, limit = 500) {
+  const q = normalizeQuery(query);
+  if (q.length < 2) return [];
+
+  const sections = await getBookText(bookId);
+  return searchSections(sections, q, limit);
+}
+
+// Search the whole library, grouped by book in library order
+export async function searchLibrary(query, books, limitPerBook = 20) {
+  const q = normalizeQuery(query);
+  if (q.length < 2) return [];
+
+  const sections = await getBookText();
+  const byBook = new Map();
+  for (const section of sections) {
+    if (!byBook.has(section.bookId)) byBook.set(section.bookId, []);
+    byBook.get(section.bookId).push(section);
+  }
+
+  const groups = [];
+  for (const book of books) {
+    const bookSections = byBook.get(book.id);
+    if (!bookSections) continue;
+
+    const hits = searchSections(bookSections, q, limitPerBook);
+    if (hits.length > 0) {
+      const total = bookSections.reduce((sum, s) => sum + findOccurrences(s.text || '', q).length, 0);
+      groups.push({ book, hits, total });
+    }
+  }
+
+  return groups;
+}
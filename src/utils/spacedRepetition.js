@@ -0,0 +1,96 @@
+// Spaced repetition scheduling for flashcards (SM-2 algorithm)
+// Each flashcard record carries: ease, interval (days), repetitions, dueDate (ISO), lastReviewed (ISO)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+// Review ratings mapped to SM-2 response quality (0-5)
+export const RATINGS = {
+  AGAIN: { key: 'again', label: 'Again', quality: 1 },
+  HARD: { key: 'hard', label: 'Hard', quality: 3 },
+  GOOD: { key: 'good', label: 'Good', quality: 4 },
+  EASY: { key: 'easy', label: 'Easy', quality: 5 }
+};
+
+// Scheduling fields for a card that has never been reviewed
+export function getInitialSchedule(now = new Date()) {
+  return {
+    ease: DEFAULT_EASE,
+    interval: 0,
+    repetitions: 0,
+    dueDate: now.toISOString(),
+    lastReviewed: null
+  };
+}
+
+// Compute the next schedule for a card after a review
+export function scheduleCard(card, rating, now = new Date()) {
+  const ease = card.ease || DEFAULT_EASE;
+  const interval = card.interval || 0;
+  const repetitions = card.repetitions || 0;
+  const q = rating.quality;
+
+  // SM-2 ease update, never below the minimum
+  const newEase = Math.max(MIN_EASE, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+  let newInterval;
+  let newRepetitions;
+
+  if (q < 3) {
+    // Failed recall: start the card over and show it again this session
+    newRepetitions = 0;
+    newInterval = 0;
+  } else {
+    newRepetitions = repetitions + 1;
+    if (newRepetitions === 1) {
+      newInterval = 1;
+    } else if (newRepetitions === 2) {
+      newInterval = 6;
+    } else {
+      newInterval = Math.round(interval * newEase);
+    }
+
+    if (rating === RATINGS.HARD) {
+      newInterval = Math.max(1, Math.round(newInterval * 0.6));
+    } else if (rating === RATINGS.EASY) {
+      newInterval = Math.round(newInterval * 1.3) + 1;
+    }
+  }
+
+  return {
+    ease: Math.round(newEase * 100) / 100,
+    interval: newInterval,
+    repetitions: newRepetitions,
+    dueDate: new Date(now.getTime() + newInterval * DAY_MS).toISOString(),
+    lastReviewed: now.toISOString()
+  };
+}
+
+// End of the current local day, used for "due today"
+function endOfDay(now) {
+  const end = new Date(now);
+  end.setHours(23, 59, 59, 999);
+  return end;
+}
+
+// Cards without scheduling fields are new and therefore due
+export function isCardDue(card, now = new Date()) {
+  if (!card.dueDate) return true;
+  return new Date(card.dueDate) <= endOfDay(now);
+}
+
+export function getDueCards(cards, now = new Date()) {
+  return cards
+    .filter(card => isCardDue(card, now))
+    .sort((a, b) => new Date(a.dueDate || 0) - new Date(b.dueDate || 0));
+}
+
+// Human readable interval for rating buttons, e.g. "now", "1d", "2w"
+export function formatInterval(days) {
+  if (days <= 0) return 'now';
+  if (days < 14) return `${days}d`;
+  if (days < 60) return `${Math.round(days / 7)}w`;
+  if (days < 365) return `${Math.round(days / 30)}mo`;
+  return `${(days / 365).toFixed(1)}y`;
+}
@@ -1,7 +1,10 @@
 // Storage utility for persistent data using IndexedDB with localStorage fallback
 
+import { getInitialSchedule, getDueCards } from './spacedRepetition';
+import { notifySessionExpired } from './auth';
+
 const DB_NAME = 'KapulReaderDB';
-const DB_VERSION = 1;
+const DB_VERSION = 7;
 
 // Storage keys
 export const STORAGE_KEYS = {
@@ -11,7 +14,11 @@ export const STORAGE_KEYS = {
   FLASHCARDS: 'kapul_flashcards',
   QUIZ_SCORES: 'kapul_quiz_scores',
   SETTINGS: 'kapul_settings',
-  CURRENT_BOOK: 'kapul_current_book'
+  CURRENT_BOOK: 'kapul_current_book',
+  SYNC: 'kapul_sync',
+  AI_QUEUE: 'kapul_ai_queue',
+  NOTES: 'kapul_notes',
+  AI_HISTORY: 'kapul_ai_history'
 };
 
 // Initialize IndexedDB
@@ -63,6 +70,40 @@ export async function initDB() {
       if (!database.objectStoreNames.contains('fileData')) {
         database.createObjectStore('fileData', { keyPath: 'bookId' });
       }
+
+      // v2: full-text index, one record per PDF page or EPUB spine section
+      if (!database.objectStoreNames.contains('textIndex')) {
+        const textStore = database.createObjectStore('textIndex', { keyPath: 'id' });
+        textStore.createIndex('bookId', 'bookId', { unique: false });
+      }
+
+      // v3: deletions waiting to be synced, keyed `${store}:${id}`
+      if (!database.objectStoreNames.contains('syncDeleted')) {
+        database.createObjectStore('syncDeleted', { keyPath: 'key' });
+      }
+
+      // v4: AI requests made offline, answered when the device reconnects
+      if (!database.objectStoreNames.contains('aiQueue')) {
+        database.createObjectStore('aiQueue', { keyPath: 'id' });
+      }
+
+      // v5: the student's notes, on highlights or pinned to a place in the book
+      if (!database.objectStoreNames.contains('notes')) {
+        const noteStore = database.createObjectStore('notes', { keyPath: 'id' });
+        noteStore.createIndex('bookId', 'bookId', { unique: false });
+      }
+
+      // v6: every AI explanation, solution and book answer
+      if (!database.objectStoreNames.contains('aiHistory')) {
+        const historyStore = database.createObjectStore('aiHistory', { keyPath: 'id' });
+        historyStore.createIndex('bookId', 'bookId', { unique: false });
+      }
+
+      // v7: words recognised on scanned PDF pages, one record per page
+      if (!database.objectStoreNames.contains('ocrText')) {
+        const ocrStore = database.createObjectStore('ocrText', { keyPath: 'id' });
+        ocrStore.createIndex('bookId', 'bookId', { unique: false });
+      }
     };
   });
 }
@@ -133,7 +174,7 @@ export async function getBooks() {
 
 export async function addBook(book) {
   const books = await getBooks();
-  books.unshift(book);
+  books.unshift({ ...book, updatedAt: syncClock() });
   await saveBooks(books);
   return books;
 }
@@ -142,7 +183,9 @@ export async function updateBook(bookId, updates) {
   const books = await getBooks();
   const index = books.findIndex(b => b.id === bookId);
   if (index !== -1) {
-    books[index] = { ...books[index], ...updates };
+    // Device-only fields (like textIndexed) don't count as an edit to sync
+    const edited = Object.keys(updates).some(key => !LOCAL_ONLY_FIELDS.books.includes(key));
+    books[index] = { ...books[index], ...updates, ...(edited && { updatedAt: syncClock() }) };
     await saveBooks(books);
   }
   return books;
@@ -152,9 +195,12 @@ export async function deleteBook(bookId) {
   const books = await getBooks();
   const filtered = books.filter(b => b.id !== bookId);
   await saveBooks(filtered);
+  await recordDeletion('books', bookId);
 
-  // Also delete associated file data
+  // Also delete associated file data, search text and recognised text
   await deleteFileData(bookId);
+  await deleteBookText(bookId);
+  await deleteBookOCR(bookId);
 
   return filtered;
 }
@@ -169,9 +215,12 @@ export async function saveFileData(bookId, fileData) {
       const store = tx.objectStore('fileData');
       // Clone the ArrayBuffer to avoid "detached" error after PDF.js processing
       const dataToStore = fileData instanceof ArrayBuffer ? fileData.slice(0) : fileData;
-      store.put({ bookId, data: dataToStore });
+      store.put({ bookId, data: dataToStore, updatedAt: syncClock() });
 
-      tx.oncomplete = () => resolve(true);
+      tx.oncomplete = () => {
+        markFileForUpload(bookId);
+        resolve(true);
+      };
       tx.onerror = () => reject(tx.error);
     });
   }
@@ -200,11 +249,78 @@ export async function getFileData(bookId) {
 export async function deleteFileData(bookId) {
   await initDB();
 
+  if (db) {
+    await deleteRecord('fileData', bookId);
+    await recordDeletion('fileData', bookId);
+  }
+
+  return true;
+}
+
+// Full-text index storage (extracted page/section text for search)
+export async function saveBookText(bookId, sections) {
+  await initDB();
+
   if (db) {
     return new Promise((resolve, reject) => {
-      const tx = db.transaction('fileData', 'readwrite');
-      const store = tx.objectStore('fileData');
-      store.delete(bookId);
+      const tx = db.transaction('textIndex', 'readwrite');
+      const store = tx.objectStore('textIndex');
+      const index = store.index('bookId');
+
+      // Replace any previous text for this book
+      const keysRequest = index.getAllKeys(bookId);
+      keysRequest.onsuccess = () => {
+        for (const key of keysRequest.result || []) {
+          store.delete(key);
+        }
+        for (const section of sections) {
+          store.put({ ...section, id: `${bookId}:${section.index}`, bookId });
+        }
+      };
+      keysRequest.onerror = () => reject(keysRequest.error);
+
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // localStorage is too small for whole-book text, skip for fallback
+  return false;
+}
+
+export async function getBookText(bookId = null) {
+  await initDB();
+
+  if (db) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('textIndex', 'readonly');
+      const store = tx.objectStore('textIndex');
+      const request = bookId ? store.index('bookId').getAll(bookId) : store.getAll();
+
+      request.onsuccess = () => {
+        const sections = request.result || [];
+        resolve(sections.sort((a, b) => a.index - b.index));
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  return [];
+}
+
+export async function deleteBookText(bookId) {
+  await initDB();
+
+  if (db) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('textIndex', 'readwrite');
+      const store = tx.objectStore('textIndex');
+      const keysRequest = store.index('bookId').getAllKeys(bookId);
+      keysRequest.onsuccess = () => {
+        for (const key of keysRequest.result || []) {
+          store.delete(key);
+        }
+      };
 
       tx.oncomplete = () => resolve(true);
       tx.onerror = () => reject(tx.error);
@@ -214,6 +330,46 @@ export async function deleteFileData(bookId) {
   return true;
 }
 
+// Text recognised on scanned PDF pages: { bookId, page, lines: [{ words: [{ text, left, top, width, height }] }] }
+// with boxes in page units. Like the search index it can be recreated, so it stays on this device
+export async function getPageOCR(bookId, page) {
+  await initDB();
+  if (!db) return null;
+  return (await getRecord('ocrText', `${bookId}:${page}`)) || null;
+}
+
+export async function getBookOCR(bookId) {
+  await initDB();
+  if (!db) return [];
+  return (await runRequest('ocrText', 'readonly', store => store.index('bookId').getAll(bookId))) || [];
+}
+
+export async function savePageOCR(bookId, page, lines) {
+  await initDB();
+  if (!db) return false;
+  await putRecord('ocrText', { id: `${bookId}:${page}`, bookId, page, lines });
+  return true;
+}
+
+export async function deleteBookOCR(bookId) {
+  await initDB();
+  if (!db) return true;
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('ocrText', 'readwrite');
+    const store = tx.objectStore('ocrText');
+    const keysRequest = store.index('bookId').getAllKeys(bookId);
+    keysRequest.onsuccess = () => {
+      for (const key of keysRequest.result || []) {
+        store.delete(key);
+      }
+    };
+
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 // Highlights management
 export async function saveHighlights(highlights) {
   await initDB();
@@ -269,7 +425,8 @@ export async function addHighlight(highlight) {
   const newHighlight = {
     ...highlight,
     id: Date.now(),
-    createdAt: new Date().toISOString()
+    createdAt: new Date().toISOString(),
+    updatedAt: syncClock()
   };
   highlights.push(newHighlight);
   await saveHighlights(highlights);
@@ -280,24 +437,83 @@ export async function deleteHighlight(highlightId) {
   const highlights = await getHighlights();
   const filtered = highlights.filter(h => h.id !== highlightId);
   await saveHighlights(filtered);
+  await recordDeletion('highlights', highlightId);
+
+  // A highlight's note goes with it
+  for (const note of await getNotes()) {
+    if (note.highlightId === highlightId) await deleteNote(note.id);
+  }
   return filtered;
 }
 
+// Notes management
+// A note is { id, bookId, text, createdAt, updatedAt } plus either the highlightId it is
+// written on or, for a margin note, a location: { type: 'pdf', page, x, y } or { type: 'epub', cfi }
+export async function getNotes(bookId = null) {
+  await initDB();
+
+  if (db) {
+    const notes = await runRequest('notes', 'readonly', store =>
+      bookId ? store.index('bookId').getAll(bookId) : store.getAll()
+    );
+    return notes || [];
+  }
+
+  const notes = getFromLocalStorage(STORAGE_KEYS.NOTES, []);
+  return bookId ? notes.filter(n => n.bookId === bookId) : notes;
+}
+
+// Add a note (without an id) or update one; returns the saved note
+export async function saveNote(note) {
+  const saved = {
+    ...note,
+    id: note.id ?? Date.now(),
+    createdAt: note.createdAt || new Date().toISOString(),
+    updatedAt: syncClock()
+  };
+  await initDB();
+
+  if (db) {
+    await putRecord('notes', saved);
+  } else {
+    const notes = getFromLocalStorage(STORAGE_KEYS.NOTES, []).filter(n => n.id !== saved.id);
+    saveToLocalStorage(STORAGE_KEYS.NOTES, [...notes, saved]);
+  }
+  return saved;
+}
+
+export async function deleteNote(noteId) {
+  await initDB();
+
+  if (db) {
+    await deleteRecord('notes', noteId);
+  } else {
+    const notes = getFromLocalStorage(STORAGE_KEYS.NOTES, []);
+    saveToLocalStorage(STORAGE_KEYS.NOTES, notes.filter(n => n.id !== noteId));
+  }
+  await recordDeletion('notes', noteId);
+}
+
 // Reading progress management
+// Merges into the book's saved progress, so the page and the read-aloud position can be saved separately.
+// The read and the write share one transaction, so saves made at the same moment don't undo each other
 export async function saveProgress(bookId, progress) {
   await initDB();
 
-  const progressData = {
+  const merge = (existing) => ({
+    ...existing,
     bookId,
     ...progress,
-    lastRead: new Date().toISOString()
-  };
+    lastRead: new Date().toISOString(),
+    updatedAt: syncClock()
+  });
 
   if (db) {
     return new Promise((resolve, reject) => {
       const tx = db.transaction('progress', 'readwrite');
       const store = tx.objectStore('progress');
-      store.put(progressData);
+      const request = store.get(bookId);
+      request.onsuccess = () => store.put(merge(request.result));
 
       tx.oncomplete = () => resolve(true);
       tx.onerror = () => reject(tx.error);
@@ -305,7 +521,7 @@ export async function saveProgress(bookId, progress) {
   }
 
   const allProgress = getFromLocalStorage(STORAGE_KEYS.READING_PROGRESS, {});
-  allProgress[bookId] = progressData;
+  allProgress[bookId] = merge(allProgress[bookId]);
   return saveToLocalStorage(STORAGE_KEYS.READING_PROGRESS, allProgress);
 }
 
@@ -327,6 +543,23 @@ export async function getProgress(bookId) {
   return allProgress[bookId] || null;
 }
 
+export async function getAllProgress() {
+  await initDB();
+
+  if (db) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('progress', 'readonly');
+      const store = tx.objectStore('progress');
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  return Object.values(getFromLocalStorage(STORAGE_KEYS.READING_PROGRESS, {}));
+}
+
 // Flashcards management
 export async function saveFlashcards(flashcards) {
   await initDB();
@@ -380,16 +613,30 @@ export async function getFlashcards(bookId = null) {
 export async function addFlashcard(flashcard) {
   const flashcards = await getFlashcards();
   const newCard = {
+    ...getInitialSchedule(),
     ...flashcard,
     id: Date.now(),
-    createdAt: new Date().toISOString()
+    createdAt: new Date().toISOString(),
+    updatedAt: syncClock()
   };
   flashcards.push(newCard);
   await saveFlashcards(flashcards);
   return flashcards;
 }
 
+export async function updateFlashcard(cardId, updates) {
+  const flashcards = await getFlashcards();
+  const index = flashcards.findIndex(c => c.id === cardId);
+  if (index !== -1) {
+    flashcards[index] = { ...flashcards[index], ...updates, updatedAt: syncClock() };
+    await saveFlashcards(flashcards);
+  }
+  return flashcards;
+}
+
 // Quiz scores management
+// A score is one quiz attempt: { bookId, bookTitle, section, total, correct, percentage, results }
+// where results holds { q, a, answer, correct, feedback } for each question
 export function saveQuizScore(score) {
   const scores = getFromLocalStorage(STORAGE_KEYS.QUIZ_SCORES, []);
   scores.push({
@@ -404,6 +651,10 @@ export function getQuizScores() {
   return getFromLocalStorage(STORAGE_KEYS.QUIZ_SCORES, []);
 }
 
+export function saveQuizScores(scores) {
+  return saveToLocalStorage(STORAGE_KEYS.QUIZ_SCORES, scores);
+}
+
 export function getAverageQuizScore() {
   const scores = getQuizScores();
   if (scores.length === 0) return 0;
@@ -416,13 +667,23 @@ export function saveSettings(settings) {
   return saveToLocalStorage(STORAGE_KEYS.SETTINGS, settings);
 }
 
+const DEFAULT_SETTINGS = {
+  theme: 'system',
+  fontSize: 16,
+  fontFamily: 'serif',
+  lineHeight: 1.8,
+  margin: 24,
+  justify: false,
+  flow: 'paginated',
+  customFont: null,
+  pdfFilter: 'none',
+  readAloudRate: 1,
+  readAloudVoice: null
+};
+
+// Saved settings over the defaults, so settings added later get their default value
 export function getSettings() {
-  return getFromLocalStorage(STORAGE_KEYS.SETTINGS, {
-    theme: 'system',
-    fontSize: 16,
-    fontFamily: 'serif',
-    lineHeight: 1.8
-  });
+  return { ...DEFAULT_SETTINGS, ...getFromLocalStorage(STORAGE_KEYS.SETTINGS, {}) };
 }
 
 // Current book tracking
@@ -453,6 +714,472 @@ export async function getStudyStats() {
     pagesRead: totalPagesRead || books.filter(b => b.progress > 0).length * 3,
     problemsSolved: Math.floor(highlights.length / 2),
     flashcards: flashcards.length,
+    flashcardsDue: getDueCards(flashcards).length,
     quizScore: quizScore || 0
   };
 }
+
+// Cloud sync
+// Each record carries an updatedAt timestamp (on the server's clock, see syncClock) and the
+// newer copy wins a conflict; deletions are kept in syncDeleted until the server has them.
+// Book files go through their own upload/download endpoints since they can be large.
+
+const SYNC_ENDPOINT = '/api/sync';
+const SYNCED_STORES = ['books', 'highlights', 'flashcards', 'progress', 'notes', 'aiHistory'];
+const STORE_KEYS = { books: 'id', highlights: 'id', flashcards: 'id', progress: 'bookId', notes: 'id', aiHistory: 'id', fileData: 'bookId' };
+
+// Fields that only make sense on this device (the search index isn't synced,
+// and a PDF page layout chosen on a phone shouldn't follow the book to a desktop)
+const LOCAL_ONLY_FIELDS = { books: ['textIndexed', 'pdfViewMode'] };
+
+// Keep each push well under the server's JSON body limit
+const MAX_BATCH_BYTES = 4 * 1024 * 1024;
+
+let syncInFlight = null;
+
+function getSyncMeta() {
+  return getFromLocalStorage(STORAGE_KEYS.SYNC, {
+    userId: null,
+    cursor: 0,
+    pushedAt: null,
+    clockOffset: 0,
+    pendingFiles: [],
+    lastSyncedAt: null
+  });
+}
+
+function saveSyncMeta(updates) {
+  const meta = { ...getSyncMeta(), ...updates };
+  saveToLocalStorage(STORAGE_KEYS.SYNC, meta);
+  return meta;
+}
+
+// Current time corrected towards the server's clock, so devices with a wrong clock
+// don't keep winning (or losing) every conflict
+export function syncClock() {
+  return Date.now() + (getSyncMeta().clockOffset || 0);
+}
+
+export function getLastSyncedAt() {
+  return getSyncMeta().lastSyncedAt;
+}
+
+function markFileForUpload(bookId) {
+  const { pendingFiles = [] } = getSyncMeta();
+  if (!pendingFiles.includes(bookId)) {
+    saveSyncMeta({ pendingFiles: [...pendingFiles, bookId] });
+  }
+}
+
+// Low-level helpers that don't stamp or record anything (remote changes, the AI queue)
+function runRequest(storeName, mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    let result;
+    request.onsuccess = () => { result = request.result; };
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function getRecord(storeName, key) {
+  return runRequest(storeName, 'readonly', store => store.get(key));
+}
+
+function putRecord(storeName, record) {
+  return runRequest(storeName, 'readwrite', store => store.put(record));
+}
+
+function deleteRecord(storeName, key) {
+  return runRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+async function recordDeletion(storeName, id) {
+  await initDB();
+  if (!db) return;
+  await putRecord('syncDeleted', { key: `${storeName}:${id}`, store: storeName, id, deletedAt: syncClock() });
+}
+
+function stripLocalFields(storeName, record) {
+  const fields = LOCAL_ONLY_FIELDS[storeName];
+  if (!fields) return record;
+  const copy = { ...record };
+  fields.forEach(field => delete copy[field]);
+  return copy;
+}
+
+async function syncRequest(path, options = {}) {
+  let response;
+  try {
+    response = await fetch(`${SYNC_ENDPOINT}${path}`, options);
+  } catch (networkError) {
+    throw new Error('Network error: Could not reach the server. Check your internet connection.');
+  }
+  if (!response.ok) {
+    if (response.status === 401) notifySessionExpired();
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error?.message || `Sync failed: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+}
+
+function fileURL(bookId) {
+  return `/files/${encodeURIComponent(JSON.stringify(bookId))}`;
+}
+
+// Local changes since the last successful push
+async function collectChanges(since) {
+  const changes = [];
+
+  for (const storeName of SYNCED_STORES) {
+    const records = await runRequest(storeName, 'readonly', store => store.getAll());
+    for (const record of records || []) {
+      const updatedAt = record.updatedAt || 0;
+      if (since !== null && updatedAt <= since) continue;
+      changes.push({
+        store: storeName,
+        id: record[STORE_KEYS[storeName]],
+        updatedAt,
+        deleted: false,
+        data: stripLocalFields(storeName, record)
+      });
+    }
+  }
+
+  const deletions = await runRequest('syncDeleted', 'readonly', store => store.getAll());
+  for (const deletion of deletions || []) {
+    changes.push({ store: deletion.store, id: deletion.id, updatedAt: deletion.deletedAt, deleted: true, data: null });
+  }
+
+  return changes;
+}
+
+function splitIntoBatches(changes) {
+  const batches = [];
+  let batch = [];
+  let size = 0;
+
+  for (const change of changes) {
+    const changeSize = JSON.stringify(change).length;
+    if (batch.length > 0 && size + changeSize > MAX_BATCH_BYTES) {
+      batches.push(batch);
+      batch = [];
+      size = 0;
+    }
+    batch.push(change);
+    size += changeSize;
+  }
+  batches.push(batch);
+  return batches;
+}
+
+async function uploadFile(bookId) {
+  const record = await getRecord('fileData', bookId);
+  if (!record) return;
+
+  await syncRequest(`${fileURL(bookId)}?updatedAt=${record.updatedAt || 0}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: record.data
+  });
+}
+
+async function downloadFile(bookId, updatedAt) {
+  const response = await syncRequest(fileURL(bookId));
+  const data = await response.arrayBuffer();
+  await putRecord('fileData', { bookId, data, updatedAt });
+}
+
+// Apply one change from the server if it is newer than the local copy; returns true if applied
+async function applyRemoteChange(change) {
+  const keyPath = STORE_KEYS[change.store];
+  if (!keyPath) return false;
+
+  const local = await getRecord(change.store, change.id);
+  const localUpdatedAt = local?.updatedAt || 0;
+
+  if (change.deleted) {
+    if (!local || localUpdatedAt > change.updatedAt) return false;
+    await deleteRecord(change.store, change.id);
+    if (change.store === 'books') {
+      await deleteBookText(change.id);
+      await deleteBookOCR(change.id);
+    }
+    return true;
+  }
+
+  if (local && localUpdatedAt >= change.updatedAt) return false;
+
+  if (change.store === 'fileData') {
+    await downloadFile(change.id, change.updatedAt);
+    return true;
+  }
+
+  // Keep this device's values for fields that aren't synced
+  const localFields = {};
+  for (const field of LOCAL_ONLY_FIELDS[change.store] || []) {
+    if (local && field in local) localFields[field] = local[field];
+  }
+  await putRecord(change.store, { ...change.data, ...localFields, updatedAt: change.updatedAt });
+  return true;
+}
+
+async function runSync(userId) {
+  let meta = getSyncMeta();
+
+  // Another account's sync state says nothing about this one: start over and merge
+  if (meta.userId !== userId) {
+    meta = saveSyncMeta({ userId, cursor: 0, pushedAt: null, lastSyncedAt: null });
+  }
+
+  const startedAt = syncClock();
+  let pushed = 0;
+  let pulled = 0;
+
+  // Upload book files first, so the server has them before anyone pulls the book
+  const pendingFiles = meta.pushedAt === null
+    ? await runRequest('fileData', 'readonly', store => store.getAllKeys())
+    : meta.pendingFiles || [];
+  for (const bookId of pendingFiles) {
+    try {
+      await uploadFile(bookId);
+      pushed++;
+    } catch (error) {
+      // Too large for the server: the file stays on this device only
+      if (error.status !== 413) throw error;
+      console.warn(`Book ${bookId} not synced:`, error.message);
+    }
+    const { pendingFiles: remaining = [] } = getSyncMeta();
+    saveSyncMeta({ pendingFiles: remaining.filter(id => id !== bookId) });
+  }
+
+  const changes = await collectChanges(meta.pushedAt);
+  const batches = splitIntoBatches(changes);
+  let cursor = meta.cursor || 0;
+  let hasMore = true;
+
+  // Push every batch, then keep pulling until the server has nothing newer
+  for (let i = 0; i < batches.length || hasMore; i++) {
+    const batch = batches[i] || [];
+    const sentAt = Date.now();
+    const response = await syncRequest('', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ cursor, changes: batch })
+    });
+    const result = await response.json();
+
+    // Server time at the middle of the round trip
+    saveSyncMeta({ clockOffset: result.serverTime - Math.round((sentAt + Date.now()) / 2) });
+
+    pushed += batch.length;
+    for (const change of result.changes) {
+      if (await applyRemoteChange(change)) pulled++;
+    }
+    cursor = result.cursor;
+    hasMore = result.hasMore;
+    saveSyncMeta({ cursor });
+  }
+
+  // Deletions made while syncing are newer than startedAt and stay for next time
+  const deletions = await runRequest('syncDeleted', 'readonly', store => store.getAll());
+  for (const deletion of deletions || []) {
+    if (deletion.deletedAt <= startedAt) await deleteRecord('syncDeleted', deletion.key);
+  }
+
+  saveSyncMeta({ pushedAt: startedAt, lastSyncedAt: new Date().toISOString() });
+  return { pushed, pulled };
+}
+
+// Push local changes and pull everyone else's; returns { pushed, pulled }
+// Concurrent calls share the sync already running
+export async function syncNow(userId) {
+  await initDB();
+  if (!db) return { pushed: 0, pulled: 0 };
+
+  if (!syncInFlight) {
+    syncInFlight = runSync(userId).finally(() => { syncInFlight = null; });
+  }
+  return syncInFlight;
+}
+
+// Remove this account's library from the device (after logging out)
+export async function clearLocalLibrary() {
+  await initDB();
+  if (db) {
+    for (const storeName of [...SYNCED_STORES, 'fileData', 'textIndex', 'ocrText', 'syncDeleted', 'aiQueue']) {
+      await runRequest(storeName, 'readwrite', store => store.clear());
+    }
+  }
+  localStorage.removeItem(STORAGE_KEYS.SYNC);
+  localStorage.removeItem(STORAGE_KEYS.CURRENT_BOOK);
+  localStorage.removeItem(STORAGE_KEYS.AI_QUEUE);
+  localStorage.removeItem(STORAGE_KEYS.NOTES);
+  localStorage.removeItem(STORAGE_KEYS.AI_HISTORY);
+}
+
+// Offline AI queue
+// A request is { id, mode, status: 'pending' | 'answered', createdAt, ... } plus what
+// its mode needs to be sent again (see aiQueue.js); it stays on this device. An answered
+// request has its response, and fallback: true when that is the offline fallback
+
+export async function getAIQueue() {
+  await initDB();
+
+  if (db) {
+    const requests = await runRequest('aiQueue', 'readonly', store => store.getAll());
+    return requests || [];
+  }
+
+  return getFromLocalStorage(STORAGE_KEYS.AI_QUEUE, []);
+}
+
+export async function saveAIRequest(request) {
+  await initDB();
+
+  if (db) {
+    await putRecord('aiQueue', request);
+    return true;
+  }
+
+  const queue = getFromLocalStorage(STORAGE_KEYS.AI_QUEUE, []).filter(r => r.id !== request.id);
+  return saveToLocalStorage(STORAGE_KEYS.AI_QUEUE, [...queue, request]);
+}
+
+export async function deleteAIRequest(requestId) {
+  await initDB();
+
+  if (db) {
+    await deleteRecord('aiQueue', requestId);
+    return true;
+  }
+
+  const queue = getFromLocalStorage(STORAGE_KEYS.AI_QUEUE, []);
+  return saveToLocalStorage(STORAGE_KEYS.AI_QUEUE, queue.filter(r => r.id !== requestId));
+}
+
+// AI history
+// An entry is { id, mode: 'explain' | 'solve' | 'ask', text, response, bookId, bookTitle, location, createdAt },
+// where text is the selected passage (or the question, for 'ask') and location is where it was selected
+
+export async function getAIHistory(bookId = null) {
+  await initDB();
+
+  if (db) {
+    const entries = await runRequest('aiHistory', 'readonly', store =>
+      bookId ? store.index('bookId').getAll(bookId) : store.getAll()
+    );
+    return entries || [];
+  }
+
+  const entries = getFromLocalStorage(STORAGE_KEYS.AI_HISTORY, []);
+  return bookId ? entries.filter(e => e.bookId === bookId) : entries;
+}
+
+// Add an entry (without an id) or replace one; returns the saved entry
+export async function saveAIHistoryEntry(entry) {
+  const saved = {
+    ...entry,
+    id: entry.id ?? Date.now(),
+    createdAt: entry.createdAt || new Date().toISOString(),
+    updatedAt: syncClock()
+  };
+  await initDB();
+
+  if (db) {
+    await putRecord('aiHistory', saved);
+  } else {
+    const entries = getFromLocalStorage(STORAGE_KEYS.AI_HISTORY, []).filter(e => e.id !== saved.id);
+    saveToLocalStorage(STORAGE_KEYS.AI_HISTORY, [...entries, saved]);
+  }
+  return saved;
+}
+
+export async function deleteAIHistoryEntry(entryId) {
+  await initDB();
+
+  if (db) {
+    await deleteRecord('aiHistory', entryId);
+  } else {
+    const entries = getFromLocalStorage(STORAGE_KEYS.AI_HISTORY, []);
+    saveToLocalStorage(STORAGE_KEYS.AI_HISTORY, entries.filter(e => e.id !== entryId));
+  }
+  await recordDeletion('aiHistory', entryId);
+}
+
+// Backup import (see backup.js)
+
+const LOCAL_STORAGE_STORES = {
+  books: STORAGE_KEYS.BOOKS,
+  highlights: STORAGE_KEYS.HIGHLIGHTS,
+  flashcards: STORAGE_KEYS.FLASHCARDS,
+  notes: STORAGE_KEYS.NOTES,
+  aiHistory: STORAGE_KEYS.AI_HISTORY
+};
+
+// Write imported records as they are, stamped as new changes so they sync
+export async function importRecords(storeName, records) {
+  const stamped = records.map(record => ({ ...record, updatedAt: syncClock() }));
+  await initDB();
+
+  if (db) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, 'readwrite');
+      const store = tx.objectStore(storeName);
+      stamped.forEach(record => store.put(record));
+
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  if (storeName === 'progress') {
+    const allProgress = getFromLocalStorage(STORAGE_KEYS.READING_PROGRESS, {});
+    stamped.forEach(record => { allProgress[record.bookId] = record; });
+    return saveToLocalStorage(STORAGE_KEYS.READING_PROGRESS, allProgress);
+  }
+
+  const key = LOCAL_STORAGE_STORES[storeName];
+  const ids = new Set(stamped.map(record => record.id));
+  const existing = getFromLocalStorage(key, []).filter(record => !ids.has(record.id));
+  return saveToLocalStorage(key, [...existing, ...stamped]);
+}
+
+// Delete every book, highlight, flashcard, note and progress record before restoring a backup over them
+// Unlike clearLocalLibrary, the deletions are synced to the account's other devices
+export async function deleteLibrary() {
+  for (const book of await getBooks()) {
+    await deleteBook(book.id);
+  }
+
+  for (const highlight of await getHighlights()) {
+    await recordDeletion('highlights', highlight.id);
+  }
+  await saveHighlights([]);
+
+  for (const card of await getFlashcards()) {
+    await recordDeletion('flashcards', card.id);
+  }
+  await saveFlashcards([]);
+
+  for (const note of await getNotes()) {
+    await deleteNote(note.id);
+  }
+
+  for (const entry of await getAIHistory()) {
+    await deleteAIHistoryEntry(entry.id);
+  }
+
+  await initDB();
+  if (db) {
+    for (const progress of await getAllProgress()) {
+      await deleteRecord('progress', progress.bookId);
+      await recordDeletion('progress', progress.bookId);
+    }
+  } else {
+    localStorage.removeItem(STORAGE_KEYS.READING_PROGRESS);
+  }
+}
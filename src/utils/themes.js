@@ -0,0 +1,128 @@
+// Themes
+// Each theme is a palette of the CSS variables the app is styled with. The EPUB reader takes its
+// text and page colours from the same palette, and PDF pages can be filtered to match it.
+
+export const THEMES = {
+  light: {
+    label: 'Light',
+    colorScheme: 'light',
+    colors: {
+      '--bg': '#F9F7F3',
+      '--bg-secondary': '#F3F1ED',
+      '--bg-tertiary': '#EBE9E5',
+      '--bg-sidebar': '#F3F1ED',
+      '--border': '#DDD9D3',
+      '--text': '#1a1915',
+      '--text-secondary': '#5c5750',
+      '--text-tertiary': '#9c9689',
+      '--accent': '#B8570C',
+      '--accent-hover': '#9A4A0A',
+      '--danger': '#dc2626'
+    },
+    pageFilter: 'none'
+  },
+  dark: {
+    label: 'Dark',
+    colorScheme: 'dark',
+    colors: {
+      '--bg': '#1a1915',
+      '--bg-secondary': '#252219',
+      '--bg-tertiary': '#302d24',
+      '--bg-sidebar': '#1f1c16',
+      '--border': '#3d392f',
+      '--text': '#F9F7F3',
+      '--text-secondary': '#b5afa3',
+      '--text-tertiary': '#7a7568',
+      '--accent': '#D4A373',
+      '--accent-hover': '#E5BE93',
+      '--danger': '#dc2626'
+    },
+    pageFilter: 'invert(0.88) hue-rotate(180deg)'
+  },
+  sepia: {
+    label: 'Sepia',
+    colorScheme: 'light',
+    colors: {
+      '--bg': '#F4ECD8',
+      '--bg-secondary': '#EDE3CB',
+      '--bg-tertiary': '#E4D8BC',
+      '--bg-sidebar': '#EDE3CB',
+      '--border': '#D6C8A8',
+      '--text': '#433422',
+      '--text-secondary': '#6B5A42',
+      '--text-tertiary': '#9C8A6C',
+      '--accent': '#A0522D',
+      '--accent-hover': '#8B4513',
+      '--danger': '#b91c1c'
+    },
+    pageFilter: 'sepia(0.35) brightness(0.96)'
+  },
+  'high-contrast': {
+    label: 'High contrast',
+    colorScheme: 'dark',
+    colors: {
+      '--bg': '#000000',
+      '--bg-secondary': '#0d0d0d',
+      '--bg-tertiary': '#1f1f1f',
+      '--bg-sidebar': '#000000',
+      '--border': '#ffffff',
+      '--text': '#ffffff',
+      '--text-secondary': '#f0f0f0',
+      '--text-tertiary': '#d0d0d0',
+      '--accent': '#ffd400',
+      '--accent-hover': '#ffe55c',
+      '--danger': '#ff6b6b'
+    },
+    pageFilter: 'invert(1) hue-rotate(180deg) contrast(1.2)'
+  }
+};
+
+// 'system' follows the device's light or dark mode
+export const THEME_CHOICES = [
+  { id: 'system', label: 'System' },
+  ...Object.entries(THEMES).map(([id, theme]) => ({ id, label: theme.label }))
+];
+
+// How PDF pages are drawn: as printed, filtered to suit the theme, or always inverted for night reading
+export const PDF_FILTERS = [
+  { id: 'none', label: 'Original colours' },
+  { id: 'theme', label: 'Match the theme' },
+  { id: 'invert', label: 'Inverted (night)' }
+];
+
+const darkQuery = () => window.matchMedia?.('(prefers-color-scheme: dark)');
+
+export function resolveTheme(theme) {
+  if (THEMES[theme]) return theme;
+  return darkQuery()?.matches ? 'dark' : 'light';
+}
+
+export function getThemePalette(theme) {
+  return THEMES[resolveTheme(theme)];
+}
+
+// Apply a theme's palette to the page
+export function applyTheme(theme) {
+  const id = resolveTheme(theme);
+  const { colors, colorScheme } = THEMES[id];
+  const root = document.documentElement;
+
+  Object.entries(colors).forEach(([name, value]) => root.style.setProperty(name, value));
+  root.style.colorScheme = colorScheme;
+  root.dataset.theme = id;
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', colors['--bg']);
+}
+
+// Call back when the device switches between light and dark mode; returns an unsubscribe function
+export function onSystemThemeChange(callback) {
+  const query = darkQuery();
+  query?.addEventListener('change', callback);
+  return () => query?.removeEventListener('change', callback);
+}
+
+// CSS filter for PDF pages under a PDF filter setting and theme
+export function pdfPageFilter(filter, theme) {
+  if (filter === 'invert') return THEMES.dark.pageFilter;
+  if (filter === 'theme') return getThemePalette(theme).pageFilter;
+  return 'none';
+}
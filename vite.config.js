@@ -1,18 +1,71 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync, readdirSync } from 'fs'
+import { createHash } from 'crypto'
+import path from 'path'
+
+// Files in public/, relative to it (copied to dist/ as they are)
+function listPublicFiles(dir, prefix = '') {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry =>
+    entry.isDirectory()
+      ? listPublicFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+      : [`${prefix}${entry.name}`]
+  )
+}
+
+// The OCR engine and language data (see src/utils/ocr.js) go in their own folder. They are
+// too large to download on every install, so the service worker keeps them once they are used.
+// The language data keeps its file name, since Tesseract asks for it by name
+const OCR_ASSETS = /^(worker\.min\.js|tesseract-core.*\.js|eng\.traineddata\.gz)$/
+const OCR_DIR = 'assets/ocr/'
+
+function assetFileName({ name = '' }) {
+  if (name.endsWith('.traineddata.gz')) return `${OCR_DIR}[hash]/[name][extname]`
+  if (OCR_ASSETS.test(name)) return `${OCR_DIR}[name]-[hash][extname]`
+  return 'assets/[name]-[hash][extname]'
+}
+
+// Build src/sw.js into dist/sw.js with the list of files to precache, so the app
+// (including the pdf.js worker) opens offline
+function serviceWorker() {
+  return {
+    name: 'kapul-service-worker',
+    apply: 'build',
+    generateBundle(options, bundle) {
+      // index.html is added to the bundle after this hook runs
+      const files = [
+        'index.html',
+        ...Object.keys(bundle),
+        ...listPublicFiles(path.resolve(__dirname, 'public'))
+      ].filter(name => !name.endsWith('.map'))
+      const precache = files.filter(name => !name.startsWith(OCR_DIR)).map(name => `/${name}`).sort()
+      const ocrFiles = files.filter(name => name.startsWith(OCR_DIR)).map(name => `/${name}`).sort()
+      const version = createHash('sha256').update(precache.join('\n')).digest('hex').slice(0, 12)
+
+      const source = readFileSync(path.resolve(__dirname, 'src/sw.js'), 'utf8')
+        .replace('self.__PRECACHE__', JSON.stringify(precache))
+        .replace('self.__OCR_FILES__', JSON.stringify(ocrFiles))
+        .replace('self.__VERSION__', JSON.stringify(version))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    }
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   build: {
     outDir: 'dist',
     sourcemap: false,
     minify: 'esbuild',
     rollupOptions: {
       output: {
+        assetFileNames: assetFileName,
         manualChunks: {
           'react-vendor': ['react', 'react-dom'],
           'pdf-vendor': ['pdfjs-dist'],
-          'epub-vendor': ['epubjs']
+          'epub-vendor': ['epubjs'],
+          'zip-vendor': ['jszip'],
+          'markdown-vendor': ['marked', 'katex', 'dompurify']
         }
       }
     }